@@ -0,0 +1,298 @@
+import { summarizePrizes } from './prize-tiers.js';
+import { getBangkokDate, daysBetween } from './date-utils.js';
+import logger from './logger.js';
+
+// Configuration
+const CONFIG = {
+  window: 30, // Latest draws of a market that hot and cold numbers are counted over
+  topCount: 10, // Hot and cold numbers listed per report
+};
+
+// Numbers tracked per draw, with how many digits they have
+const KINDS = { twoDigits: 2, threeDigits: 3 };
+
+// Every number of a given length, "00" to "99" or "000" to "999"
+function allNumbers(length) {
+  return Array.from({ length: 10 ** length }, (_, number) => String(number).padStart(length, '0'));
+}
+
+// Read the 2- and 3-digit numbers of a history record: a stock market's
+// result, the lottery's last two and front/back three digits, or the result
+// fields of a lotto432k section. Placeholders such as "xx" are dropped.
+export function extractNumbers(source, record) {
+  let numbers;
+
+  if (source === 'lottery') {
+    const prizes = record.prizes || summarizePrizes(record.tiers || []);
+    numbers = {
+      twoDigits: prizes.two_end || [],
+      threeDigits: [...(prizes.three_front || []), ...(prizes.three_end || [])]
+    };
+  } else {
+    numbers = {
+      twoDigits: Object.keys(record).filter(field => field.startsWith('twoDigits')).map(field => record[field]),
+      threeDigits: [record.threeDigits]
+    };
+  }
+
+  return Object.fromEntries(Object.entries(numbers).map(([kind, list]) => [
+    kind,
+    list.map(String).filter(number => number.length === KINDS[kind] && /^\d+$/.test(number))
+  ]));
+}
+
+// Name the series a record belongs to: the lottery, a stock market by its
+// name, or "<section>:<market>" for lotto432k sections
+export function getSeriesKey(source, record) {
+  if (source === 'lottery') return 'lottery';
+  if (source === 'stock') return record.market;
+  return `${source}:${record.market}`;
+}
+
+// For each digit, how many draws in a row up to the latest one it appeared
+// in (current) and the longest such run
+function getDigitStreaks(draws) {
+  const streaks = Array.from({ length: 10 }, () => ({ current: 0, longest: 0 }));
+
+  for (const numbers of draws) {
+    const digits = new Set(numbers.join(''));
+    streaks.forEach((streak, digit) => {
+      streak.current = digits.has(String(digit)) ? streak.current + 1 : 0;
+      streak.longest = Math.max(streak.longest, streak.current);
+    });
+  }
+
+  return streaks;
+}
+
+// The draws of one market by date, with number counts, last appearances and
+// positional digit counts kept up to date as draws are added or corrected
+class NumberSeries {
+  constructor(key, source, market) {
+    this.key = key;
+    this.source = source;
+    this.market = market;
+    this.draws = new Map();
+    this.stats = Object.fromEntries(Object.entries(KINDS).map(([kind, length]) => [kind, {
+      counts: new Map(),
+      lastSeen: new Map(),
+      positions: Array.from({ length }, () => Array(10).fill(0))
+    }]));
+  }
+
+  // Add the numbers drawn on a date, replacing a corrected earlier result
+  set(date, numbers) {
+    if (this.draws.has(date)) this.remove(date);
+
+    this.draws.set(date, numbers);
+    this.count(numbers, 1);
+
+    for (const [kind, list] of Object.entries(numbers)) {
+      const { lastSeen } = this.stats[kind];
+      for (const number of list) {
+        if (!lastSeen.has(number) || lastSeen.get(number) < date) lastSeen.set(number, date);
+      }
+    }
+  }
+
+  // Take a date's numbers back out of the counts
+  remove(date) {
+    const numbers = this.draws.get(date);
+    this.draws.delete(date);
+    this.count(numbers, -1);
+
+    // Only numbers last seen on that date need their last appearance looked up again
+    for (const [kind, list] of Object.entries(numbers)) {
+      const { lastSeen } = this.stats[kind];
+      for (const number of list) {
+        if (lastSeen.get(number) !== date) continue;
+
+        const dates = [...this.draws].filter(([, drawn]) => drawn[kind].includes(number)).map(([drawDate]) => drawDate);
+        if (dates.length > 0) lastSeen.set(number, dates.sort().at(-1));
+        else lastSeen.delete(number);
+      }
+    }
+  }
+
+  // Add (step 1) or subtract (step -1) numbers from the counts
+  count(numbers, step) {
+    for (const [kind, list] of Object.entries(numbers)) {
+      const { counts, positions } = this.stats[kind];
+      for (const number of list) {
+        const count = (counts.get(number) || 0) + step;
+        if (count > 0) counts.set(number, count);
+        else counts.delete(number);
+
+        [...number].forEach((digit, position) => {
+          positions[position][digit] += step;
+        });
+      }
+    }
+  }
+
+  // Get the draw dates, oldest first
+  getDates() {
+    return [...this.draws.keys()].sort();
+  }
+}
+
+// Number statistics over stored results, per stock market, lotto432k
+// section market and for the lottery. Attached managers feed it through
+// their 'history' events, so the counts follow every result processNewData()
+// records; reports are built from the counts on request.
+// Options: `config` overrides CONFIG entries
+class Analytics {
+  constructor({ config = {} } = {}) {
+    this.config = { ...CONFIG, ...config };
+    this.series = new Map();
+    this.attached = new Set();
+    this.lastUpdated = null;
+    this.logger = logger.child({ source: 'analytics' });
+  }
+
+  // Override config entries
+  configure(config = {}) {
+    this.config = { ...this.config, ...config };
+  }
+
+  // Apply changed settings while running; an undefined value restores the default
+  reload(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      this.config[key] = value === undefined ? CONFIG[key] : value;
+    }
+  }
+
+  // Follow the history of a manager (or section): loaded history replaces
+  // that source's series, newly recorded results update them
+  attach(emitter) {
+    if (this.attached.has(emitter)) return;
+    this.attached.add(emitter);
+
+    emitter.on('history', event => this.ingest(event));
+  }
+
+  // Count history records of a source; `loaded` means they are its whole history
+  ingest({ source, records, loaded = false }) {
+    if (loaded) {
+      for (const [key, series] of this.series) {
+        if (series.source === source) this.series.delete(key);
+      }
+    }
+
+    let counted = 0;
+    for (const record of records) {
+      const numbers = extractNumbers(source, record);
+      if (!record.date || Object.values(numbers).every(list => list.length === 0)) continue;
+
+      const key = getSeriesKey(source, record);
+      if (!this.series.has(key)) {
+        this.series.set(key, new NumberSeries(key, source, source === 'lottery' ? null : record.market));
+      }
+      this.series.get(key).set(record.date, numbers);
+      counted++;
+    }
+
+    this.lastUpdated = new Date().toISOString();
+    this.logger.debug('Statistics updated', { source, records: counted, loaded });
+  }
+
+  // List the series with their number of draws and date range
+  getSeries() {
+    return [...this.series.values()]
+      .map(series => {
+        const dates = series.getDates();
+        return {
+          series: series.key,
+          source: series.source,
+          market: series.market,
+          draws: dates.length,
+          firstDate: dates[0] || null,
+          lastDate: dates.at(-1) || null
+        };
+      })
+      .sort((a, b) => a.source.localeCompare(b.source) || a.series.localeCompare(b.series));
+  }
+
+  // Describe one kind of number (twoDigits or threeDigits) of a series
+  describeNumbers(series, kind, dates, { asOf, window }) {
+    const { counts, lastSeen, positions } = series.stats[kind];
+
+    const recentCounts = new Map();
+    for (const date of dates.slice(-window)) {
+      for (const number of series.draws.get(date)[kind]) {
+        recentCounts.set(number, (recentCounts.get(number) || 0) + 1);
+      }
+    }
+
+    const numbers = allNumbers(KINDS[kind]).map(number => ({
+      number,
+      count: counts.get(number) || 0,
+      lastSeen: lastSeen.get(number) || null,
+      daysSince: lastSeen.has(number) ? daysBetween(lastSeen.get(number), asOf) : null
+    }));
+    const recent = numbers.map(({ number, lastSeen: seen }) => ({ number, count: recentCounts.get(number) || 0, lastSeen: seen }));
+
+    return {
+      digits: Array.from({ length: 10 }, (_, digit) => positions.reduce((sum, position) => sum + position[digit], 0)),
+      positions: positions.map(position => [...position]),
+      numbers,
+      // Most drawn in the window, the most recently seen first on ties
+      hot: recent
+        .filter(entry => entry.count > 0)
+        .sort((a, b) => b.count - a.count || (b.lastSeen || '').localeCompare(a.lastSeen || ''))
+        .slice(0, this.config.topCount),
+      // Least drawn in the window, the longest absent (or never seen) first on ties
+      cold: [...recent]
+        .sort((a, b) => a.count - b.count || (a.lastSeen || '').localeCompare(b.lastSeen || ''))
+        .slice(0, this.config.topCount),
+      streaks: getDigitStreaks(dates.map(date => series.draws.get(date)[kind]))
+    };
+  }
+
+  // Build the JSON report of a series, or null when there is no such series.
+  // `asOf` (YYYY-MM-DD) is the day "days since" counts to; `window` the
+  // number of latest draws hot and cold numbers are counted over.
+  getReport(key, { asOf = getBangkokDate(), window = this.config.window } = {}) {
+    const series = this.series.get(key);
+    if (!series) return null;
+
+    const dates = series.getDates();
+    const options = { asOf, window };
+
+    return {
+      series: series.key,
+      source: series.source,
+      market: series.market,
+      asOf,
+      window,
+      draws: dates.length,
+      firstDate: dates[0] || null,
+      lastDate: dates.at(-1) || null,
+      ...Object.fromEntries(Object.keys(KINDS).map(kind => [kind, this.describeNumbers(series, kind, dates, options)]))
+    };
+  }
+
+  // Build the reports of every series
+  getReports(options = {}) {
+    return {
+      generatedAt: new Date().toISOString(),
+      reports: this.getSeries().map(({ series }) => this.getReport(series, options))
+    };
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      series: this.series.size,
+      window: this.config.window,
+      topCount: this.config.topCount,
+      lastUpdated: this.lastUpdated
+    };
+  }
+}
+
+// Create and export instance
+const analytics = new Analytics();
+
+export default analytics;
+export { Analytics };
@@ -0,0 +1,362 @@
+import http from 'http';
+import crypto from 'crypto';
+import stockManager from './stock-scraper.js';
+import lotteryManager from './lotterry-scraper.js';
+import notifier from './notifier.js';
+import liveFeed from './live-feed.js';
+import { checkStoredTickets } from './ticket-checker.js';
+import logger from './logger.js';
+import metrics from './metrics.js';
+import watchdog from './watchdog.js';
+import browserPool from './browser-pool.js';
+import exporter from './exporter.js';
+import configWatcher from './config.js';
+import analytics from './analytics.js';
+
+// Configuration
+const CONFIG = {
+  port: 3000,
+  host: '0.0.0.0',
+  token: '', // Required for POST /api/run/:manager; empty disables it
+  corsOrigin: '*',
+  maxBodySize: 64 * 1024,
+  maxTicketsPerRequest: 500,
+};
+
+// Decode a captured path segment; a malformed escape is the client's fault
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw Object.assign(new Error(`Malformed path segment "${segment}"`), { statusCode: 400 });
+  }
+}
+
+class ApiServer {
+  constructor() {
+    this.config = { ...CONFIG };
+    this.server = null;
+    this.routes = [];
+    this.logger = logger.child({ source: 'api' });
+    this.managers = {
+      stock: stockManager,
+      lottery: lotteryManager
+    };
+
+    this.addRoute('GET', '/api/stocks', (req, res) => {
+      const data = stockManager.getCurrentData();
+      return this.sendData(req, res, data, this.getLastModified(data));
+    });
+    this.addRoute('GET', '/api/stocks/:market', (req, res, params) => {
+      const market = stockManager.getMarket(params.market);
+      if (!market) {
+        return this.sendJson(res, 404, { error: `Unknown market "${params.market}"` });
+      }
+      return this.sendData(req, res, market, this.getLastModified([market]));
+    });
+
+    this.addRoute('GET', '/api/sections/:section', (req, res, params) => {
+      const section = stockManager.getSection(params.section);
+      if (!section) {
+        return this.sendJson(res, 404, { error: `Unknown section "${params.section}"` });
+      }
+      const data = section.getCurrentData();
+      return this.sendData(req, res, data, this.getLastModified(data));
+    });
+
+    this.addRoute('GET', '/api/lottery/check', (req, res, params, url) =>
+      this.handleTicketCheck(res, url.searchParams.getAll('ticket'), url.searchParams.get('draw'))
+    );
+    this.addRoute('POST', '/api/lottery/check', async (req, res) => {
+      const body = await this.readJsonBody(req);
+      return this.handleTicketCheck(res, body.tickets || [body.ticket].filter(Boolean), body.draw);
+    });
+    this.addRoute('GET', '/api/lottery/:drawId', (req, res, params) => {
+      const draw = lotteryManager.getDraw(params.drawId);
+      if (!draw) {
+        return this.sendJson(res, 404, { error: `No stored lottery draw found for "${params.drawId}"` });
+      }
+      return this.sendData(req, res, draw, this.getLastModified([draw]));
+    });
+
+    this.addRoute('GET', '/api/analytics', (req, res) =>
+      this.sendJson(res, 200, { series: analytics.getSeries() }, { 'Cache-Control': 'no-store' })
+    );
+    this.addRoute('GET', '/api/analytics/:series', (req, res, params, url) => {
+      const window = url.searchParams.has('window') ? Number(url.searchParams.get('window')) : undefined;
+      if (window !== undefined && !(Number.isInteger(window) && window >= 1)) {
+        return this.sendJson(res, 400, { error: 'window must be a positive integer' });
+      }
+
+      const report = analytics.getReport(params.series, { window });
+      if (!report) {
+        return this.sendJson(res, 404, { error: `No statistics for "${params.series}"` });
+      }
+      return this.sendJson(res, 200, report, { 'Cache-Control': 'no-store' });
+    });
+
+    this.addRoute('GET', '/api/status', (req, res) =>
+      this.sendJson(res, 200, {
+        serverTime: new Date().toISOString(),
+        stock: stockManager.getStatus(),
+        lottery: lotteryManager.getStatus(),
+        notifier: notifier.getStatus(),
+        liveFeed: liveFeed.getStatus(),
+        watchdog: watchdog.getStatus(),
+        browser: browserPool.getStatus(),
+        export: exporter.getStatus(),
+        config: configWatcher.getStatus(),
+        analytics: analytics.getStatus()
+      }, { 'Cache-Control': 'no-store' })
+    );
+
+    // Probes for container orchestration: 200 when healthy, 503 otherwise
+    this.addRoute('GET', '/healthz', (req, res) => this.sendProbe(res, watchdog.getLiveness()));
+    this.addRoute('GET', '/readyz', (req, res) => this.sendProbe(res, watchdog.getReadiness()));
+
+    this.addRoute('GET', '/metrics', (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(metrics.render());
+    });
+
+    this.addRoute('GET', '/api/stream', (req, res, params, url) => liveFeed.handleSse(req, res, url));
+
+    this.addRoute('POST', '/api/run/:manager', (req, res, params) => this.handleRun(req, res, params.manager));
+  }
+
+  // Register a route; ":name" path segments are captured as params
+  addRoute(method, pattern, handler) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$');
+
+    this.routes.push({ method, regex, keys, handler });
+  }
+
+  // Send a JSON response
+  sendJson(res, statusCode, payload, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+
+  // Send the result of a health probe
+  sendProbe(res, { ok, problems }) {
+    this.sendJson(res, ok ? 200 : 503, { status: ok ? 'ok' : 'unavailable', problems }, { 'Cache-Control': 'no-store' });
+  }
+
+  // Send cacheable JSON data with ETag/Last-Modified, answering 304 when the
+  // client's copy is still current
+  sendData(req, res, payload, lastModified) {
+    const body = JSON.stringify(payload);
+    const etag = `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    const headers = { ETag: etag, 'Cache-Control': 'no-cache' };
+
+    if (lastModified) {
+      headers['Last-Modified'] = lastModified.toUTCString();
+    }
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = req.headers['if-modified-since'];
+    const notModified = ifNoneMatch
+      ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+      : Boolean(lastModified && ifModifiedSince && Math.floor(lastModified.getTime() / 1000) <= Date.parse(ifModifiedSince) / 1000);
+
+    if (notModified) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(body);
+  }
+
+  // Get the newest lastUpdated timestamp of a set of records
+  getLastModified(records) {
+    const times = records
+      .map(record => Date.parse(record.lastUpdated))
+      .filter(time => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  // Check the bearer token of a protected request
+  isAuthorized(req) {
+    if (!this.config.token) return false;
+
+    const expected = Buffer.from(`Bearer ${this.config.token}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  // Trigger a scraping cycle on demand; the cycle runs in the background
+  handleRun(req, res, managerName) {
+    if (!this.config.token) {
+      return this.sendJson(res, 403, { error: 'Manual runs are disabled: no API token configured' });
+    }
+    if (!this.isAuthorized(req)) {
+      return this.sendJson(res, 401, { error: 'Invalid or missing bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    const manager = this.managers[managerName];
+    if (!manager) {
+      return this.sendJson(res, 404, { error: `Unknown manager "${managerName}"` });
+    }
+    if (manager.isCycleRunning) {
+      return this.sendJson(res, 409, { error: `A ${managerName} cycle is already running` });
+    }
+
+    manager.runScrapingCycle();
+    return this.sendJson(res, 202, { started: true, manager: managerName });
+  }
+
+  // Add CORS headers; answers preflight requests directly
+  applyCors(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', this.config.corsOrigin);
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified');
+
+    if (this.config.corsOrigin !== '*') {
+      res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match, If-Modified-Since',
+        'Access-Control-Max-Age': '600'
+      });
+      res.end();
+      return true;
+    }
+
+    return false;
+  }
+
+  // Read and parse a JSON request body
+  async readJsonBody(req) {
+    let body = '';
+
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > this.config.maxBodySize) {
+        throw Object.assign(new Error('Request body too large'), { statusCode: 413 });
+      }
+    }
+
+    try {
+      return body ? JSON.parse(body) : {};
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid JSON body: ${error.message}`), { statusCode: 400 });
+    }
+  }
+
+  // Check one or more tickets against a stored draw
+  handleTicketCheck(res, tickets, drawRef) {
+    if (!Array.isArray(tickets) || tickets.length === 0) {
+      return this.sendJson(res, 400, { error: 'At least one ticket is required' });
+    }
+
+    if (tickets.length > this.config.maxTicketsPerRequest) {
+      return this.sendJson(res, 400, { error: `At most ${this.config.maxTicketsPerRequest} tickets per request` });
+    }
+
+    try {
+      return this.sendJson(res, 200, checkStoredTickets(tickets, drawRef || 'latest'));
+    } catch (error) {
+      return this.sendJson(res, 404, { error: error.message });
+    }
+  }
+
+  // Dispatch a request to the matching route
+  async handleRequest(req, res) {
+    if (this.applyCors(req, res)) return;
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(url.pathname);
+      if (!match) continue;
+
+      pathMatched = true;
+      const method = req.method === 'HEAD' ? 'GET' : req.method;
+      if (route.method !== method) continue;
+
+      try {
+        const params = Object.fromEntries(route.keys.map((key, index) => [key, decodePathSegment(match[index + 1])]));
+        await route.handler(req, res, params, url);
+      } catch (error) {
+        if (!error.statusCode) {
+          this.logger.error('Request failed', { method: req.method, path: url.pathname, error });
+        }
+        this.sendJson(res, error.statusCode || 500, { error: error.message });
+      }
+      return;
+    }
+
+    this.sendJson(res, pathMatched ? 405 : 404, { error: pathMatched ? 'Method not allowed' : 'Not found' });
+  }
+
+  // Override config entries; the address can only change while stopped
+  configure(config = {}) {
+    if (this.server) {
+      throw new Error('Cannot reconfigure the API server while it is running');
+    }
+    this.config = { ...this.config, ...config };
+  }
+
+  // Apply changed settings (token, CORS origin) while running; an undefined
+  // value restores the default
+  reload(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      this.config[key] = value === undefined ? CONFIG[key] : value;
+    }
+    this.logger.info('Settings reloaded', { settings: Object.keys(settings) });
+  }
+
+  // Start listening
+  async start() {
+    if (this.server) return;
+
+    this.server = http.createServer((req, res) => {
+      // A failing request must never take the process down
+      this.handleRequest(req, res).catch(error => {
+        this.logger.error('Request failed', { method: req.method, url: req.url, error });
+        if (res.headersSent) {
+          res.destroy();
+        } else {
+          this.sendJson(res, 500, { error: 'Internal server error' });
+        }
+      });
+    });
+    this.server.on('upgrade', (req, socket, head) => {
+      if (!liveFeed.handleUpgrade(req, socket, head)) {
+        socket.destroy();
+      }
+    });
+    liveFeed.start();
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    this.logger.info('API server listening', { url: `http://${this.config.host}:${this.config.port}` });
+  }
+
+  // Stop listening
+  async stop() {
+    if (!this.server) return;
+
+    liveFeed.stop();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+// Create and export instance
+const apiServer = new ApiServer();
+
+export default apiServer;
+export { ApiServer };
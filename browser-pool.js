@@ -0,0 +1,241 @@
+import puppeteer from 'puppeteer';
+import logger from './logger.js';
+import metrics from './metrics.js';
+
+// Configuration
+const CONFIG = {
+  maxPages: 2, // Pages leased at once; further callers wait their turn
+  acquireTimeout: 2 * 60 * 1000,
+  maxPagesPerBrowser: 50, // Leases served before the browser is recycled
+  launchOptions: {
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  },
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  blockedResourceTypes: ['image', 'font', 'media'],
+  blockedHosts: [ // Ads and trackers, matched against the end of the hostname
+    'doubleclick.net',
+    'googlesyndication.com',
+    'googleadservices.com',
+    'google-analytics.com',
+    'googletagmanager.com',
+    'adservice.google.com',
+    'facebook.net',
+    'adnxs.com',
+    'taboola.com',
+    'outbrain.com',
+    'histats.com'
+  ],
+};
+
+// Check whether an intercepted request should be aborted
+function isBlocked(request, { blockedResourceTypes, blockedHosts }) {
+  if (blockedResourceTypes.includes(request.resourceType())) return true;
+
+  try {
+    const { hostname } = new URL(request.url());
+    return blockedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+}
+
+// One long-lived Chromium shared by every page-based source. Pages are leased
+// from a bounded pool and kept open between leases so the next visit is warm.
+// The browser is relaunched after a crash or disconnect and recycled after
+// maxPagesPerBrowser leases; a retiring browser closes once its last page is back.
+// Options: `config` overrides CONFIG entries, `launch` replaces puppeteer.launch
+class BrowserPool {
+  constructor({ config = {}, launch = options => puppeteer.launch(options) } = {}) {
+    this.config = { ...CONFIG, ...config };
+    this.launchBrowser = launch;
+    this.current = null; // { browser, uses, leased, idlePages, retiring, closing }
+    this.launching = null;
+    this.leased = 0;
+    this.waiters = [];
+    this.launches = 0;
+    this.logger = logger.child({ source: 'browser' });
+  }
+
+  // Get the browser to lease pages from, launching one when needed
+  async getInstance() {
+    if (this.current && !this.current.retiring && this.current.browser.connected) {
+      return this.current;
+    }
+
+    if (!this.launching) {
+      this.launching = this.launch().finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  async launch() {
+    const startedAt = Date.now();
+    const browser = await this.launchBrowser(this.config.launchOptions);
+    const durationMs = Date.now() - startedAt;
+    metrics.recordBrowserLaunch(durationMs);
+
+    const instance = { browser, uses: 0, leased: 0, idlePages: [], retiring: false, closing: false };
+
+    browser.on('disconnected', () => {
+      if (instance.closing) return;
+
+      this.logger.warn('Browser disconnected, relaunching on next use', { uses: instance.uses });
+      instance.retiring = true;
+      instance.idlePages = [];
+      if (this.current === instance) this.current = null;
+    });
+
+    this.current = instance;
+    this.launches++;
+    this.logger.info('Browser launched', { durationMs, pid: browser.process()?.pid });
+    return instance;
+  }
+
+  // Open a page with our user agent and resource blocking
+  async createPage(browser) {
+    const page = await browser.newPage();
+    await page.setUserAgent(this.config.userAgent);
+    await page.setRequestInterception(true);
+
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      if (isBlocked(request, this.config)) {
+        request.abort('blockedbyclient').catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    });
+
+    return page;
+  }
+
+  // Wait until a page slot is free
+  waitForTurn() {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(item => item !== waiter);
+        reject(new Error(`Timed out after ${this.config.acquireTimeout}ms waiting for a browser page`));
+      }, this.config.acquireTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Hand a freed slot to the next waiter, or give it back to the pool
+  freeSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.leased--;
+    }
+  }
+
+  // Lease a page: { page, instance }. Give it back with release().
+  async acquire() {
+    if (this.leased < this.config.maxPages) {
+      this.leased++;
+    } else {
+      await this.waitForTurn();
+    }
+
+    try {
+      const instance = await this.getInstance();
+      instance.uses++;
+      instance.leased++;
+
+      if (instance.uses >= this.config.maxPagesPerBrowser) {
+        // Let this lease finish, then recycle the browser
+        instance.retiring = true;
+      }
+
+      try {
+        const page = instance.idlePages.pop() || await this.createPage(instance.browser);
+        return { page, instance };
+      } catch (err) {
+        instance.leased--;
+        throw err;
+      }
+    } catch (err) {
+      this.freeSlot();
+      throw err;
+    }
+  }
+
+  // Return a leased page. Pages that saw an error are closed rather than reused.
+  async release({ page, instance }, { discard = false } = {}) {
+    instance.leased--;
+
+    try {
+      if (discard || instance.retiring || page.isClosed()) {
+        await page.close().catch(() => {});
+      } else {
+        instance.idlePages.push(page);
+      }
+
+      if (instance.retiring && instance.leased === 0) {
+        await this.closeInstance(instance);
+      }
+    } finally {
+      this.freeSlot();
+    }
+  }
+
+  // Run fn(page) with a leased page
+  async withPage(fn) {
+    const lease = await this.acquire();
+    let failed = false;
+
+    try {
+      return await fn(lease.page);
+    } catch (err) {
+      failed = true;
+      throw err;
+    } finally {
+      await this.release(lease, { discard: failed });
+    }
+  }
+
+  async closeInstance(instance) {
+    if (instance.closing) return;
+
+    instance.closing = true;
+    if (this.current === instance) this.current = null;
+
+    const startedAt = Date.now();
+    await instance.browser.close().catch(err => this.logger.warn('Error closing browser', { error: err }));
+    const durationMs = Date.now() - startedAt;
+    metrics.recordBrowserTeardown(durationMs);
+    this.logger.info('Browser closed', { durationMs, uses: instance.uses });
+  }
+
+  // Close the browser, e.g. on shutdown; the next lease launches a new one
+  async close() {
+    if (this.launching) await this.launching.catch(() => {});
+    if (this.current) await this.closeInstance(this.current);
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      connected: Boolean(this.current?.browser.connected),
+      launches: this.launches,
+      uses: this.current?.uses || 0,
+      maxPagesPerBrowser: this.config.maxPagesPerBrowser,
+      leasedPages: this.leased,
+      idlePages: this.current?.idlePages.length || 0,
+      waiting: this.waiters.length
+    };
+  }
+}
+
+// Create and export instance
+const browserPool = new BrowserPool();
+
+export default browserPool;
+export { BrowserPool };
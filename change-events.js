@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+
+// Get the tier IDs whose numbers differ between two lottery records
+function getChangedTiers(oldRecord, newRecord) {
+  const oldTiers = new Map((oldRecord?.tiers || []).map(tier => [tier.id, tier]));
+
+  return (newRecord?.tiers || [])
+    .filter(tier => {
+      const oldTier = oldTiers.get(tier.id);
+      return !oldTier || oldTier.numbers.join(',') !== tier.numbers.join(',');
+    })
+    .map(tier => tier.id);
+}
+
+// Build one structured event from a changed stock row
+function buildStockEvent(type, record, previous) {
+  return {
+    type,
+    source: 'stock',
+    market: record.stockName,
+    date: record.tradingDate || null,
+    state: record.state || null,
+    record,
+    previous: previous || null
+  };
+}
+
+// Build one structured event from a changed lottery draw
+function buildLotteryEvent(type, record, previous) {
+  return {
+    type,
+    source: 'lottery',
+    market: 'lottery',
+    date: record.date,
+    drawId: record.drawId || null,
+    tiers: type === 'removed' ? [] : getChangedTiers(previous, record),
+    record,
+    previous: previous || null
+  };
+}
+
+// Build one structured event from a changed row of another lotto432k section
+// (source is the section ID, e.g. "hanoi")
+function buildSectionEvent(source, type, record, previous) {
+  return {
+    type,
+    source,
+    market: record.market,
+    name: record.name || null,
+    date: record.date || null,
+    state: record.state || null,
+    record,
+    previous: previous || null
+  };
+}
+
+// Turn the { added, updated, removed } result of a manager's processNewData()
+// into a flat list of change events
+export function buildChangeEvents(source, changes) {
+  const builders = { lottery: buildLotteryEvent, stock: buildStockEvent };
+  const build = builders[source] || ((type, record, previous) => buildSectionEvent(source, type, record, previous));
+  const occurredAt = new Date().toISOString();
+
+  const events = [
+    ...changes.added.map(record => build('added', record)),
+    ...changes.updated.map(change => build('updated', change.new, change.old)),
+    ...changes.removed.map(record => build('removed', record))
+  ];
+
+  return events.map(event => ({ id: crypto.randomUUID(), occurredAt, ...event }));
+}
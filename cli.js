@@ -0,0 +1,525 @@
+import { parseArgs } from 'util';
+import { writeFile } from 'fs/promises';
+import { MANAGERS, attachAnalytics, configureService, loadStoredData, startService } from './service.js';
+import { ConfigError } from './config.js';
+import { SECTIONS } from './lotto432k-sections.js';
+import { checkStoredTickets } from './ticket-checker.js';
+import exporter, { FORMATS } from './exporter.js';
+import analytics from './analytics.js';
+import browserPool from './browser-pool.js';
+import apiServer from './api-server.js';
+import logger from './logger.js';
+
+const USAGE = `Usage:
+  node cli.js start [--only stock|lottery]
+  node cli.js run-once stock|lottery
+  node cli.js status [--url http://host:port]
+  node cli.js show stocks [--market name] [--history] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+  node cli.js show lottery [--draw latest|DDMMYYYY|YYYY-MM-DD] [--history] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+  node cli.js show ${Object.keys(SECTIONS).join('|')} [--market key] [--history]
+  node cli.js export stocks|lottery|<section> [--format csv|ndjson] [--current] [--market name]
+                   [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--state state]... [--tier id]... [--out file]
+  node cli.js export --daily [--date YYYY-MM-DD]
+  node cli.js stats [series] [--window N] [--out file.json]
+  node cli.js backfill --from YYYY-MM-DD [--to YYYY-MM-DD] [--delay ms]
+  node cli.js backfill --last N [--delay ms]
+  node cli.js check-ticket <ticket...> [--draw latest|DDMMYYYY|YYYY-MM-DD]
+
+Options for every command:
+  --json                   print machine-readable JSON
+  --config file.json       read settings from this file instead of $LOTTO_CONFIG or config.json
+                           (sections: stock, lottery, export, notifier, analytics, watchdog, api; see config.example.json)
+  --config section.key=value
+                           override one setting, e.g. --config lottery.maxRetries=5
+                           (values are parsed as JSON when possible)
+
+Settings can also come from LOTTO_<SECTION>_<SETTING> variables, e.g. LOTTO_STOCK_MIN_INTERVAL=60000.
+Precedence: defaults, config file, environment, --config section.key=value.
+
+Exit codes: 0 success, 1 failed cycle, backfill or ticket check, 2 usage or config error`;
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean', default: false },
+  config: { type: 'string', multiple: true, default: [] }
+};
+
+// Thrown for bad command lines; exits with 2 and prints the usage
+class UsageError extends Error {}
+
+// Options taking a whole number, with the smallest value each accepts
+const INTEGER_OPTIONS = { window: 1, last: 1, delay: 0 };
+
+// Turn the integer options of a command line into numbers, before anything
+// is loaded or fetched
+function parseIntegerOptions(values) {
+  for (const [name, min] of Object.entries(INTEGER_OPTIONS)) {
+    if (values[name] === undefined) continue;
+
+    const value = /^\d+$/.test(values[name].trim()) ? Number(values[name]) : NaN;
+    if (!(value >= min)) {
+      throw new UsageError(`--${name} must be an integer >= ${min}, got "${values[name]}"`);
+    }
+    values[name] = value;
+  }
+}
+
+// Options taking a calendar date
+const DATE_OPTIONS = ['from', 'to', 'date'];
+
+// Check the date options of a command line are real YYYY-MM-DD dates and
+// that --from is not after --to
+function checkDateOptions(values) {
+  for (const name of DATE_OPTIONS) {
+    if (values[name] === undefined) continue;
+
+    // A day past the end of its month rolls over, so it no longer reads the same
+    const date = new Date(`${values[name]}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values[name]) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== values[name]) {
+      throw new UsageError(`--${name} must be a date in YYYY-MM-DD format, got "${values[name]}"`);
+    }
+  }
+
+  if (values.from && values.to && values.from > values.to) {
+    throw new UsageError(`--from ${values.from} is after --to ${values.to}`);
+  }
+}
+
+// Accept "stocks" for "stock" so the manager names read like the show targets
+function resolveManager(name) {
+  const resolved = name === 'stocks' ? 'stock' : name;
+  if (!MANAGERS[resolved]) {
+    throw new UsageError(`Unknown manager "${name}" (expected one of ${Object.keys(MANAGERS).join(', ')})`);
+  }
+  return resolved;
+}
+
+// Parse an override value as JSON (numbers, booleans, arrays), else keep the string
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+// Load the configuration from the --config files (else LOTTO_CONFIG or
+// config.json), the environment and section.key=value entries, and apply it
+async function configure(entries) {
+  const files = [];
+  const overrides = {};
+
+  for (const entry of entries) {
+    const match = entry.match(/^(\w+)\.(\w+)=(.*)$/s);
+
+    if (match) {
+      const [, section, key, raw] = match;
+      overrides[section] = { ...overrides[section], [key]: parseValue(raw) };
+    } else {
+      files.push(entry);
+    }
+  }
+
+  return configureService({ files, overrides });
+}
+
+// Print a value as JSON
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+// One line per stock market
+function formatStock(row) {
+  return `${row.stockName}  ${row.threeDigits}/${row.twoDigits}  ${row.state || '-'}  ${row.tradingDate || ''}`.trimEnd();
+}
+
+// A draw with its tiers, one per line
+function formatDraw(draw) {
+  const status = draw.verification ? ` [${draw.verification.status}]` : '';
+  return [
+    `🎰 Draw ${draw.drawId || '-'} (${draw.date})${status}`,
+    ...(draw.tiers || []).map(tier => `   ${tier.name || tier.id}: ${tier.numbers.join(' ')}`)
+  ].join('\n');
+}
+
+// One line per row of a lotto432k section
+function formatSectionRow(id, row) {
+  const result = SECTIONS[id].resultFields.map(field => row[field]).join('/');
+  return `${row.name || row.market}  ${result}  ${row.state || '-'}  ${row.date || ''}`.trimEnd();
+}
+
+// The highlights of a statistics report
+function formatReport(report) {
+  const list = (entries, describe) => entries.map(describe).join(', ') || '-';
+  const lines = [`📊 ${report.series}: ${report.draws} draws, ${report.firstDate} to ${report.lastDate}; hot and cold over the last ${report.window}`];
+
+  for (const [kind, label] of [['twoDigits', '2 digits'], ['threeDigits', '3 digits']]) {
+    const { hot, cold, digits, numbers } = report[kind];
+    const absent = numbers
+      .filter(entry => entry.daysSince !== null)
+      .sort((a, b) => b.daysSince - a.daysSince)
+      .slice(0, cold.length);
+
+    lines.push(
+      `   ${label} hot: ${list(hot, entry => `${entry.number} (${entry.count})`)}`,
+      `   ${label} cold: ${list(cold, entry => `${entry.number} (${entry.count})`)}`,
+      `   ${label} longest absent: ${list(absent, entry => `${entry.number} (${entry.daysSince} days)`)}`,
+      `   ${label} digit counts: ${list(digits, (count, digit) => `${digit}:${count}`)}`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+// A manager's status on one line
+function formatStatus(name, status) {
+  const cycle = status.lastCycle
+    ? `last cycle ${status.lastCycle.success ? 'ok' : `failed (${status.lastCycle.error})`} at ${status.lastCycle.finishedAt}`
+    : 'no cycle yet';
+  const nextRun = status.nextRun ? `, next run ${status.nextRun.at} (${status.nextRun.reason})` : '';
+  const circuits = Object.entries(status.circuits || { [name]: status.circuit })
+    .filter(([, circuit]) => circuit && circuit.state !== 'closed')
+    .map(([source, circuit]) => `, ${source} circuit ${circuit.state} (retry at ${circuit.retryAt})`)
+    .join('');
+  return `${name}: ${status.isRunning ? 'running' : 'stopped'}, ${status.recordCount} records, ${cycle}${nextRun}${circuits}`;
+}
+
+// Start the long-running service, reloading safe settings when the config
+// files change; resolves to null so the process keeps running
+async function start({ values, config }) {
+  await startService({ only: values.only ? resolveManager(values.only) : null, config });
+  return null;
+}
+
+// Run a single scraping cycle and exit with 0 on success, 1 on failure
+async function runOnce({ values, positionals }) {
+  if (positionals.length !== 1) {
+    throw new UsageError('run-once needs exactly one manager');
+  }
+
+  const name = resolveManager(positionals[0]);
+  const manager = MANAGERS[name];
+  await loadStoredData(name);
+
+  const changes = {};
+  const countChanges = ({ source, changes: { added, updated, removed } }) => {
+    changes[source] = { added: added.length, updated: updated.length, removed: removed.length };
+  };
+  manager.on('changes', countChanges);
+  for (const section of manager.sections?.values() || []) {
+    section.on('changes', countChanges);
+  }
+
+  try {
+    const success = await manager.runScrapingCycle();
+    const { durationMs, error } = manager.lastCycle;
+
+    if (values.json) {
+      printJson({ manager: name, success, durationMs, error, changes });
+    } else if (success) {
+      const summary = Object.entries(changes)
+        .map(([source, counts]) => `${source} ${counts.added} added, ${counts.updated} updated, ${counts.removed} removed`);
+      console.log(`✅ ${name} cycle succeeded in ${durationMs} ms: ${summary.join('; ') || 'no changes'}`);
+    } else {
+      console.log(`❌ ${name} cycle failed after ${durationMs} ms: ${error}`);
+    }
+
+    return success ? 0 : 1;
+  } finally {
+    if (name === 'stock') await browserPool.close();
+  }
+}
+
+// Show the status of the running service, or of the stored data when no
+// service answers
+async function status({ values }) {
+  const url = values.url || `http://127.0.0.1:${apiServer.config.port}`;
+  let result;
+
+  try {
+    const response = await fetch(`${url}/api/status`, { signal: AbortSignal.timeout(3000) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    result = { source: 'service', ...(await response.json()) };
+  } catch {
+    result = { source: 'local' };
+    for (const name of Object.keys(MANAGERS)) {
+      await loadStoredData(name);
+      result[name] = MANAGERS[name].getStatus();
+    }
+  }
+
+  if (values.json) {
+    printJson(result);
+  } else {
+    console.log(result.source === 'service' ? `Service at ${url}` : 'No service answering, showing stored data');
+    for (const name of Object.keys(MANAGERS)) {
+      console.log(formatStatus(name, result[name]));
+    }
+    if (result.watchdog) {
+      const { status: health, issues } = result.watchdog;
+      console.log(`watchdog: ${health}${issues.length > 0 ? ` (${issues.map(issue => issue.reason).join('; ')})` : ''}`);
+    }
+  }
+
+  return 0;
+}
+
+// Show stored stock, lottery or section results
+async function show({ values, positionals }) {
+  const [target] = positionals;
+  const range = { from: values.from, to: values.to };
+
+  if (target === 'stocks' || target === 'stock') {
+    await loadStoredData('stock');
+    const rows = values.history
+      ? MANAGERS.stock.getHistory({ market: values.market, ...range })
+      : MANAGERS.stock.getCurrentData().filter(row => !values.market || row.stockName === values.market || row.countryCode === values.market);
+
+    if (values.json) printJson(rows);
+    else rows.forEach(row => console.log(formatStock(row)));
+    return 0;
+  }
+
+  if (target === 'lottery') {
+    await loadStoredData('lottery');
+    let draws;
+    if (values.history) {
+      draws = MANAGERS.lottery.getHistory(range);
+    } else {
+      const draw = MANAGERS.lottery.getDraw(values.draw || 'latest');
+      if (!draw) throw new Error(`No stored lottery draw found for "${values.draw || 'latest'}"`);
+      draws = [draw];
+    }
+
+    if (values.json) printJson(values.history ? draws : draws[0]);
+    else draws.forEach(draw => console.log(formatDraw(draw)));
+    return 0;
+  }
+
+  if (SECTIONS[target]) {
+    await loadStoredData('stock');
+    const section = MANAGERS.stock.getSection(target);
+    if (!section) throw new UsageError(`Section "${target}" is not enabled in the stock config`);
+
+    const rows = values.history
+      ? section.getHistory({ market: values.market, ...range })
+      : section.getCurrentData().filter(row => !values.market || row.market === values.market || row.name === values.market);
+
+    if (values.json) printJson(rows);
+    else rows.forEach(row => console.log(formatSectionRow(target, row)));
+    return 0;
+  }
+
+  throw new UsageError(`show needs one of stocks, lottery, ${Object.keys(SECTIONS).join(', ')}`);
+}
+
+// Export stored results as CSV or NDJSON, or write the daily export files
+async function exportData({ values, positionals }) {
+  if (values.daily) {
+    for (const name of Object.keys(MANAGERS)) await loadStoredData(name);
+    const files = await exporter.writeDailyFiles(values.date);
+
+    if (values.json) printJson(files);
+    else files.forEach(({ file, rowCount }) => console.log(`💾 ${file} (${rowCount} rows)`));
+    return 0;
+  }
+
+  const [dataset] = positionals;
+  if (positionals.length !== 1 || !(dataset === 'stocks' || dataset === 'lottery' || SECTIONS[dataset])) {
+    throw new UsageError(`export needs exactly one of stocks, lottery, ${Object.keys(SECTIONS).join(', ')}`);
+  }
+
+  if (!FORMATS[values.format]) {
+    throw new UsageError(`Unknown export format "${values.format}" (expected one of ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  await loadStoredData(dataset === 'lottery' ? 'lottery' : 'stock');
+
+  const { content, rowCount } = exporter.export(dataset, {
+    format: values.format,
+    current: values.current,
+    market: values.market,
+    from: values.from,
+    to: values.to,
+    states: values.state,
+    tiers: values.tier
+  });
+
+  if (values.out) {
+    await writeFile(values.out, content, 'utf-8');
+    console.error(`💾 Exported ${rowCount} ${dataset} rows to ${values.out}`);
+  } else {
+    process.stdout.write(content);
+  }
+
+  return 0;
+}
+
+// Show number statistics of a series (a stock market, "lottery" or
+// "<section>:<market>"), or list the series; --out writes the JSON report,
+// of every series when none is named
+async function stats({ values, positionals }) {
+  if (positionals.length > 1) {
+    throw new UsageError('stats takes at most one series');
+  }
+
+  const { window } = values;
+
+  attachAnalytics();
+  for (const name of Object.keys(MANAGERS)) await loadStoredData(name);
+
+  const [key] = positionals;
+  const result = key ? analytics.getReport(key, { window }) : values.out ? analytics.getReports({ window }) : analytics.getSeries();
+  if (!result) {
+    throw new Error(`No statistics for "${key}" (see node cli.js stats for the series)`);
+  }
+
+  if (values.out) {
+    await writeFile(values.out, JSON.stringify(result, null, 2), 'utf-8');
+    const count = key ? 1 : result.reports.length;
+    console.error(`💾 Wrote ${count} statistics report${count === 1 ? '' : 's'} to ${values.out}`);
+  } else if (values.json) {
+    printJson(result);
+  } else if (key) {
+    console.log(formatReport(result));
+  } else {
+    result.forEach(series => console.log(`${series.series}  ${series.draws} draws  ${series.firstDate} to ${series.lastDate}`));
+  }
+
+  return 0;
+}
+
+// Fetch past lottery draws into history
+async function backfill({ values }) {
+  if (!values.from && !values.last) {
+    throw new UsageError('backfill needs --from or --last');
+  }
+
+  const summary = await MANAGERS.lottery.backfill({
+    from: values.from,
+    to: values.to,
+    last: values.last,
+    delayMs: values.delay
+  });
+
+  if (values.json) {
+    printJson(summary);
+  } else {
+    console.log(`📚 Backfill: ${summary.fetched} fetched, ${summary.skipped} skipped, ${summary.missing} missing, ${summary.failed} failed`);
+  }
+
+  return summary.failed > 0 ? 1 : 0;
+}
+
+// Check tickets against a stored lottery draw
+async function checkTicket({ values, positionals }) {
+  if (positionals.length === 0) {
+    throw new UsageError('check-ticket needs at least one ticket number');
+  }
+
+  await loadStoredData('lottery');
+
+  const result = checkStoredTickets(positionals, values.draw);
+
+  if (values.json) {
+    printJson(result);
+  } else {
+    console.log(`🎫 Draw ${result.drawId || result.date}`);
+    result.results.forEach(entry => {
+      if (entry.error) {
+        console.log(`   ${entry.ticket}: ⚠️ ${entry.error}`);
+      } else if (entry.isWinner) {
+        const prizes = entry.prizes.map(prize => `${prize.name || prize.id}${prize.reward ? ` (${prize.reward})` : ''}`);
+        console.log(`   ${entry.ticket}: 🏆 ${prizes.join(', ')} = ${entry.totalReward}`);
+      } else {
+        console.log(`   ${entry.ticket}: no prize`);
+      }
+    });
+  }
+
+  return result.results.some(entry => entry.error) ? 1 : 0;
+}
+
+// Each command with its own options; `positionals` says whether it takes any
+const commands = {
+  start: { run: start, options: { only: { type: 'string' } } },
+  'run-once': { run: runOnce, positionals: true },
+  status: { run: status, options: { url: { type: 'string' } } },
+  show: {
+    run: show,
+    positionals: true,
+    options: {
+      market: { type: 'string' },
+      draw: { type: 'string' },
+      history: { type: 'boolean', default: false },
+      from: { type: 'string' },
+      to: { type: 'string' }
+    }
+  },
+  export: {
+    run: exportData,
+    positionals: true,
+    options: {
+      format: { type: 'string', default: 'csv' },
+      current: { type: 'boolean', default: false },
+      market: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      state: { type: 'string', multiple: true },
+      tier: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      daily: { type: 'boolean', default: false },
+      date: { type: 'string' }
+    }
+  },
+  stats: {
+    run: stats,
+    positionals: true,
+    options: {
+      window: { type: 'string' },
+      out: { type: 'string' }
+    }
+  },
+  backfill: {
+    run: backfill,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      last: { type: 'string' },
+      delay: { type: 'string' }
+    }
+  },
+  'check-ticket': { run: checkTicket, positionals: true, options: { draw: { type: 'string', default: 'latest' } } }
+};
+
+const [commandName, ...args] = process.argv.slice(2);
+const command = commands[commandName];
+
+if (!command) {
+  console.log(USAGE);
+  process.exit(commandName ? 2 : 0);
+}
+
+let exitCode;
+try {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, allowPositionals: Boolean(command.positionals), options: { ...GLOBAL_OPTIONS, ...command.options } });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  parseIntegerOptions(parsed.values);
+  checkDateOptions(parsed.values);
+
+  const config = await configure(parsed.values.config);
+  exitCode = await command.run({ ...parsed, config });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  if (error instanceof UsageError) console.log(USAGE);
+  exitCode = error instanceof UsageError || error instanceof ConfigError ? 2 : 1;
+}
+
+// `start` keeps running; everything else exits once its log lines are written
+if (exitCode !== null) {
+  await logger.flush();
+  process.exit(exitCode);
+}
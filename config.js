@@ -0,0 +1,434 @@
+import { promises as fs, watchFile, unwatchFile } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SECTIONS } from './lotto432k-sections.js';
+import { PROVIDER_NAMES } from './lottery-providers.js';
+import { STOCK_DEFAULTS } from './stock-scraper.js';
+import { LOTTERY_DEFAULTS } from './lotterry-scraper.js';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Read when neither --config nor LOTTO_CONFIG names a file; optional
+const DEFAULT_FILE = path.join(__dirname, 'config.json');
+
+const interval = (min = 1000) => ({ type: 'integer', min, reload: true });
+const file = { type: 'string' };
+const storage = { type: 'string', enum: ['json', 'sqlite'] };
+
+// Settings each config section accepts. Anything not set keeps the default
+// from the module's own CONFIG. `reload: true` marks settings that are safe
+// to change while the service runs; the others need a restart.
+export const CONFIG_SCHEMA = {
+  stock: {
+    siteUrl: { type: 'url' },
+    dataFile: file,
+    historyFile: file,
+    storage,
+    sqliteFile: file,
+    logFile: file,
+    sectionDataDir: file,
+    sections: { type: 'array', items: { enum: Object.keys(SECTIONS) } },
+    minInterval: interval(),
+    maxInterval: interval(),
+    maxRetries: { type: 'integer', min: 1, reload: true },
+    retryDelay: interval(0),
+    maxRetryDelay: interval(0),
+    circuitFailureThreshold: { type: 'integer', min: 1, reload: true },
+    circuitCooldown: interval(),
+    useMarketSchedule: { type: 'boolean', reload: true },
+    activeInterval: interval(),
+    windowGrace: interval(0),
+    minIdleInterval: interval(),
+    maxIdleInterval: interval(),
+    scheduleOverrides: { type: 'object', reload: true },
+    markets: { type: 'array', items: { type: 'string' }, reload: true }
+  },
+  lottery: {
+    apiBaseUrl: { type: 'url' },
+    gloBaseUrl: { type: 'url' },
+    providers: { type: 'array', items: { enum: PROVIDER_NAMES }, minItems: 1 },
+    dataFile: file,
+    historyFile: file,
+    storage,
+    sqliteFile: file,
+    backfillStateFile: file,
+    logFile: file,
+    minInterval: interval(),
+    maxInterval: interval(),
+    maxRetries: { type: 'integer', min: 1, reload: true },
+    retryDelay: interval(0),
+    maxRetryDelay: interval(0),
+    circuitFailureThreshold: { type: 'integer', min: 1, reload: true },
+    circuitCooldown: interval(),
+    backfillDelay: interval(0),
+    backfillMaxLookbackDays: { type: 'integer', min: 1, reload: true },
+    useDrawCalendar: { type: 'boolean', reload: true },
+    announcementStart: { type: 'time', reload: true },
+    announcementInterval: interval(),
+    maxIdleInterval: interval(),
+    calendarOverrides: { type: 'object', reload: true }
+  },
+  export: {
+    dir: { type: 'string', reload: true },
+    dailyAt: { type: 'time', optional: true, reload: true },
+    datasets: { type: 'array', items: { enum: ['stocks', 'lottery', ...Object.keys(SECTIONS)] }, reload: true },
+    formats: { type: 'array', items: { enum: ['csv', 'ndjson'] }, minItems: 1, reload: true }
+  },
+  notifier: {
+    targets: { type: 'array', items: { type: 'object' }, reload: true }
+  },
+  analytics: {
+    window: { type: 'integer', min: 1, reload: true },
+    topCount: { type: 'integer', min: 1, reload: true }
+  },
+  watchdog: {
+    checkInterval: interval(),
+    maxConsecutiveFailures: { type: 'integer', min: 1, reload: true },
+    stockStaleAfter: interval(),
+    lotteryStaleAfter: interval(),
+    maxCycleDuration: interval(),
+    stockPendingGrace: interval(0),
+    lotteryPendingGrace: interval(0)
+  },
+  api: {
+    port: { type: 'integer', min: 0, max: 65535 },
+    host: { type: 'string' },
+    token: { type: 'string', optional: true, reload: true }, // Empty disables POST /api/run/:manager
+    corsOrigin: { type: 'string', reload: true }
+  }
+};
+
+// Variables the API server was configured with before it had a section,
+// still read when the LOTTO_API_* one is not set
+const LEGACY_ENV = {
+  api: { port: 'API_PORT', host: 'API_HOST', token: 'API_TOKEN', corsOrigin: 'API_CORS_ORIGIN' }
+};
+
+// The polling interval bounds must not cross; one that is not set keeps
+// the manager's default
+const checkIntervals = ({ minInterval, maxInterval }) => minInterval > maxInterval && 'minInterval must not exceed maxInterval';
+
+// Settings checked against each other once a section is merged
+const SECTION_CHECKS = {
+  stock: config => checkIntervals({ ...STOCK_DEFAULTS, ...config }),
+  lottery: config => checkIntervals({ ...LOTTERY_DEFAULTS, ...config })
+};
+
+// Invalid configuration; `problems` lists every invalid setting
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Describe what a rule expects, for error messages
+function describeRule(rule) {
+  if (rule.enum) return `one of ${rule.enum.join(', ')}`;
+  if (rule.type === 'integer') {
+    if (rule.max !== undefined) return `an integer from ${rule.min} to ${rule.max}`;
+    return rule.min !== undefined ? `an integer >= ${rule.min}` : 'an integer';
+  }
+  if (rule.type === 'url') return 'an http(s) URL';
+  if (rule.type === 'time') return rule.optional ? 'HH:MM or an empty string' : 'HH:MM';
+  if (rule.type === 'array') {
+    if (!rule.items) return 'a list';
+    return rule.items.enum ? `a list of ${rule.items.enum.join(', ')}` : `a list of ${rule.items.type}s`;
+  }
+  if (rule.type === 'string' && rule.optional) return 'a string (may be empty)';
+  return rule.type === 'object' ? 'an object' : `a ${rule.type}`;
+}
+
+// Check one value against its rule
+function isValid(rule, value) {
+  if (rule.enum) return rule.enum.includes(value);
+
+  switch (rule.type) {
+    case 'string': return typeof value === 'string' && (value.length > 0 || Boolean(rule.optional));
+    case 'integer':
+      return Number.isInteger(value) && (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'url': return typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+    case 'time': return typeof value === 'string' && (/^([01]\d|2[0-3]):[0-5]\d$/.test(value) || (rule.optional && value === ''));
+    case 'array':
+      return Array.isArray(value) && value.length >= (rule.minItems || 0) && (!rule.items || value.every(item => isValid(rule.items, item)));
+    default: return false;
+  }
+}
+
+// Validate one source of settings ({ section: { key: value } }) and return
+// its problems, each prefixed with where the setting came from
+function validateSource(config, origin) {
+  const problems = [];
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return [`${origin}: expected an object with ${Object.keys(CONFIG_SCHEMA).join(', ')} sections`];
+  }
+
+  for (const [section, settings] of Object.entries(config)) {
+    const schema = CONFIG_SCHEMA[section];
+    if (!schema) {
+      problems.push(`${origin}: unknown section "${section}" (expected one of ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+      continue;
+    }
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+      problems.push(`${origin}: ${section} must be an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (!schema[key]) {
+        problems.push(`${origin}: ${section}.${key} is not a known setting`);
+      } else if (!isValid(schema[key], value)) {
+        problems.push(`${origin}: ${section}.${key} must be ${describeRule(schema[key])}, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Environment variable of a setting, e.g. stock.minInterval -> LOTTO_STOCK_MIN_INTERVAL
+export function envName(section, key) {
+  return `LOTTO_${section}_${key.replace(/[A-Z]/g, letter => `_${letter}`)}`.toUpperCase();
+}
+
+// Get the variable a setting is read from: LOTTO_<SECTION>_<SETTING>, or
+// its legacy name when only that one is set
+function findEnvVariable(env, section, key) {
+  const name = envName(section, key);
+  const legacy = LEGACY_ENV[section]?.[key];
+  return env[name] === undefined && legacy && env[legacy] !== undefined ? legacy : name;
+}
+
+// Convert an environment string to the type its rule expects; lists take
+// JSON or comma-separated values
+function parseEnvValue(rule, raw) {
+  if (rule.type === 'integer') return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+  if (rule.type === 'boolean') return { true: true, false: false, 1: true, 0: false }[raw.trim().toLowerCase()] ?? raw;
+  if (rule.type === 'object' || (rule.type === 'array' && raw.trim().startsWith('['))) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  if (rule.type === 'array') return raw.split(',').map(item => item.trim()).filter(Boolean);
+  return raw;
+}
+
+// Read every LOTTO_<SECTION>_<SETTING> variable (and the legacy API_* ones)
+export function readEnvConfig(env = process.env) {
+  const config = {};
+
+  for (const [section, schema] of Object.entries(CONFIG_SCHEMA)) {
+    for (const [key, rule] of Object.entries(schema)) {
+      const raw = env[findEnvVariable(env, section, key)];
+      if (raw === undefined) continue;
+
+      config[section] ??= {};
+      config[section][key] = parseEnvValue(rule, raw);
+    }
+  }
+
+  return config;
+}
+
+// Merge config sources section by section, later ones winning
+function mergeConfig(...sources) {
+  const merged = {};
+
+  for (const source of sources) {
+    for (const [section, settings] of Object.entries(source)) {
+      merged[section] = { ...merged[section], ...settings };
+    }
+  }
+
+  return merged;
+}
+
+// Load the configuration: config files (default: LOTTO_CONFIG, else
+// config.json when present), then LOTTO_* environment variables, then
+// `overrides` ({ section: { key: value } }, e.g. from the command line).
+// Throws a ConfigError listing every invalid setting.
+export async function loadConfig({ files = [], env = process.env, overrides = {} } = {}) {
+  const requested = files.length > 0 ? files : [env.LOTTO_CONFIG].filter(Boolean);
+  const problems = [];
+  const sources = [];
+  const loadedFiles = [];
+
+  if (requested.length === 0) {
+    try {
+      await fs.access(DEFAULT_FILE);
+      requested.push(DEFAULT_FILE);
+    } catch {
+      // No config file: defaults and environment only
+    }
+  }
+
+  for (const requestedFile of requested) {
+    const resolved = path.resolve(requestedFile);
+    try {
+      const config = JSON.parse(await fs.readFile(resolved, 'utf-8'));
+      problems.push(...validateSource(config, resolved));
+      sources.push(config);
+      loadedFiles.push(resolved);
+    } catch (error) {
+      problems.push(`${resolved}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+  }
+
+  const envConfig = readEnvConfig(env);
+  for (const [section, settings] of Object.entries(envConfig)) {
+    for (const [key, value] of Object.entries(settings)) {
+      problems.push(...validateSource({ [section]: { [key]: value } }, findEnvVariable(env, section, key)));
+    }
+  }
+
+  problems.push(...validateSource(overrides, 'command line'));
+
+  const config = problems.length === 0 ? mergeConfig(...sources, envConfig, overrides) : {};
+  for (const [section, check] of Object.entries(SECTION_CHECKS)) {
+    const problem = config[section] && check(config[section]);
+    if (problem) problems.push(`${section}: ${problem}`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return { files: loadedFiles, config };
+}
+
+// Hand each section's settings to its component's configure(); components
+// reject settings they cannot use (e.g. notification targets without a url)
+export function applyConfig(config, components) {
+  const problems = [];
+
+  for (const [section, settings] of Object.entries(config)) {
+    if (Object.keys(settings).length === 0) continue;
+
+    try {
+      components[section].configure(settings);
+    } catch (error) {
+      problems.push(`${section}: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+}
+
+// List the settings that differ between two loaded configurations, split
+// into those safe to reload and those that need a restart. A setting that
+// was removed reloads as undefined, i.e. back to its default.
+export function diffConfig(previous, next) {
+  const reloadable = {};
+  const restartNeeded = [];
+
+  for (const [section, schema] of Object.entries(CONFIG_SCHEMA)) {
+    for (const key of Object.keys(schema)) {
+      const before = previous[section]?.[key];
+      const after = next[section]?.[key];
+      if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+      if (schema[key].reload) {
+        reloadable[section] ??= {};
+        reloadable[section][key] = after;
+      } else {
+        restartNeeded.push(`${section}.${key}`);
+      }
+    }
+  }
+
+  return { reloadable, restartNeeded };
+}
+
+// Watches the loaded config files and reloads the safe settings into the
+// running components; invalid edits are logged and ignored
+class ConfigWatcher {
+  constructor() {
+    this.loaded = null;
+    this.options = null;
+    this.components = null;
+    this.files = [];
+    this.lastReload = null;
+    this.logger = logger.child({ source: 'config' });
+  }
+
+  // Start watching the files a loadConfig(options) call read
+  watch(loaded, options, components, { pollInterval = 2000 } = {}) {
+    this.stop();
+    this.loaded = loaded;
+    this.options = options;
+    this.components = components;
+    this.files = loaded.files;
+
+    for (const watched of this.files) {
+      watchFile(watched, { interval: pollInterval }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) this.reload();
+      });
+    }
+
+    if (this.files.length > 0) {
+      this.logger.info('Watching configuration for changes', { files: this.files });
+    }
+  }
+
+  // Load the configuration again and apply what changed
+  async reload() {
+    let next;
+    try {
+      next = await loadConfig(this.options);
+    } catch (error) {
+      this.lastReload = { at: new Date().toISOString(), ok: false, error: error.message };
+      this.logger.error('Configuration reload rejected, keeping the current settings', { error: error.message });
+      return this.lastReload;
+    }
+
+    const { reloadable, restartNeeded } = diffConfig(this.loaded.config, next.config);
+    const applied = [];
+
+    for (const [section, settings] of Object.entries(reloadable)) {
+      try {
+        await this.components[section].reload(settings);
+        applied.push(...Object.keys(settings).map(key => `${section}.${key}`));
+      } catch (error) {
+        this.logger.error('Error reloading configuration', { section, error });
+      }
+    }
+
+    if (restartNeeded.length > 0) {
+      this.logger.warn('Configuration changes need a restart to take effect', { settings: restartNeeded });
+    }
+    if (applied.length > 0) {
+      this.logger.info('Configuration reloaded', { settings: applied });
+    }
+
+    this.loaded = next;
+    this.lastReload = { at: new Date().toISOString(), ok: true, applied, restartNeeded };
+    return this.lastReload;
+  }
+
+  // Stop watching
+  stop() {
+    for (const watched of this.files) unwatchFile(watched);
+    this.files = [];
+  }
+
+  // Get current status
+  getStatus() {
+    return { files: this.files, lastReload: this.lastReload };
+  }
+}
+
+// Create and export instance
+const configWatcher = new ConfigWatcher();
+
+export default configWatcher;
+export { ConfigWatcher };
@@ -0,0 +1,86 @@
+// Results on both sources are published on Thai time, so dates are resolved in Asia/Bangkok
+const BANGKOK_TIMEZONE = 'Asia/Bangkok';
+const BUDDHIST_ERA_OFFSET = 543;
+
+// Get the calendar date (YYYY-MM-DD) of an instant in a given timezone
+export function getZonedDate(date = new Date(), timeZone = BANGKOK_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+// Get the Bangkok calendar date (YYYY-MM-DD) of an instant
+export function getBangkokDate(date = new Date()) {
+  return getZonedDate(date, BANGKOK_TIMEZONE);
+}
+
+// Convert a DDMMYYYY Buddhist-era lotto ID (e.g. "01072568") to YYYY-MM-DD
+export function lottoIdToDate(lottoId) {
+  const match = /^(\d{2})(\d{2})(\d{4})$/.exec(String(lottoId));
+  if (!match) return null;
+
+  const [, day, month, buddhistYear] = match;
+  return `${Number(buddhistYear) - BUDDHIST_ERA_OFFSET}-${month}-${day}`;
+}
+
+// Convert a YYYY-MM-DD date to a DDMMYYYY Buddhist-era lotto ID
+export function dateToLottoId(isoDate) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(isoDate));
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  return `${day}${month}${Number(year) + BUDDHIST_ERA_OFFSET}`;
+}
+
+// Get the offset (ms) of a timezone from UTC at a given instant
+function getTimeZoneOffset(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock date (YYYY-MM-DD) and time (HH:MM) in a timezone to an instant
+export function zonedTimeToInstant(isoDate, time, timeZone = BANGKOK_TIMEZONE) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Apply the offset twice so instants next to a DST switch resolve correctly
+  let instant = new Date(wallClock - getTimeZoneOffset(new Date(wallClock), timeZone));
+  instant = new Date(wallClock - getTimeZoneOffset(instant, timeZone));
+  return instant;
+}
+
+// Shift a YYYY-MM-DD date by a number of days
+export function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Count the days from one YYYY-MM-DD date to another
+export function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+// Get the weekday (0 = Sunday) of a YYYY-MM-DD date
+export function getWeekday(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
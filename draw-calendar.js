@@ -0,0 +1,106 @@
+import { getBangkokDate, addDays, zonedTimeToInstant } from './date-utils.js';
+
+// Draws that are moved off the 1st/16th because of public holidays
+// (MM-DD of the regular date -> where the draw takes place instead)
+export const SHIFTED_DRAW_DATES = {
+  '01-01': { monthOffset: -1, day: 30 }, // New Year's Day -> 30 December
+  '01-16': { monthOffset: 0, day: 17 }, // Teachers' Day -> 17 January
+  '05-01': { monthOffset: 0, day: 2 } // Labour Day -> 2 May
+};
+
+// Calendar of Thai government lottery draws: the 1st and 16th of each month,
+// the usual holiday shifts, and configurable one-off overrides.
+class DrawCalendar {
+  // overrides: {
+  //   moved: { 'YYYY-MM-DD': 'YYYY-MM-DD' }, // regular date -> actual draw date
+  //   added: ['YYYY-MM-DD'],                  // extra draws
+  //   cancelled: ['YYYY-MM-DD']               // draws that do not take place
+  // }
+  constructor(overrides = {}) {
+    this.moved = overrides.moved || {};
+    this.added = overrides.added || [];
+    this.cancelled = overrides.cancelled || [];
+  }
+
+  // List the regular 1st/16th dates that fall in or just around a range
+  getRegularDates(from, to) {
+    const dates = [];
+    const start = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T00:00:00Z`);
+
+    // Start a month early so a draw shifted back into the range is included
+    for (
+      let month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 1, 1));
+      month <= end;
+      month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1))
+    ) {
+      for (const day of [1, 16]) {
+        dates.push(new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), day)).toISOString().slice(0, 10));
+      }
+    }
+
+    // ...and a month late so a draw shifted forward into the range is too
+    const after = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 1)).toISOString().slice(0, 10);
+    dates.push(after);
+
+    return dates;
+  }
+
+  // Get the holiday-shifted date of a regular draw date, or null
+  getShiftedDate(regularDate) {
+    const shift = SHIFTED_DRAW_DATES[regularDate.slice(5)];
+    if (!shift) return null;
+
+    const date = new Date(`${regularDate}T00:00:00Z`);
+    return new Date(Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth() + shift.monthOffset,
+      shift.day
+    )).toISOString().slice(0, 10);
+  }
+
+  // Get the expected draw dates (YYYY-MM-DD) in an inclusive range
+  getDrawDates(from, to) {
+    const dates = new Set();
+
+    for (const regularDate of this.getRegularDates(from, to)) {
+      const date = this.moved[regularDate] || this.getShiftedDate(regularDate) || regularDate;
+      dates.add(date);
+    }
+
+    this.added.forEach(date => dates.add(date));
+    this.cancelled.forEach(date => dates.delete(date));
+
+    return [...dates].filter(date => date >= from && date <= to).sort();
+  }
+
+  // Get every date a past draw may have taken place on in a range: the
+  // expected dates plus the unshifted ones, since the holiday shifts have not
+  // applied in every year
+  getCandidateDates(from, to) {
+    const dates = new Set(this.getDrawDates(from, to));
+
+    for (const regularDate of this.getRegularDates(from, to)) {
+      dates.add(regularDate);
+    }
+
+    return [...dates].filter(date => date >= from && date <= to).sort();
+  }
+
+  // Check whether a draw is expected on a date
+  isDrawDate(date) {
+    return this.getDrawDates(date, date).length > 0;
+  }
+
+  // Get the first expected draw date on or after a date
+  getNextDrawDate(fromDate = getBangkokDate()) {
+    return this.getDrawDates(fromDate, addDays(fromDate, 62))[0] || null;
+  }
+
+  // Get the instant announcements start on a draw date (Bangkok wall-clock time)
+  getAnnouncementStart(drawDate, time) {
+    return zonedTimeToInstant(drawDate, time);
+  }
+}
+
+export default DrawCalendar;
@@ -0,0 +1,251 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import stockManager from './stock-scraper.js';
+import lotteryManager from './lotterry-scraper.js';
+import { SECTIONS } from './lotto432k-sections.js';
+import { getBangkokDate, zonedTimeToInstant, addDays } from './date-utils.js';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const CONFIG = {
+  dir: process.env.EXPORT_DIR || path.join(__dirname, 'exports'),
+  dailyAt: process.env.EXPORT_DAILY_AT || '', // HH:MM Bangkok time; empty disables daily files
+  datasets: ['stocks', 'lottery'], // Any of stocks, lottery and the lotto432k section IDs
+  formats: ['csv'],
+};
+
+// UTF-8 byte order mark, so Excel reads Thai market names as UTF-8
+const BOM = '\uFEFF';
+
+// Escape one CSV value; lists (lottery numbers) are joined with spaces
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const FORMATS = {
+  csv: {
+    extension: 'csv',
+    format: (rows, columns) => BOM + [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(values => values.map(csvValue).join(','))
+      .join('\r\n') + '\r\n'
+  },
+  ndjson: {
+    extension: 'ndjson',
+    format: rows => rows.map(row => JSON.stringify(row) + '\n').join('')
+  }
+};
+
+// Get the flattened columns of a dataset
+export function getColumns(dataset) {
+  if (dataset === 'stocks') {
+    return ['date', 'market', 'countryCode', 'state', 'threeDigits', 'twoDigits', 'lastUpdated'];
+  }
+  if (dataset === 'lottery') {
+    return ['date', 'drawId', 'tierId', 'tierName', 'reward', 'amount', 'numbers', 'state', 'tierState', 'lastUpdated'];
+  }
+  if (SECTIONS[dataset]) {
+    return ['date', 'market', 'name', 'state', ...SECTIONS[dataset].resultFields, 'lastUpdated'];
+  }
+  throw new Error(`Unknown export dataset "${dataset}" (expected one of stocks, lottery, ${Object.keys(SECTIONS).join(', ')})`);
+}
+
+// Flatten stored records into export rows: one per stock market, one per
+// lottery prize tier (its state is the draw's verification status) and one
+// per section row. Current snapshots and history entries both work.
+export function flattenRecords(dataset, records) {
+  if (dataset === 'lottery') {
+    return records.flatMap(draw => (draw.tiers || []).map(tier => ({
+      date: draw.date,
+      drawId: draw.drawId || null,
+      tierId: tier.id,
+      tierName: tier.name,
+      reward: tier.reward,
+      amount: tier.amount,
+      numbers: tier.numbers,
+      state: draw.verification?.status || null,
+      tierState: draw.verification?.tiers?.[tier.id]?.status || null,
+      lastUpdated: draw.lastUpdated || null
+    })));
+  }
+
+  const columns = getColumns(dataset);
+  return records.map(record => {
+    const row = Object.fromEntries(columns.map(column => [column, record[column] ?? null]));
+    row.date = record.date || record.tradingDate || null;
+    row.market = record.market || record.stockName || null;
+    row.lastUpdated = record.lastUpdated || record.recordedAt || null;
+    return row;
+  });
+}
+
+// Keep the rows matching every given filter: market (or country code), an
+// inclusive YYYY-MM-DD range, states and lottery tier IDs
+export function filterRows(rows, { market, from, to, states, tiers } = {}) {
+  return rows.filter(row =>
+    (!market || row.market === market || row.countryCode === market) &&
+    (!from || row.date >= from) &&
+    (!to || row.date <= to) &&
+    (!states?.length || states.includes(row.state)) &&
+    (!tiers?.length || tiers.includes(row.tierId))
+  );
+}
+
+// Export records of a dataset as CSV or NDJSON
+export function exportRecords(dataset, records, { format = 'csv', ...filters } = {}) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown export format "${format}" (expected one of ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const columns = getColumns(dataset);
+  const rows = filterRows(flattenRecords(dataset, records), filters);
+  return { content: FORMATS[format].format(rows, columns), rowCount: rows.length, columns };
+}
+
+// Options: `config` overrides CONFIG entries, `managers` replaces the stock
+// and lottery managers the data is read from
+class Exporter {
+  constructor({ config = {}, managers = { stock: stockManager, lottery: lotteryManager } } = {}) {
+    this.config = { ...CONFIG, ...config };
+    this.managers = managers;
+    this.isRunning = false;
+    this.timeoutId = null;
+    this.nextRun = null;
+    this.lastRun = null;
+    this.logger = logger.child({ source: 'export' });
+  }
+
+  // Override config entries; takes effect on the next start()
+  configure(config = {}) {
+    this.config = { ...this.config, ...config };
+  }
+
+  // Apply changed settings while running and reschedule the daily export;
+  // an undefined value restores the default
+  reload(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      this.config[key] = value === undefined ? CONFIG[key] : value;
+    }
+
+    if (this.isRunning) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  // Get the stored records of a dataset, its history or its current snapshot
+  getRecords(dataset, { current = false } = {}) {
+    const source = dataset === 'stocks' ? this.managers.stock
+      : dataset === 'lottery' ? this.managers.lottery
+        : this.managers.stock.getSection(dataset);
+
+    if (!source) {
+      throw new Error(`Section "${dataset}" is not enabled in the stock config`);
+    }
+    return current ? source.getCurrentData() : source.getHistory();
+  }
+
+  // Export a dataset's stored records, e.g. export('stocks', { format: 'ndjson', market: 'หุ้นเกาหลี' })
+  export(dataset, { current = false, ...options } = {}) {
+    return exportRecords(dataset, this.getRecords(dataset, { current }), options);
+  }
+
+  // Write the day's history of every configured dataset and format to
+  // <dir>/<dataset>_<YYYY-MM-DD>.<ext>; datasets without results that day are
+  // skipped, and so is a section the stock config does not enable
+  async writeDailyFiles(date = getBangkokDate()) {
+    await fs.mkdir(this.config.dir, { recursive: true });
+    const files = [];
+    const skipped = [];
+
+    for (const dataset of this.config.datasets) {
+      let records;
+      try {
+        records = this.getRecords(dataset);
+      } catch (error) {
+        this.logger.warn('Dataset skipped in daily export', { dataset, error });
+        skipped.push(dataset);
+        continue;
+      }
+
+      for (const format of this.config.formats) {
+        const { content, rowCount } = exportRecords(dataset, records, { format, from: date, to: date });
+        if (rowCount === 0) continue;
+
+        const file = path.join(this.config.dir, `${dataset}_${date}.${FORMATS[format].extension}`);
+        const tempFile = `${file}.tmp`;
+        await fs.writeFile(tempFile, content, 'utf-8');
+        await fs.rename(tempFile, file);
+        files.push({ file, rowCount });
+      }
+    }
+
+    this.lastRun = { date, finishedAt: new Date().toISOString(), files, skipped };
+    this.logger.info('Daily export written', { date, files, skipped });
+    return files;
+  }
+
+  // Schedule the next daily export at dailyAt, Bangkok time
+  scheduleNextRun() {
+    const today = getBangkokDate();
+    let runAt = zonedTimeToInstant(today, this.config.dailyAt);
+    if (runAt <= new Date()) {
+      runAt = zonedTimeToInstant(addDays(today, 1), this.config.dailyAt);
+    }
+    this.nextRun = runAt.toISOString();
+
+    this.timeoutId = setTimeout(async () => {
+      try {
+        await this.writeDailyFiles(getBangkokDate(runAt));
+      } catch (error) {
+        this.logger.error('Daily export failed', { error });
+      }
+      this.scheduleNextRun();
+    }, runAt.getTime() - Date.now());
+  }
+
+  // Start writing daily export files, when dailyAt is set
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    if (!this.config.dailyAt) return;
+
+    if (!/^\d{2}:\d{2}$/.test(this.config.dailyAt)) {
+      throw new Error(`Invalid daily export time "${this.config.dailyAt}" (expected HH:MM)`);
+    }
+
+    this.scheduleNextRun();
+    this.logger.info('Daily export scheduled', { at: this.config.dailyAt, dir: this.config.dir, nextRun: this.nextRun });
+  }
+
+  // Stop the daily exports
+  stop() {
+    this.isRunning = false;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+      this.nextRun = null;
+    }
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      dailyAt: this.config.dailyAt || null,
+      dir: this.config.dir,
+      nextRun: this.nextRun,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Create and export instance
+const exporter = new Exporter();
+
+export default exporter;
+export { Exporter };
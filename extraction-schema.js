@@ -0,0 +1,208 @@
+// Declarative description of how to read a results table off a page.
+//
+// container: { selector, headerSelector, headerIncludes } - the first element
+//   matching `selector` whose header text includes `headerIncludes`
+// table: selector of the table inside the container
+// rows: { selector, cellSelector, minCells, skipWhenEmpty } - rows with fewer
+//   than minCells cells (headers, notes spanning the table) are skipped, as are
+//   rows where every field named in skipWhenEmpty is empty (spacers)
+// fields: { [name]: { column, selector, attribute, transforms, validate } }
+//   column: { header, index } - the cell under the header containing `header`;
+//     `index` is used only when the table has no header row
+//   selector/attribute: read an element inside the cell (or the row when there
+//     is no column), by attribute instead of text when `attribute` is set
+//   transforms: names or { name, ...options }, applied in order; "map" looks the
+//     value up in `values` and yields null for anything not listed
+//   validate: { required, pattern, message } - pattern applies to non-empty values
+//
+// Schemas are plain data so they can live in config and be passed into the page.
+
+// Transforms extractWithSchema() understands
+export const TRANSFORMS = ['trim', 'collapseWhitespace', 'lowercase', 'uppercase', 'match', 'replace', 'map', 'default'];
+
+// The "หวยหุ้นต่างประเทศ" (foreign stocks) card of lotto432k
+export const STOCK_TABLE_SCHEMA = {
+  container: { selector: 'div.card', headerSelector: '.card-header', headerIncludes: 'หวยหุ้นต่างประเทศ' },
+  table: 'table',
+  rows: { selector: 'tr', cellSelector: 'td', minCells: 2, skipWhenEmpty: ['stockName'] },
+  fields: {
+    countryCode: {
+      selector: '.flag-icon',
+      attribute: 'class',
+      transforms: [{ name: 'match', pattern: 'flag-icon-([a-z]+)' }, { name: 'default', value: '' }],
+      validate: { pattern: '^[a-z]{2}$', message: 'a 2-letter country code' }
+    },
+    stockName: {
+      column: { header: 'หุ้น', index: 1 },
+      transforms: ['collapseWhitespace'],
+      validate: { required: true }
+    },
+    threeDigits: {
+      column: { header: '3 ตัวบน', index: 2 },
+      transforms: ['trim'],
+      validate: { required: true, pattern: '^(\\d{3}|x{3})$', message: 'exactly 3 digits or "xxx"' }
+    },
+    twoDigits: {
+      column: { header: '2 ตัวล่าง', index: 3 },
+      transforms: ['trim'],
+      validate: { required: true, pattern: '^(\\d{2}|x{2})$', message: 'exactly 2 digits or "xx"' }
+    }
+  }
+};
+
+// Check a schema before it is used, so a bad config edit fails at startup
+// rather than on every cycle
+export function validateSchema(schema) {
+  const problems = [];
+
+  if (!schema?.container?.selector) problems.push('container.selector is required');
+  if (!schema?.rows?.selector) problems.push('rows.selector is required');
+  if (!schema?.fields || Object.keys(schema.fields).length === 0) problems.push('fields must name at least one field');
+
+  for (const [name, field] of Object.entries(schema?.fields || {})) {
+    for (const transform of field.transforms || []) {
+      const transformName = typeof transform === 'string' ? transform : transform?.name;
+      if (!TRANSFORMS.includes(transformName)) {
+        problems.push(`fields.${name}: unknown transform "${transformName}"`);
+      }
+      if (transformName === 'map' && (typeof transform.values !== 'object' || transform.values === null)) {
+        problems.push(`fields.${name}: map transform needs a values object`);
+      }
+    }
+
+    for (const pattern of [field.validate?.pattern, ...(field.transforms || []).map(transform => transform?.pattern)]) {
+      if (pattern === undefined) continue;
+      try {
+        new RegExp(pattern);
+      } catch (err) {
+        problems.push(`fields.${name}: invalid pattern ${pattern} (${err.message})`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid extraction schema: ${problems.join('; ')}`);
+  }
+  return schema;
+}
+
+// Apply a schema to a document: { containerFound, rows, rejected, errors }.
+// Rows failing validation are returned in `rejected` with their reasons;
+// `errors` lists layout mismatches such as a missing container or column.
+// Runs inside the page via page.evaluate(), so it must not use anything
+// outside its own body; `root` defaults to the page's document there.
+export function extractWithSchema(schema, root = document) {
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+  const result = { containerFound: false, rows: [], rejected: [], errors: [] };
+
+  // Find the container
+  const { container: match } = schema;
+  let container = null;
+  for (const candidate of root.querySelectorAll(match.selector)) {
+    const header = match.headerSelector ? candidate.querySelector(match.headerSelector) : candidate;
+    if (!match.headerIncludes || normalize(header?.textContent).includes(match.headerIncludes)) {
+      container = candidate;
+      break;
+    }
+  }
+
+  if (!container) {
+    result.errors.push(`No ${match.selector} with header "${match.headerIncludes}" found`);
+    return result;
+  }
+
+  const table = schema.table ? container.querySelector(schema.table) : container;
+  if (!table) {
+    result.errors.push(`No ${schema.table} inside the "${match.headerIncludes}" container`);
+    return result;
+  }
+  result.containerFound = true;
+
+  const rows = [...table.querySelectorAll(schema.rows.selector)];
+  const cellSelector = schema.rows.cellSelector || 'td';
+
+  // Map columns by header text, so reordered columns are still read correctly
+  const headerRow = rows.find(row => row.querySelector('th'));
+  const headers = headerRow ? [...headerRow.querySelectorAll('th')].map(cell => normalize(cell.textContent)) : null;
+  const columns = {};
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (!field.column) continue;
+
+    if (headers && field.column.header) {
+      columns[name] = headers.findIndex(text => text.includes(field.column.header));
+      if (columns[name] === -1) {
+        result.errors.push(`Column "${field.column.header}" for ${name} not found in header`);
+      }
+    } else {
+      columns[name] = field.column.index ?? -1;
+    }
+  }
+
+  const applyTransform = (value, transform) => {
+    const { name, ...options } = typeof transform === 'string' ? { name: transform } : transform;
+
+    if (name === 'default') return value === null || value === '' ? options.value : value;
+    if (value === null) return value;
+
+    switch (name) {
+      case 'trim': return value.trim();
+      case 'collapseWhitespace': return normalize(value);
+      case 'lowercase': return value.toLowerCase();
+      case 'uppercase': return value.toUpperCase();
+      case 'match': {
+        const found = value.match(new RegExp(options.pattern, options.flags));
+        return found ? (found[options.group ?? 1] ?? found[0]) : null;
+      }
+      case 'replace': return value.replace(new RegExp(options.pattern, options.flags ?? 'g'), options.with ?? '');
+      case 'map': return Object.hasOwn(options.values, value) ? options.values[value] : null;
+      default: throw new Error(`Unknown transform "${name}"`);
+    }
+  };
+
+  const readField = (row, cells, name, field) => {
+    let node = row;
+    if (field.column) node = cells[columns[name]] || null;
+    if (node && field.selector) node = node.querySelector(field.selector);
+
+    // A missing element reads as null, which transforms such as "default" may replace
+    let raw = null;
+    if (node) raw = field.attribute ? node.getAttribute(field.attribute) : node.textContent;
+    return (field.transforms || []).reduce(applyTransform, raw);
+  };
+
+  const checkField = (value, rules = {}) => {
+    if (value === null || value === undefined || value === '') {
+      return rules.required ? 'is missing' : null;
+    }
+    if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+      return `"${value}" is not ${rules.message || `matching ${rules.pattern}`}`;
+    }
+    return null;
+  };
+
+  rows.forEach((row, index) => {
+    const cells = row.querySelectorAll(cellSelector);
+    if (cells.length < (schema.rows.minCells ?? 0)) return;
+
+    const record = {};
+    const reasons = [];
+
+    for (const [name, field] of Object.entries(schema.fields)) {
+      record[name] = readField(row, cells, name, field);
+      const problem = checkField(record[name], field.validate);
+      if (problem) reasons.push(`${name} ${problem}`);
+    }
+
+    const skipWhenEmpty = schema.rows.skipWhenEmpty || [];
+    if (skipWhenEmpty.length > 0 && skipWhenEmpty.every(name => !record[name])) return;
+
+    if (reasons.length > 0) {
+      result.rejected.push({ row: index, values: record, reasons });
+    } else {
+      result.rows.push(record);
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,100 @@
+// Append-only store of past results, keyed by market and date.
+// A record for a new market/date is appended; a record for an existing
+// market/date replaces that entry only. Entries are never dropped: after a
+// failed load the store refuses to save, so the stored history is not
+// replaced by the few records appended since.
+class HistoryStore {
+  constructor({ storage }) {
+    this.storage = storage;
+    this.entries = new Map();
+    this.loadError = null;
+  }
+
+  // Build the lookup key for a record
+  getKey(record) {
+    return `${record.market || ''}|${record.date}`;
+  }
+
+  // Load existing history from storage; resolves to the number of records and,
+  // when the file was unreadable, the backup it was recovered from
+  async load() {
+    this.entries = new Map();
+
+    try {
+      const { records, recoveredFrom } = await this.storage.loadHistory();
+      this.entries = new Map(records.map(record => [this.getKey(record), record]));
+      this.loadError = null;
+      return { count: this.entries.size, recoveredFrom };
+    } catch (error) {
+      this.loadError = error;
+      throw error;
+    }
+  }
+
+  // Throw while the last load failed
+  checkLoaded() {
+    if (this.loadError) {
+      const error = new Error(`History was not loaded (${this.loadError.message}); refusing to overwrite it`);
+      error.code = 'ENOTLOADED';
+      throw error;
+    }
+  }
+
+  // Save the given changed records (and the whole history, for backends
+  // that rewrite it at once); refused until a failed load succeeds
+  async save(changedRecords) {
+    this.checkLoaded();
+    await this.storage.saveHistory(changedRecords, this.getHistory());
+  }
+
+  // Add records to history and persist them
+  async append(records) {
+    this.checkLoaded();
+    const result = { added: 0, updated: 0 };
+    const changed = [];
+
+    for (const record of records) {
+      if (!record || !record.date) continue;
+
+      const key = this.getKey(record);
+      if (this.entries.has(key)) {
+        result.updated++;
+      } else {
+        result.added++;
+      }
+
+      const entry = { ...record, recordedAt: new Date().toISOString() };
+      this.entries.set(key, entry);
+      changed.push(entry);
+    }
+
+    if (changed.length > 0) {
+      await this.save(changed);
+    }
+
+    return result;
+  }
+
+  // Check whether a record exists for a market/date
+  has(date, market) {
+    return this.entries.has(this.getKey({ date, market }));
+  }
+
+  // Query history, optionally filtered by market and inclusive YYYY-MM-DD range
+  getHistory({ market, from, to } = {}) {
+    const results = [];
+
+    for (const record of this.entries.values()) {
+      if (market && record.market !== market) continue;
+      if (from && record.date < from) continue;
+      if (to && record.date > to) continue;
+      results.push(record);
+    }
+
+    return results.sort((a, b) =>
+      a.date.localeCompare(b.date) || String(a.market || '').localeCompare(String(b.market || ''))
+    );
+  }
+}
+
+export default HistoryStore;
@@ -2,13 +2,17 @@
 // import { writeFile, readFile } from 'fs/promises';
 // import path from 'path';
 // import { fileURLToPath } from 'url';
-import stockManager from './stock-scraper.js';
-import lotteryManager from './lotterry-scraper.js';
-
-await Promise.all([
-  stockManager.start(),
-  lotteryManager.start()
-]);
+import { configureService, startService } from './service.js';
+import { ConfigError } from './config.js';
+
+// Same as `node cli.js start`; the config file comes from LOTTO_CONFIG or config.json
+try {
+  await startService({ config: await configureService() });
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`❌ ${error.message}`);
+  process.exit(2);
+}
 
 
 // const FILE_PATH = 'latest_lottery_record.json';
@@ -0,0 +1,140 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { migrate, getSchemaVersion } from './migrations.js';
+
+// Configuration
+const CONFIG = {
+  backups: 3, // Rotating copies kept as <file>.bak.1 (newest) .. <file>.bak.N
+};
+
+// Pending writes per file, so saves of the same file never interleave
+const writeQueues = new Map();
+
+// Get the path of the n-th backup of a file
+function backupPath(file, n) {
+  return `${file}.bak.${n}`;
+}
+
+// Shift <file>.bak.1..N-1 up by one and copy the current file to <file>.bak.1
+async function rotateBackups(file, backups) {
+  if (backups <= 0) return;
+
+  for (let n = backups - 1; n >= 1; n--) {
+    try {
+      await fs.rename(backupPath(file, n), backupPath(file, n + 1));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  try {
+    await fs.copyFile(file, backupPath(file, 1));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+// Flush a directory entry so a rename survives power loss (not supported on every platform)
+async function syncDirectory(dir) {
+  let handle;
+  try {
+    handle = await fs.open(dir, 'r');
+    await handle.sync();
+  } catch {
+    // Directories cannot be opened or synced on Windows
+  } finally {
+    await handle?.close();
+  }
+}
+
+// Write a file atomically: write a temp file, fsync it, then rename it over the target
+async function writeFileAtomic(file, content, backups) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const handle = await fs.open(tempFile, 'w');
+
+  try {
+    try {
+      await handle.writeFile(content, 'utf-8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await rotateBackups(file, backups);
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    // Do not leave a half-written temp file behind
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+
+  await syncDirectory(path.dirname(file));
+}
+
+// Read and migrate one file; throws on missing, unreadable or invalid content
+async function readDocument(file, kind) {
+  const content = await fs.readFile(file, 'utf-8');
+  return migrate(kind, JSON.parse(content));
+}
+
+// Save records as a versioned document:
+// { schemaVersion, lastUpdated, recordCount, data }
+export async function writeJsonDocument(file, data, { kind, backups = CONFIG.backups } = {}) {
+  const document = {
+    schemaVersion: getSchemaVersion(kind),
+    lastUpdated: new Date().toISOString(),
+    recordCount: data.length,
+    data
+  };
+  const content = JSON.stringify(document, null, 2);
+
+  const previous = writeQueues.get(file) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => writeFileAtomic(file, content, backups));
+  writeQueues.set(file, write);
+
+  try {
+    await write;
+  } finally {
+    if (writeQueues.get(file) === write) {
+      writeQueues.delete(file);
+    }
+  }
+}
+
+// Load a versioned document, migrating older formats to the current schema.
+// When the file cannot be parsed, the newest readable backup is used instead
+// and `recoveredFrom` names it. When no copy is readable, the broken file is
+// moved aside to <file>.corrupt-<time> and an error with code "ECORRUPT" is thrown.
+// A missing file throws the usual ENOENT error; a file written by a newer
+// version throws "ESCHEMA" and is left untouched.
+export async function readJsonDocument(file, { kind, backups = CONFIG.backups } = {}) {
+  let primaryError;
+
+  try {
+    const { document, fromVersion } = await readDocument(file, kind);
+    return { document, recoveredFrom: null, migratedFrom: fromVersion !== document.schemaVersion ? fromVersion : null };
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ESCHEMA') throw err;
+    primaryError = err;
+  }
+
+  for (let n = 1; n <= backups; n++) {
+    try {
+      const { document, fromVersion } = await readDocument(backupPath(file, n), kind);
+      return {
+        document,
+        recoveredFrom: backupPath(file, n),
+        migratedFrom: fromVersion !== document.schemaVersion ? fromVersion : null
+      };
+    } catch {
+      // Try the next older backup
+    }
+  }
+
+  const quarantine = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  await fs.rename(file, quarantine).catch(() => {});
+
+  const error = new Error(`${path.basename(file)} is unreadable (${primaryError.message}) and no backup could be recovered; moved to ${path.basename(quarantine)}`);
+  error.code = 'ECORRUPT';
+  throw error;
+}
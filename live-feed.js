@@ -0,0 +1,217 @@
+import { WebSocketServer } from 'ws';
+import stockManager from './stock-scraper.js';
+import lotteryManager from './lotterry-scraper.js';
+import { buildChangeEvents } from './change-events.js';
+import logger from './logger.js';
+
+// Configuration
+const CONFIG = {
+  wsPath: '/api/ws',
+  bufferSize: 1000, // Events kept for clients resuming from a last event ID
+  heartbeatInterval: 25 * 1000,
+};
+
+// Push change events to Server-Sent Events and WebSocket subscribers.
+// Topics: "stock" (every market), "stock:<market>" (one market), "lottery",
+// and a lotto432k section by its ID, e.g. "hanoi" or "hanoi:<market>".
+class LiveFeed {
+  constructor() {
+    this.clients = new Set();
+    this.buffer = [];
+    // Event IDs continue from the boot time so they keep increasing across restarts
+    this.nextId = Date.now();
+    this.heartbeatTimer = null;
+    this.wss = new WebSocketServer({ noServer: true });
+    this.logger = logger.child({ source: 'live-feed' });
+  }
+
+  // Subscribe to a manager's change events
+  attach(manager) {
+    manager.on('changes', ({ source, changes }) => this.publish(source, changes));
+  }
+
+  // Broadcast the changes computed by a manager's processNewData()
+  publish(source, changes) {
+    for (const event of buildChangeEvents(source, changes)) {
+      const message = { id: String(this.nextId++), event };
+
+      this.buffer.push(message);
+      if (this.buffer.length > CONFIG.bufferSize) {
+        this.buffer.shift();
+      }
+
+      for (const client of this.clients) {
+        if (this.matchesTopics(client.topics, event)) {
+          client.send('change', message.id, event);
+        }
+      }
+    }
+  }
+
+  // Parse a comma-separated topic list; no topics means everything
+  parseTopics(value) {
+    const topics = (value || '').split(',').map(topic => topic.trim()).filter(Boolean);
+    return topics.length > 0 ? topics : ['stock', 'lottery', ...stockManager.sections.keys()];
+  }
+
+  // Check whether an event belongs to any of a client's topics
+  matchesTopics(topics, event) {
+    return topics.some(topic => {
+      if (topic === event.source) return true;
+      return event.source !== 'lottery' && topic === `${event.source}:${event.market}`;
+    });
+  }
+
+  // Select the rows of a source (stock or a section) that a client's topics
+  // ask for, or null when they ask for none of them
+  selectRows(topics, source, rows, getMarket) {
+    const wantsAll = topics.includes(source);
+    const markets = topics.filter(topic => topic.startsWith(`${source}:`)).map(topic => topic.slice(source.length + 1));
+    if (!wantsAll && markets.length === 0) return null;
+
+    return rows.filter(row => wantsAll || markets.includes(getMarket(row)));
+  }
+
+  // Build the current state of a client's topics
+  buildSnapshot(topics) {
+    const snapshot = {};
+
+    const stocks = this.selectRows(topics, 'stock', stockManager.getCurrentData(), row => row.stockName);
+    if (stocks) snapshot.stock = stocks;
+
+    if (topics.includes('lottery')) {
+      snapshot.lottery = lotteryManager.getDraw('latest');
+    }
+
+    for (const [id, section] of stockManager.sections) {
+      const rows = this.selectRows(topics, id, section.getCurrentData(), row => row.market);
+      if (rows) snapshot[id] = rows;
+    }
+
+    return snapshot;
+  }
+
+  // Check whether the events after lastEventId are all still buffered: it must
+  // be a buffered event or the one just before the oldest (or, with nothing
+  // buffered yet, the ID this run's snapshots carry). Anything else - evicted,
+  // unknown, newer than the buffer or from before a restart - gets a snapshot.
+  canResume(lastEventId) {
+    if (!lastEventId) return false;
+
+    const oldestId = this.buffer.length > 0 ? Number(this.buffer[0].id) : this.nextId;
+    return String(oldestId - 1) === lastEventId || this.buffer.some(message => message.id === lastEventId);
+  }
+
+  // Send a new client either the events it missed or, when those are no longer
+  // buffered (or it has never connected), a snapshot of its topics
+  sendInitialState(client, lastEventId) {
+    if (this.canResume(lastEventId == null ? null : String(lastEventId))) {
+      this.buffer
+        .filter(message => Number(message.id) > Number(lastEventId) && this.matchesTopics(client.topics, message.event))
+        .forEach(message => client.send('change', message.id, message.event));
+      return;
+    }
+
+    const lastId = this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].id : String(this.nextId - 1);
+    client.send('snapshot', lastId, this.buildSnapshot(client.topics));
+  }
+
+  // Serve an SSE stream: GET /api/stream?topics=stock:หุ้นนิเคอิบ่าย,lottery
+  handleSse(req, res, url) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      topics: this.parseTopics(url.searchParams.get('topics')),
+      send: (type, id, data) => res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`),
+      heartbeat: () => res.write(': heartbeat\n\n'),
+      close: () => res.end()
+    };
+
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+
+    this.sendInitialState(client, req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
+  }
+
+  // Accept a WebSocket upgrade on /api/ws; returns false for other paths
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (url.pathname !== CONFIG.wsPath) return false;
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      const client = {
+        topics: this.parseTopics(url.searchParams.get('topics')),
+        send: (type, id, data) => {
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ type, id, data }));
+          }
+        },
+        heartbeat: () => ws.ping(),
+        close: () => ws.close(1001, 'Server shutting down')
+      };
+
+      this.clients.add(client);
+      ws.on('close', () => this.clients.delete(client));
+      // A malformed frame fails the socket; without a listener it would take the process down
+      ws.on('error', error => {
+        this.clients.delete(client);
+        this.logger.warn('WebSocket client failed', { error: error.message });
+      });
+
+      // Clients may change topics or resume: { type: 'subscribe', topics: [...], lastEventId? }
+      ws.on('message', raw => {
+        try {
+          const message = JSON.parse(raw);
+          if (message.type === 'subscribe') {
+            client.topics = this.parseTopics([].concat(message.topics || []).join(','));
+            this.sendInitialState(client, message.lastEventId);
+          }
+        } catch (error) {
+          client.send('error', String(this.nextId - 1), { error: `Invalid message: ${error.message}` });
+        }
+      });
+
+      this.sendInitialState(client, url.searchParams.get('lastEventId'));
+    });
+
+    return true;
+  }
+
+  // Start sending heartbeats so idle connections stay open through proxies
+  start() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(client => client.heartbeat());
+    }, CONFIG.heartbeatInterval);
+  }
+
+  // Stop heartbeats and disconnect every subscriber
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.clients.forEach(client => client.close());
+    this.clients.clear();
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      subscribers: this.clients.size,
+      bufferedEvents: this.buffer.length,
+      lastEventId: this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].id : null
+    };
+  }
+}
+
+// Create and export instance
+const liveFeed = new LiveFeed();
+
+export default liveFeed;
+export { LiveFeed };
@@ -0,0 +1,199 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Configuration
+const CONFIG = {
+  level: process.env.LOG_LEVEL || 'info', // Lowest level written: debug, info, warn or error
+  console: process.env.LOG_CONSOLE || 'pretty', // Console output: "pretty", "json" or "off"
+  maxSize: 10 * 1024 * 1024, // Rotate a log file once it reaches this many bytes...
+  maxAge: 24 * 60 * 60 * 1000, // ...or once its first entry is this old
+  retention: 7, // Rotated files kept per log file; older ones are deleted
+};
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// ANSI colours of the console formatter
+const LEVEL_COLORS = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET_COLOR = '\x1b[0m';
+
+// Fields added to every entry written inside withContext(), e.g. the cycleId
+const contextStorage = new AsyncLocalStorage();
+
+// Open log files by path, shared by every logger writing to them
+const logFiles = new Map();
+
+// Append-only NDJSON file that rotates to <file>.<time> by size and age
+class RotatingFile {
+  constructor(file) {
+    this.file = file;
+    this.size = null; // Unknown until the file is first inspected
+    this.startedAt = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Queue a line; writes of one file never interleave
+  write(line) {
+    this.queue = this.queue
+      .then(() => this.append(line))
+      .catch(err => console.error('Failed to write to log file:', err));
+    return this.queue;
+  }
+
+  async append(line) {
+    if (this.size === null) {
+      await this.inspect();
+    }
+
+    const bytes = Buffer.byteLength(line);
+    const tooBig = this.size > 0 && this.size + bytes > CONFIG.maxSize;
+    const tooOld = this.size > 0 && Date.now() - this.startedAt >= CONFIG.maxAge;
+
+    if (tooBig || tooOld) {
+      await this.rotate();
+    }
+
+    await fs.appendFile(this.file, line);
+    this.size += bytes;
+  }
+
+  // Read the size and age of an existing file
+  async inspect() {
+    try {
+      const stat = await fs.stat(this.file);
+      this.size = stat.size;
+      this.startedAt = stat.birthtimeMs || stat.mtimeMs;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.size = 0;
+      this.startedAt = Date.now();
+    }
+  }
+
+  // Move the current file aside and delete rotated files beyond the retention
+  async rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.rename(this.file, `${this.file}.${stamp}`);
+    this.size = 0;
+    this.startedAt = Date.now();
+
+    const dir = path.dirname(this.file);
+    const prefix = `${path.basename(this.file)}.`;
+    const rotated = (await fs.readdir(dir))
+      .filter(name => name.startsWith(prefix) && /^\d{4}-\d{2}-\d{2}T/.test(name.slice(prefix.length)))
+      .sort()
+      .reverse();
+
+    for (const name of rotated.slice(CONFIG.retention)) {
+      await fs.unlink(path.join(dir, name)).catch(() => {});
+    }
+  }
+}
+
+// Get the shared writer of a log file
+function getLogFile(file) {
+  if (!logFiles.has(file)) {
+    logFiles.set(file, new RotatingFile(file));
+  }
+  return logFiles.get(file);
+}
+
+// Make a field value JSON friendly; errors keep their name, message, code and stack
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  return value;
+}
+
+// Format an entry for people: time, level, source, message, then the other
+// fields. Error stacks are left to the log file, to keep one line per entry.
+function formatPretty(entry, useColor) {
+  const { time, level, source, msg, ...fields } = entry;
+  const label = level.toUpperCase().padEnd(5);
+  const extra = Object.entries(fields)
+    .map(([key, value]) => {
+      if (typeof value !== 'object' || value === null) return `${key}=${value}`;
+      const { stack, ...shown } = value;
+      return `${key}=${JSON.stringify(shown)}`;
+    })
+    .join(' ');
+
+  const levelText = useColor ? `${LEVEL_COLORS[level]}${label}${RESET_COLOR}` : label;
+  return `${time} ${levelText} ${source ? `[${source}] ` : ''}${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+class Logger {
+  constructor({ fields = {}, file = null } = {}) {
+    this.fields = fields;
+    this.file = file ? getLogFile(file) : null;
+  }
+
+  // Override CONFIG entries; they apply to every logger and log file
+  configure(config = {}) {
+    Object.assign(CONFIG, config);
+  }
+
+  // Create a logger that adds `fields` to every entry and optionally writes
+  // to its own file
+  child(fields, { file } = {}) {
+    const logger = new Logger({ fields: { ...this.fields, ...fields } });
+    logger.file = file ? getLogFile(file) : this.file;
+    return logger;
+  }
+
+  // Run fn with fields (such as a cycleId) added to every entry logged
+  // anywhere inside it, including across awaits
+  withContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= (LEVELS[CONFIG.level] ?? LEVELS.info);
+  }
+
+  // Write one entry: { time, level, source, msg, ...context, ...fields }
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, ...this.fields, msg };
+    for (const [key, value] of Object.entries({ ...contextStorage.getStore(), ...fields })) {
+      if (value !== undefined) entry[key] = serializeValue(value);
+    }
+
+    if (CONFIG.console === 'json') {
+      console.log(JSON.stringify(entry));
+    } else if (CONFIG.console !== 'off') {
+      const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(formatPretty(entry, stream.isTTY) + '\n');
+    }
+
+    this.file?.write(JSON.stringify(entry) + '\n');
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  // Wait until every queued file write has finished
+  async flush() {
+    await Promise.all([...logFiles.values()].map(file => file.queue));
+  }
+}
+
+// Create and export the root logger; modules derive their own with child()
+const logger = new Logger();
+
+export default logger;
@@ -1,6 +1,17 @@
-import { promises as fs } from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import HistoryStore from './history-store.js';
+import DrawCalendar from './draw-calendar.js';
+import { readJsonDocument, writeJsonDocument } from './json-store.js';
+import { createStorage } from './storage.js';
+import logger from './logger.js';
+import metrics from './metrics.js';
+import { createProvider } from './lottery-providers.js';
+import { reconcileDraw } from './lottery-reconciler.js';
+import { withRetry, CircuitBreaker, CIRCUIT_STATE } from './retry-policy.js';
+import { getBangkokDate, lottoIdToDate, dateToLottoId, addDays } from './date-utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,49 +21,179 @@ const CONFIG = {
   minInterval: 10 * 60 * 1000, // 10 minutes
   maxInterval: 15 * 60 * 1000, // 15 minutes
   dataFile: path.join(__dirname, 'latest_lottery_record.json'),
+  historyFile: path.join(__dirname, 'lottery_history.json'),
+  storage: process.env.STORAGE_BACKEND || 'json', // "json" files or "sqlite" database
+  sqliteFile: path.join(__dirname, 'lotto_results.db'),
+  backfillStateFile: path.join(__dirname, 'lottery_backfill_state.json'),
+  apiBaseUrl: 'https://lotto.api.rayriffy.com',
+  gloBaseUrl: 'https://www.glo.or.th',
+  providers: ['rayriffy', 'glo'], // Sources in order of preference, see lottery-providers.js
   logFile: path.join(__dirname, 'lottery_scraper.log'),
-  maxRetries: 3,
-  retryDelay: 5000,
+  maxRetries: 3, // Attempts per provider
+  retryDelay: 5000, // Before the first retry, doubled for each one after it
+  maxRetryDelay: 60 * 1000,
+  circuitFailureThreshold: 5, // Failed fetches in a row before a provider is left alone
+  circuitCooldown: 30 * 60 * 1000, // How long it is left alone
+  backfillDelay: 2000, // Pause between backfill requests
+  backfillMaxLookbackDays: 30 * 366, // How far back "last N draws" may walk
+  useDrawCalendar: true, // Sleep between draws instead of polling all month
+  announcementStart: '14:30', // Bangkok time prizes start being announced on draw day
+  announcementInterval: 2 * 60 * 1000, // Poll rate while prizes are being announced
+  maxIdleInterval: 6 * 60 * 60 * 1000, // Safety re-check while sleeping between draws
+  calendarOverrides: {}, // { moved: { date: date }, added: [date], cancelled: [date] }
 };
 
-class LotteryManager {
-  constructor() {
+// Tiers a draw has once every prize has been announced
+const EXPECTED_TIERS = [
+  'prizeFirst',
+  'prizeFirstNear',
+  'prizeSecond',
+  'prizeThird',
+  'prizeForth',
+  'prizeFifth',
+  'runningNumberFrontThree',
+  'runningNumberBackThree',
+  'runningNumberBackTwo'
+];
+
+// Options: `config` overrides CONFIG entries, `fetch` is the HTTP client
+// (same signature as the global fetch) and `providers` replaces the provider
+// adapters built from config.providers; all are injectable so tests can run offline
+class LotteryManager extends EventEmitter {
+  constructor({ config = {}, fetch: httpClient = (...args) => fetch(...args), providers = null } = {}) {
+    super();
+    this.config = { ...CONFIG };
+    this.fetch = httpClient;
+    this.injectedProviders = providers;
+    this.disputes = new Map(); // Draw date -> tiers the sources disagree on
     this.currentData = [];
     this.isRunning = false;
+    this.isCycleRunning = false;
     this.timeoutId = null;
+    this.nextRun = null;
+    this.cycleStartedAt = null;
+    this.lastCycle = null;
+    this.configure(config);
   }
 
-  // Load existing data from file
+  // Override config entries and rebuild everything derived from them
+  // (providers, storage, calendar, logger, circuit breakers). Only allowed
+  // while stopped.
+  configure(config = {}) {
+    if (this.isRunning) {
+      throw new Error('Cannot reconfigure the lottery manager while it is running');
+    }
+
+    this.config = { ...this.config, ...config };
+    this.providers = this.injectedProviders || this.config.providers.map(name => createProvider(name, {
+      fetch: this.fetch,
+      baseUrl: { rayriffy: this.config.apiBaseUrl, glo: this.config.gloBaseUrl }[name]
+    }));
+    this.storage = createStorage({
+      backend: this.config.storage,
+      kind: 'lottery',
+      dataFile: this.config.dataFile,
+      historyFile: this.config.historyFile,
+      sqliteFile: this.config.sqliteFile
+    });
+    this.history = new HistoryStore({ storage: this.storage });
+    this.calendar = new DrawCalendar(this.config.calendarOverrides);
+    this.logger = logger.child({ source: 'lottery' }, { file: this.config.logFile });
+    this.circuits = new Map(this.providers.map(provider => [provider.name, new CircuitBreaker({
+      source: provider.name,
+      failureThreshold: this.config.circuitFailureThreshold,
+      cooldown: this.config.circuitCooldown,
+      logger: this.logger
+    })]));
+  }
+
+  // Apply settings that are safe to change while running (intervals, retries,
+  // circuit breakers, announcement times, calendar overrides) and reschedule the pending run.
+  // An undefined value restores the default.
+  reload(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      this.config[key] = value === undefined ? CONFIG[key] : value;
+    }
+    if ('calendarOverrides' in settings) {
+      this.calendar = new DrawCalendar(this.config.calendarOverrides);
+    }
+    for (const circuit of this.circuits.values()) {
+      circuit.configure({ failureThreshold: this.config.circuitFailureThreshold, cooldown: this.config.circuitCooldown });
+    }
+    this.logger.info('Settings reloaded', { settings: Object.keys(settings) });
+
+    if (this.timeoutId && !this.isCycleRunning) {
+      clearTimeout(this.timeoutId);
+      this.scheduleNextRun();
+    }
+  }
+
+  // Load existing data from storage
   async loadExistingData() {
     try {
-      const content = await fs.readFile(CONFIG.dataFile, 'utf-8');
-      const parsedData = JSON.parse(content);
-      this.currentData = parsedData.data || parsedData; // Handle both old and new format
-      this.log(`📂 Loaded ${this.currentData.length} existing lottery records`);
+      const { records, recoveredFrom, migratedFrom } = await this.storage.loadCurrent();
+      this.currentData = records;
+
+      if (recoveredFrom) {
+        this.logger.warn('Data file was unreadable, recovered from backup', { recoveredFrom });
+      }
+      if (migratedFrom !== null) {
+        this.logger.info('Migrated data file', { fromVersion: migratedFrom });
+      }
+      this.logger.info('Loaded existing lottery records', { recordCount: this.currentData.length });
     } catch (err) {
       if (err.code === 'ENOENT') {
-        this.log('📂 No existing data file found, starting fresh');
+        this.logger.info('No existing data found, starting fresh');
         this.currentData = [];
+      } else if (err.code === 'ESCHEMA') {
+        // Never overwrite a file written by a newer version
+        this.logger.error('Error loading existing data', { error: err });
+        throw err;
       } else {
-        this.log(`❌ Error loading existing data: ${err.message}`);
+        this.logger.error('Error loading existing data', { error: err });
         this.currentData = [];
       }
     }
   }
 
-  // Save data to file
+  // Load draw history from storage
+  async loadHistory() {
+    try {
+      const { count, recoveredFrom } = await this.history.load();
+      if (recoveredFrom) {
+        this.logger.warn('History file was unreadable, recovered from backup', { recoveredFrom });
+      }
+      this.logger.info('Loaded historical lottery draws', { recordCount: count });
+      this.emit('history', { source: 'lottery', records: this.getHistory(), loaded: true });
+    } catch (err) {
+      this.logger.error('Error loading history', { error: err });
+      // Never overwrite a file written by a newer version
+      if (err.code === 'ESCHEMA') throw err;
+    }
+  }
+
+  // Record new or corrected draws in history; resolves to whether they were saved
+  async recordHistory(records) {
+    if (records.length === 0) return true;
+
+    try {
+      const result = await this.history.append(records);
+      this.logger.info('History updated', result);
+      this.emit('history', { source: 'lottery', records, loaded: false });
+      return true;
+    } catch (err) {
+      this.logger.error('Error saving history', { error: err });
+      return false;
+    }
+  }
+
+  // Save data to storage
   async saveData(data) {
     try {
-      const dataToSave = {
-        lastUpdated: new Date().toISOString(),
-        recordCount: data.length,
-        data: data
-      };
-      
-      await fs.writeFile(CONFIG.dataFile, JSON.stringify(dataToSave, null, 2), 'utf-8');
-      this.log(`💾 Saved ${data.length} records to ${CONFIG.dataFile}`);
+      await this.storage.saveCurrent(data);
+      this.logger.info('Saved records', { recordCount: data.length, storage: this.storage.describe() });
     } catch (err) {
-      this.log(`❌ Error saving data: ${err.message}`);
+      this.logger.error('Error saving data', { error: err });
     }
   }
 
@@ -92,33 +233,30 @@ class LotteryManager {
     return changes;
   }
 
-  // Check if lottery data has changed between two items
+  // Check if lottery data has changed between two items, including a draw
+  // becoming confirmed or disputed
   hasDataChanged(oldItem, newItem) {
-    return !this.arePrizesEqual(oldItem.prizes, newItem.prizes);
-  }
-
-  // Compare prizes for equality
-  arePrizesEqual(p1, p2) {
-    return (
-      p1.firstPrize === p2.firstPrize &&
-      p1.three_front === p2.three_front &&
-      p1.three_end === p2.three_end &&
-      p1.two_end === p2.two_end
-    );
+    return !this.arePrizesEqual(oldItem.tiers || [], newItem.tiers || []) ||
+           oldItem.verification?.status !== newItem.verification?.status;
   }
 
-  // Log messages with timestamp
-  async log(message) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}`;
-    
-    console.log(logMessage);
-    
-    try {
-      await fs.appendFile(CONFIG.logFile, logMessage + '\n');
-    } catch (err) {
-      console.error('Failed to write to log file:', err);
-    }
+  // Compare two full prize structures (every tier and its numbers) for equality
+  arePrizesEqual(tiers1, tiers2) {
+    if (tiers1.length !== tiers2.length) return false;
+
+    const byId = new Map(tiers2.map(tier => [tier.id, tier]));
+
+    return tiers1.every(tier => {
+      const other = byId.get(tier.id);
+      return (
+        other !== undefined &&
+        tier.name === other.name &&
+        tier.reward === other.reward &&
+        tier.amount === other.amount &&
+        tier.numbers.length === other.numbers.length &&
+        tier.numbers.every((number, index) => number === other.numbers[index])
+      );
+    });
   }
 
   // Get current lottery ID based on date
@@ -130,107 +268,256 @@ class LotteryManager {
     return `${day}${month}${buddhistYear}`;
   }
 
-  // Fetch lottery data from API
-  async fetchLottoData() {
-    const lottoId = this.getCurrentLottoId();
-    this.log(`🌐 Fetching latest lottery data for ${lottoId}...`);
+  // Fetch a draw from one provider behind its circuit breaker, retrying the
+  // failures worth retrying with exponential backoff (see retry-policy.js)
+  fetchFromProvider(provider, lottoId) {
+    const { maxRetries } = this.config;
+
+    return this.circuits.get(provider.name).run(() => withRetry(() => provider.fetchDraw(lottoId), {
+      maxRetries,
+      baseDelay: this.config.retryDelay,
+      maxDelay: this.config.maxRetryDelay,
+      source: provider.name,
+      onFailure: (error, { attempt, willRetry, delay }) => {
+        this.logger.warn('Lottery provider attempt failed', { provider: provider.name, attempt, maxRetries, willRetry, delayMs: delay, error });
+        metrics.recordAttemptFailure('lottery', error, willRetry);
+      }
+    }));
+  }
 
-    const response = await fetch(`https://lotto.api.rayriffy.com/latest`);
-    if (!response.ok) {
-      this.log(`⚠️ No data found (HTTP ${response.status})`);
+  // Fetch a draw from every provider, either the latest draw or a specific
+  // draw ID, and reconcile the results tier by tier. Resolves to null when no
+  // provider has results; throws only when no provider could be reached.
+  async fetchLottoData(lottoId = null) {
+    const drawId = lottoId || this.getCurrentLottoId();
+    this.logger.debug('Fetching lottery data', { drawId, providers: this.providers.map(provider => provider.name) });
+
+    const outcomes = await Promise.allSettled(this.providers.map(async provider => {
+      const startedAt = Date.now();
+      const record = await this.fetchFromProvider(provider, lottoId);
+      this.logger.debug('Lottery provider responded', { provider: provider.name, found: Boolean(record), durationMs: Date.now() - startedAt });
+      return { provider: provider.name, record };
+    }));
+
+    const results = [];
+    const errors = [];
+
+    outcomes.forEach((outcome, index) => {
+      const provider = this.providers[index].name;
+
+      if (outcome.status === 'rejected') {
+        this.logger.warn('Lottery provider failed', { provider, drawId, error: outcome.reason });
+        errors.push(outcome.reason);
+      } else if (outcome.value.record) {
+        results.push(outcome.value);
+      } else {
+        this.logger.warn('No lottery data found', { provider, drawId });
+      }
+    });
+
+    if (results.length === 0) {
+      if (errors.length === this.providers.length) throw errors[0];
       return null;
     }
 
-    const data = await response.json();
-    const result = data.response;
+    const { record, disputes } = reconcileDraw(results);
+    this.reportDisputes(record, disputes);
+    return record;
+  }
 
-    if (!result || !result.prizes || result.prizes.length === 0) {
-      this.log('⚠️ Incomplete or missing prize data.');
-      return null;
+  // Raise a discrepancy event when the sources start disagreeing about a
+  // draw (or disagree differently), and a resolved event once they agree
+  reportDisputes(record, disputes) {
+    const key = disputes.length > 0 ? JSON.stringify(disputes) : null;
+    const previous = this.disputes.get(record.date) || null;
+    if (key === previous) return;
+
+    if (key) {
+      this.disputes.set(record.date, key);
+    } else {
+      this.disputes.delete(record.date);
     }
 
-    const drawDate = result.drawDate || new Date().toISOString();
+    const tiers = disputes.map(dispute => dispute.id);
+    const type = key ? 'discrepancy' : 'resolved';
+    const reason = key
+      ? `${record.verification.sources.join(' and ')} disagree on ${tiers.join(', ')}`
+      : `${record.verification.sources.join(' and ')} agree again`;
 
-    const prizes = {
-      firstPrize: result.prizes[0]?.number || null,
-      three_front: result.runningNumbers?.[0]?.number || null,
-      three_end: result.runningNumbers?.[1]?.number || null,
-      two_end: result.runningNumbers?.[2]?.number || null
-    };
+    if (key) {
+      metrics.recordDiscrepancy('lottery');
+      this.logger.warn('Lottery sources disagree', { date: record.date, drawId: record.drawId, disputes });
+    } else {
+      this.logger.info('Lottery sources agree again', { date: record.date, drawId: record.drawId });
+    }
 
-    return { 
-      date: drawDate, 
-      prizes,
-      lastUpdated: new Date().toISOString()
-    };
+    // Shaped like the watchdog's health events so the notifier can deliver it
+    this.emit('discrepancy', [{
+      id: crypto.randomUUID(),
+      occurredAt: new Date().toISOString(),
+      type,
+      source: 'verification',
+      subject: 'lottery',
+      market: 'lottery',
+      date: record.date,
+      drawId: record.drawId,
+      tiers,
+      disputes,
+      reason
+    }]);
   }
 
-  // Extract lottery data with retry logic
+  // Extract the latest lottery data; every provider is retried on its own,
+  // see fetchFromProvider(). Resolves to null while no results are out.
   async extractWithRetry() {
-    for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
+    const result = await this.fetchLottoData();
+
+    if (!result) {
+      this.logger.info('No lottery results published yet');
+      return null;
+    }
+
+    this.logger.info('Extracted lottery data', { date: result.date, drawId: result.drawId });
+    return [result]; // Return as array to match the pattern
+  }
+
+  // Load backfill progress (draw IDs known to have no results)
+  async loadBackfillState() {
+    try {
+      const { document } = await readJsonDocument(this.config.backfillStateFile, { kind: 'backfill-state', backups: 0 });
+      return { missing: new Set(document.data) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error('Error loading backfill state', { error: err });
+      }
+      return { missing: new Set() };
+    }
+  }
+
+  // Save backfill progress so an interrupted run can resume
+  async saveBackfillState(state) {
+    try {
+      await writeJsonDocument(this.config.backfillStateFile, [...state.missing].sort(), { kind: 'backfill-state', backups: 0 });
+    } catch (err) {
+      this.logger.error('Error saving backfill state', { error: err });
+    }
+  }
+
+  // Fetch past draws into history, either for an inclusive YYYY-MM-DD range
+  // ({ from, to }) or for the most recent draws ({ last }).
+  // Draws already in history are skipped and each draw is persisted as soon as
+  // it is fetched, so re-running after an interruption resumes where it stopped.
+  // A draw that cannot be saved stops the run: the next ones would fail too.
+  async backfill({ from, to, last, delayMs = this.config.backfillDelay } = {}) {
+    const today = getBangkokDate();
+    const summary = { fetched: 0, skipped: 0, missing: 0, failed: 0 };
+
+    if (!last && !from) {
+      throw new Error('Backfill needs either a start date (from) or a draw count (last)');
+    }
+
+    await this.loadHistory();
+    const state = await this.loadBackfillState();
+
+    const rangeEnd = to || today;
+    const rangeStart = from || getBangkokDate(new Date(Date.now() - this.config.backfillMaxLookbackDays * 86400000));
+    const candidates = this.calendar.getCandidateDates(rangeStart, rangeEnd);
+    if (last) candidates.reverse();
+
+    this.logger.info('Starting backfill', last ? { last } : { from: rangeStart, to: rangeEnd });
+
+    let found = 0;
+    let needsDelay = false;
+
+    for (const date of candidates) {
+      if (last && found >= last) break;
+
+      const lottoId = dateToLottoId(date);
+
+      if (this.history.has(date)) {
+        summary.skipped++;
+        found++;
+        continue;
+      }
+
+      if (state.missing.has(lottoId)) {
+        continue;
+      }
+
+      // Rate-limit requests to the API
+      if (needsDelay && delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+      needsDelay = true;
+
       try {
-        this.log(`🔄 Extraction attempt ${attempt}/${CONFIG.maxRetries}`);
-        const result = await this.fetchLottoData();
-        
-        if (result) {
-          this.log(`🎯 Successfully extracted lottery data for ${result.date}`);
-          return [result]; // Return as array to match the pattern
+        const record = await this.fetchLottoData(lottoId);
+
+        if (record) {
+          if (!(await this.recordHistory([record]))) {
+            summary.failed++;
+            this.logger.error('Backfill stopped, history cannot be saved', { drawId: lottoId });
+            break;
+          }
+          summary.fetched++;
+          found++;
+        } else if (date < today) {
+          // Only past dates can be known not to have a draw
+          state.missing.add(lottoId);
+          await this.saveBackfillState(state);
+          summary.missing++;
         }
-      } catch (error) {
-        this.log(`❌ Attempt ${attempt} failed: ${error.message}`);
-        
-        if (attempt === CONFIG.maxRetries) {
-          throw error;
-        }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelay));
+      } catch (err) {
+        this.logger.error('Backfill of draw failed', { drawId: lottoId, error: err });
+        summary.failed++;
       }
     }
-    
-    this.log('❌ All retry attempts failed.');
-    return null;
+
+    this.logger.info('Backfill completed', summary);
+    return summary;
   }
 
   // Process new data and detect changes
   async processNewData(newData) {
     if (!newData || newData.length === 0) {
-      this.log('⚠️ No new data to process');
+      this.logger.warn('No new data to process');
       return { added: [], updated: [], removed: [] };
     }
 
     const changes = this.detectChanges(this.currentData, newData);
     
-    if (changes.added.length > 0) {
-      this.log(`🆕 Added ${changes.added.length} new lottery records:`);
-      changes.added.forEach(record => {
-        this.log(`   + ${record.date}: First Prize ${record.prizes.firstPrize}`);
+    changes.added.forEach(record => {
+      this.logger.info('Draw added', { date: record.date, drawId: record.drawId, firstPrize: record.prizes.firstPrize });
+    });
+
+    changes.updated.forEach(change => {
+      this.logger.info('Draw updated', {
+        date: change.date,
+        drawId: change.new.drawId,
+        firstPrize: change.new.prizes.firstPrize,
+        previousFirstPrize: change.old.prizes.firstPrize
       });
-    }
-
-    if (changes.updated.length > 0) {
-      this.log(`🔄 Updated ${changes.updated.length} lottery records:`);
-      changes.updated.forEach(change => {
-        this.log(`   ~ ${change.date}: Prizes updated`);
-        this.log(`     Old: ${change.old.prizes.firstPrize} | New: ${change.new.prizes.firstPrize}`);
-      });
-    }
+    });
 
-    if (changes.removed.length > 0) {
-      this.log(`❌ Removed ${changes.removed.length} lottery records:`);
-      changes.removed.forEach(record => {
-        this.log(`   - ${record.date}: ${record.prizes.firstPrize}`);
-      });
-    }
+    changes.removed.forEach(record => {
+      this.logger.warn('Draw removed', { date: record.date, drawId: record.drawId, firstPrize: record.prizes.firstPrize });
+    });
 
     const totalChanges = changes.added.length + changes.updated.length + changes.removed.length;
     
     if (totalChanges > 0) {
       this.currentData = newData;
       await this.saveData(newData);
-      this.log(`✅ Data updated with ${totalChanges} changes`);
+      await this.recordHistory([
+        ...changes.added,
+        ...changes.updated.map(change => change.new)
+      ]);
+      this.logger.info('Data updated', { added: changes.added.length, updated: changes.updated.length, removed: changes.removed.length });
+
+      // Let listeners (notifications, live feeds) react to the changes
+      this.emit('changes', { source: 'lottery', changes });
     } else {
-      this.log('📊 No changes detected, data unchanged');
+      this.logger.info('No changes detected');
     }
 
     return changes;
@@ -238,32 +525,128 @@ class LotteryManager {
 
   // Get random interval between min and max
   getRandomInterval() {
-    return Math.floor(Math.random() * (CONFIG.maxInterval - CONFIG.minInterval + 1)) + CONFIG.minInterval;
+    return Math.floor(Math.random() * (this.config.maxInterval - this.config.minInterval + 1)) + this.config.minInterval;
+  }
+
+  // Check whether every prize tier of a draw has been announced
+  isDrawComplete(record) {
+    if (!record || !Array.isArray(record.tiers)) return false;
+
+    return EXPECTED_TIERS.every(tierId => {
+      const tier = record.tiers.find(item => item.id === tierId);
+      return (
+        tier !== undefined &&
+        tier.numbers.length > 0 &&
+        (tier.amount == null || tier.numbers.length === tier.amount) &&
+        tier.numbers.every(number => /^\d+$/.test(number))
+      );
+    });
+  }
+
+  // Get the next draw expected: today's while it is still incomplete,
+  // otherwise the following one
+  getNextDraw(now = new Date()) {
+    const today = getBangkokDate(now);
+    let date = this.calendar.getNextDrawDate(today);
+
+    if (date === today && this.isDrawComplete(this.getDraw(today))) {
+      date = this.calendar.getNextDrawDate(addDays(today, 1));
+    }
+
+    if (!date) return null;
+
+    return {
+      date,
+      drawId: dateToLottoId(date),
+      announcementStart: this.calendar.getAnnouncementStart(date, this.config.announcementStart).toISOString()
+    };
   }
 
-  // Main scraping cycle
+  // Get the delay until the next run: poll while a draw is being announced,
+  // otherwise sleep until the next draw's announcements start
+  getNextInterval(now = new Date()) {
+    // Nothing to ask before the first provider's circuit breaker lets calls through again
+    const circuits = [...this.circuits.values()].map(circuit => circuit.getStatus());
+    if (circuits.length > 0 && circuits.every(circuit => circuit.state === CIRCUIT_STATE.OPEN)) {
+      const retryAt = Math.min(...circuits.map(circuit => Date.parse(circuit.retryAt)));
+      return { delay: Math.max(retryAt - now.getTime(), 0), reason: `every provider's circuit is open until ${new Date(retryAt).toISOString()}` };
+    }
+
+    if (!this.config.useDrawCalendar) {
+      return { delay: this.getRandomInterval(), reason: 'fixed interval' };
+    }
+
+    const nextDraw = this.getNextDraw(now);
+    if (!nextDraw) {
+      return { delay: this.config.maxIdleInterval, reason: 'no upcoming draw in the calendar' };
+    }
+
+    const untilStart = new Date(nextDraw.announcementStart).getTime() - now.getTime();
+
+    if (untilStart <= 0) {
+      return { delay: this.config.announcementInterval, reason: `draw ${nextDraw.drawId} is being announced` };
+    }
+
+    return {
+      delay: Math.min(untilStart, this.config.maxIdleInterval),
+      reason: `waiting for draw ${nextDraw.drawId} at ${nextDraw.announcementStart}`
+    };
+  }
+
+  // Main scraping cycle, resolves to whether it succeeded
   async runScrapingCycle() {
-    try {
-      this.log('🚀 Starting lottery checking cycle...');
-      
-      const newData = await this.extractWithRetry();
-      await this.processNewData(newData);
-      
-      this.log('✅ Lottery checking cycle completed successfully');
-      
-    } catch (error) {
-      this.log(`❌ Lottery checking cycle failed: ${error.message}`);
+    if (this.isCycleRunning) {
+      this.logger.warn('A cycle is already running, skipping');
+      return false;
     }
+
+    this.isCycleRunning = true;
+    const startedAt = Date.now();
+    this.cycleStartedAt = new Date(startedAt).toISOString();
+
+    // Every entry logged during the cycle carries its cycleId
+    return this.logger.withContext({ cycleId: crypto.randomUUID() }, async () => {
+      try {
+        this.logger.info('Starting lottery checking cycle');
+
+        const newData = await this.extractWithRetry();
+        const changes = await this.processNewData(newData);
+        const changed = changes.added.length + changes.updated.length + changes.removed.length > 0;
+
+        const durationMs = Date.now() - startedAt;
+        this.finishCycle({ durationMs, success: true, error: null });
+        metrics.recordCycle('lottery', { success: true, durationMs, recordCount: newData?.length || 0, changed });
+        this.logger.info('Lottery checking cycle completed', { durationMs });
+        return true;
+
+      } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        this.finishCycle({ durationMs, success: false, error: error.message });
+        metrics.recordCycle('lottery', { success: false, durationMs });
+        this.logger.error('Lottery checking cycle failed', { durationMs, error });
+        return false;
+      } finally {
+        this.isCycleRunning = false;
+        this.cycleStartedAt = null;
+      }
+    });
+  }
+
+  // Remember how the last cycle went and tell listeners (the watchdog)
+  finishCycle(outcome) {
+    this.lastCycle = { startedAt: this.cycleStartedAt, finishedAt: new Date().toISOString(), ...outcome };
+    this.emit('cycle', { source: 'lottery', ...this.lastCycle });
   }
 
   // Schedule next run
   scheduleNextRun() {
     if (!this.isRunning) return;
     
-    const interval = this.getRandomInterval();
+    const { delay: interval, reason } = this.getNextInterval();
     const nextRun = new Date(Date.now() + interval);
+    this.nextRun = { at: nextRun.toISOString(), reason };
     
-    this.log(`⏰ Next run scheduled in ${Math.round(interval / 60000)} minutes (at ${nextRun.toLocaleTimeString()})`);
+    this.logger.info('Next run scheduled', { at: this.nextRun.at, delayMs: interval, reason });
     
     this.timeoutId = setTimeout(async () => {
       if (this.isRunning) {
@@ -276,15 +659,16 @@ class LotteryManager {
   // Start the scheduler
   async start() {
     if (this.isRunning) {
-      this.log('⚠️ Scheduler is already running');
+      this.logger.warn('Scheduler is already running');
       return;
     }
 
     this.isRunning = true;
-    this.log('🌟 Starting lottery data scheduler...');
+    this.logger.info('Starting lottery data scheduler');
     
     // Load existing data
     await this.loadExistingData();
+    await this.loadHistory();
     
     // Run initial check
     await this.runScrapingCycle();
@@ -292,13 +676,13 @@ class LotteryManager {
     // Schedule next runs
     this.scheduleNextRun();
     
-    this.log('✅ Scheduler started successfully');
+    this.logger.info('Scheduler started');
   }
 
   // Stop the scheduler
   stop() {
     if (!this.isRunning) {
-      this.log('⚠️ Scheduler is not running');
+      this.logger.warn('Scheduler is not running');
       return;
     }
 
@@ -309,14 +693,23 @@ class LotteryManager {
       this.timeoutId = null;
     }
     
-    this.log('🛑 Scheduler stopped');
+    this.logger.info('Scheduler stopped');
   }
 
   // Get current status
   getStatus() {
     return {
       isRunning: this.isRunning,
+      isCycleRunning: this.isCycleRunning,
+      cycleStartedAt: this.cycleStartedAt,
+      lastCycle: this.lastCycle,
       recordCount: this.currentData.length,
+      providers: this.providers.map(provider => provider.name),
+      circuits: Object.fromEntries([...this.circuits].map(([name, circuit]) => [name, circuit.getStatus()])),
+      verification: this.currentData[0]?.verification?.status || null,
+      disputedDraws: [...this.disputes.keys()],
+      nextDraw: this.getNextDraw(),
+      nextRun: this.nextRun,
       lastUpdated: this.currentData.length > 0 ? this.currentData[0]?.lastUpdated : null
     };
   }
@@ -325,6 +718,25 @@ class LotteryManager {
   getCurrentData() {
     return this.currentData;
   }
+
+  // Get past draws, optionally within an inclusive YYYY-MM-DD range
+  getHistory({ from, to } = {}) {
+    return this.history.getHistory({ from, to });
+  }
+
+  // Find a stored draw by "latest", DDMMYYYY draw ID or YYYY-MM-DD date
+  getDraw(drawRef = 'latest') {
+    const draws = [...this.getHistory(), ...this.currentData];
+
+    if (drawRef === 'latest') {
+      return draws.reduce((latest, draw) => (!latest || draw.date > latest.date ? draw : latest), null);
+    }
+
+    const date = lottoIdToDate(drawRef) || drawRef;
+
+    // Prefer the current snapshot over history when both hold the draw
+    return draws.reverse().find(draw => draw.drawId === drawRef || draw.date === date) || null;
+  }
 }
 
 // Create and export instance
@@ -332,16 +744,17 @@ const lotteryManager = new LotteryManager();
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+  lotteryManager.logger.info('Received SIGINT, shutting down');
   lotteryManager.stop();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
+  lotteryManager.logger.info('Received SIGTERM, shutting down');
   lotteryManager.stop();
   process.exit(0);
 });
 
 // Export the instance as default
-export default lotteryManager;
\ No newline at end of file
+export default lotteryManager;
+export { LotteryManager, CONFIG as LOTTERY_DEFAULTS };
\ No newline at end of file
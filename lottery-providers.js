@@ -0,0 +1,150 @@
+import { summarizePrizes } from './prize-tiers.js';
+import { getBangkokDate, lottoIdToDate, dateToLottoId } from './date-utils.js';
+import { httpStatusError } from './retry-policy.js';
+
+// Provider adapters fetch one Thai government lottery draw from a source and
+// normalize it to the record shape the lottery manager stores. Every adapter has
+//   name                   -> short source name, e.g. "rayriffy"
+//   fetchDraw(drawId|null) -> record for a DDMMYYYY draw ID (or the latest draw),
+//                             or null when the source has no results for it
+// and throws when the source cannot be reached or answers with an error
+// status (an HttpStatusError, see retry-policy.js). `fetch` is injectable so
+// adapters can be tested against local stubs.
+
+// Build a record from normalized tiers
+function buildRecord(date, drawId, tiers) {
+  return {
+    date,
+    drawId,
+    prizes: summarizePrizes(tiers),
+    tiers,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+// Unofficial JSON API at lotto.api.rayriffy.com
+export class RayriffyProvider {
+  constructor({ baseUrl = 'https://lotto.api.rayriffy.com', fetch: httpClient = (...args) => fetch(...args) } = {}) {
+    this.name = 'rayriffy';
+    this.baseUrl = baseUrl;
+    this.fetch = httpClient;
+  }
+
+  // Normalize a prize tier from the API response
+  normalizeTier(tier) {
+    return {
+      id: tier.id,
+      name: tier.name || null,
+      reward: tier.reward != null ? Number(tier.reward) : null,
+      amount: tier.amount != null ? Number(tier.amount) : null,
+      numbers: Array.isArray(tier.number) ? tier.number.map(String) : []
+    };
+  }
+
+  async fetchDraw(drawId = null) {
+    const url = drawId ? `${this.baseUrl}/lotto/${drawId}` : `${this.baseUrl}/latest`;
+    const response = await this.fetch(url);
+
+    // An unknown draw is answered with 404; other error statuses are failures
+    if (response.status === 404) return null;
+    if (!response.ok) throw httpStatusError(response, url, { source: this.name });
+
+    const data = await response.json();
+    const result = data.response;
+
+    if (!result || !result.prizes || result.prizes.length === 0) return null;
+
+    // The API identifies the draw by the DDMMYYYY ID at the end of its endpoint URL
+    const id = result.id || result.endpoint?.match(/(\d{8})\/?$/)?.[1] || null;
+    const date = lottoIdToDate(id) || result.drawDate || getBangkokDate();
+
+    // Keep every tier: first prize, its adjacent numbers, second to fifth
+    // prizes and the front-three/back-three/back-two running numbers
+    const tiers = [
+      ...result.prizes,
+      ...(result.runningNumbers || [])
+    ].map(tier => this.normalizeTier(tier));
+
+    return buildRecord(date, id, tiers);
+  }
+}
+
+// GLO (Government Lottery Office) keys, mapped to our tier IDs
+const GLO_TIERS = {
+  first: 'prizeFirst',
+  near1: 'prizeFirstNear',
+  second: 'prizeSecond',
+  third: 'prizeThird',
+  fourth: 'prizeForth',
+  fifth: 'prizeFifth',
+  last3f: 'runningNumberFrontThree',
+  last3b: 'runningNumberBackThree',
+  last2: 'runningNumberBackTwo'
+};
+
+// Official results API of the Government Lottery Office at glo.or.th
+export class GloProvider {
+  constructor({ baseUrl = 'https://www.glo.or.th', fetch: httpClient = (...args) => fetch(...args) } = {}) {
+    this.name = 'glo';
+    this.baseUrl = baseUrl;
+    this.fetch = httpClient;
+  }
+
+  async fetchDraw(drawId = null) {
+    const date = drawId ? lottoIdToDate(drawId) : null;
+    if (drawId && !date) {
+      throw new Error(`Invalid draw ID "${drawId}"`);
+    }
+
+    // The latest draw has its own endpoint; past draws are looked up by date
+    const [year, month, day] = date ? date.split('-') : [];
+    const url = date ? `${this.baseUrl}/api/checking/getLotteryResult` : `${this.baseUrl}/api/lottery/getLatestLottery`;
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(date ? { date: day, month, year } : {})
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) throw httpStatusError(response, url, { source: this.name });
+
+    const data = await response.json();
+    const result = data.response?.result;
+
+    if (!data.status || !result?.data || !/^\d{4}-\d{2}-\d{2}$/.test(result.date || '')) return null;
+
+    const tiers = Object.entries(GLO_TIERS)
+      .filter(([key]) => result.data[key])
+      .map(([key, id]) => {
+        const numbers = (result.data[key].number || []).map(item => String(item.value));
+        return {
+          id,
+          name: null,
+          reward: result.data[key].price != null ? Number(result.data[key].price) : null,
+          amount: numbers.length,
+          numbers
+        };
+      })
+      .filter(tier => tier.numbers.length > 0);
+
+    if (tiers.length === 0) return null;
+
+    return buildRecord(result.date, dateToLottoId(result.date), tiers);
+  }
+}
+
+const PROVIDERS = {
+  rayriffy: RayriffyProvider,
+  glo: GloProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Create a provider adapter by name
+export function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown lottery provider "${name}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
@@ -0,0 +1,86 @@
+// Cross-check one draw as reported by several providers, tier by tier.
+//
+// Tier status:
+//   confirmed   - at least two sources report the same numbers and none differs
+//   unconfirmed - only one source has announced the tier so far
+//   disputed    - sources report different numbers
+//   pending     - the primary source has not announced the tier yet
+// Draw status: "confirmed" when every tier is, "disputed" when any tier is,
+// "partial" when some tiers are confirmed, otherwise "unconfirmed".
+
+// Numbers of a tier once announced, in a comparable order; null while pending
+function announcedNumbers(tier) {
+  if (!tier || tier.numbers.length === 0 || !tier.numbers.every(number => /^\d+$/.test(number))) {
+    return null;
+  }
+  return [...tier.numbers].sort();
+}
+
+// results: [{ provider, record }] in order of preference. The newest draw
+// any source reports is the one reconciled, so a source still serving the
+// previous draw never holds back a newer one; among the records of that draw
+// the most preferred is the primary one, and records of older draws are ignored.
+// Resolves to the primary record with a `verification` block, plus the
+// disputed tiers with every source's numbers.
+export function reconcileDraw(results, checkedAt = new Date().toISOString()) {
+  if (results.length === 0) return null;
+
+  const newestDate = results.map(result => result.record.date).sort().at(-1);
+  const sameDraw = results.filter(result => result.record.date === newestDate);
+  const [primary] = sameDraw;
+  const tiers = {};
+  const disputes = [];
+
+  for (const tier of primary.record.tiers) {
+    const reports = sameDraw
+      .map(result => ({
+        provider: result.provider,
+        numbers: announcedNumbers(result.record.tiers.find(item => item.id === tier.id))
+      }))
+      .filter(report => report.numbers);
+
+    const primaryNumbers = announcedNumbers(tier);
+    if (!primaryNumbers) {
+      tiers[tier.id] = { status: 'pending', sources: [] };
+      continue;
+    }
+
+    const key = primaryNumbers.join(',');
+    const agreeing = reports.filter(report => report.numbers.join(',') === key).map(report => report.provider);
+    const differing = reports.filter(report => report.numbers.join(',') !== key);
+
+    if (differing.length > 0) {
+      tiers[tier.id] = { status: 'disputed', sources: agreeing };
+      disputes.push({
+        id: tier.id,
+        values: Object.fromEntries(reports.map(report => [report.provider, report.numbers]))
+      });
+    } else {
+      tiers[tier.id] = { status: agreeing.length >= 2 ? 'confirmed' : 'unconfirmed', sources: agreeing };
+    }
+  }
+
+  const statuses = Object.values(tiers).map(tier => tier.status);
+  let status = 'unconfirmed';
+  if (statuses.includes('disputed')) {
+    status = 'disputed';
+  } else if (statuses.length > 0 && statuses.every(item => item === 'confirmed')) {
+    status = 'confirmed';
+  } else if (statuses.includes('confirmed')) {
+    status = 'partial';
+  }
+
+  return {
+    record: {
+      ...primary.record,
+      source: primary.provider,
+      verification: {
+        status,
+        sources: sameDraw.map(result => result.provider),
+        tiers,
+        checkedAt
+      }
+    },
+    disputes
+  };
+}
@@ -0,0 +1,109 @@
+// Results of the lotto432k page tracked apart from the foreign stocks.
+// Each section has its own record shape; `key` names the field that tells its
+// rows apart and `resultFields` the digits that make up a result.
+//
+// Hanoi, Lao and Malaysia are rows of the foreign stocks table itself (see
+// stock_data.json); `stockRows` maps their stock names to the extra fields of
+// the section record. Other sections are cards of their own, read with
+// `schema`.
+
+// A digit column: `digits` numbers, or the same number of "x" while pending
+function digitField(header, index, digits) {
+  return {
+    column: { header, index },
+    transforms: ['trim'],
+    validate: {
+      required: true,
+      pattern: `^(\\d{${digits}}|x{${digits}})$`,
+      message: `exactly ${digits} digits or "${'x'.repeat(digits)}"`
+    }
+  };
+}
+
+// The card whose header contains `title`
+function card(title) {
+  return { selector: 'div.card', headerSelector: '.card-header', headerIncludes: title };
+}
+
+const ROWS = { selector: 'tr', cellSelector: 'td', minCells: 2, skipWhenEmpty: ['name'] };
+
+const NAME_FIELD = { column: { header: 'หวย', index: 1 }, transforms: ['collapseWhitespace'], validate: { required: true } };
+
+export const SECTIONS = {
+  // Three Hanoi draws a day: special, normal and VIP
+  hanoi: {
+    title: 'ฮานอย',
+    key: 'variant',
+    resultFields: ['threeDigits', 'twoDigits'],
+    stockRows: {
+      'ฮานอยพิเศษ': { variant: 'special' },
+      'ฮานอย': { variant: 'normal' },
+      'ฮานอย VIP': { variant: 'vip' }
+    }
+  },
+
+  // The Lao draw, every evening
+  lao: {
+    title: 'ลาว',
+    key: 'name',
+    resultFields: ['threeDigits', 'twoDigits'],
+    stockRows: { 'ลาว': {} }
+  },
+
+  // Magnum 4D, drawn on Wednesdays, Saturdays and Sundays
+  malaysia: {
+    title: 'มาเลย์',
+    key: 'name',
+    resultFields: ['threeDigits', 'twoDigits'],
+    stockRows: { 'มาเลย์': {} }
+  },
+
+  // SET index sessions through the trading day
+  thaiStock: {
+    title: 'หวยหุ้นไทย',
+    key: 'session',
+    resultFields: ['threeDigits', 'twoDigits'],
+    schema: {
+      container: card('หวยหุ้นไทย'),
+      table: 'table',
+      rows: ROWS,
+      fields: {
+        session: {
+          column: { header: 'หวย', index: 1 },
+          transforms: ['collapseWhitespace', {
+            name: 'map',
+            values: { 'หุ้นไทยเช้า': 'morning', 'หุ้นไทยเที่ยง': 'midday', 'หุ้นไทยบ่าย': 'afternoon', 'หุ้นไทยเย็น': 'evening' }
+          }],
+          validate: { required: true }
+        },
+        name: NAME_FIELD,
+        threeDigits: digitField('3 ตัวบน', 2, 3),
+        twoDigits: digitField('2 ตัวล่าง', 3, 2)
+      }
+    }
+  }
+};
+
+// Pick a section's rows out of the foreign stocks extraction, in the
+// { containerFound, rows, rejected, errors } shape extractWithSchema() returns.
+// A section with none of its rows on the board is reported as missing.
+export function pickStockRows(section, { containerFound, rows, rejected, errors }) {
+  const toRecord = row => ({
+    ...section.stockRows[row.stockName],
+    name: row.stockName,
+    countryCode: row.countryCode,
+    threeDigits: row.threeDigits,
+    twoDigits: row.twoDigits
+  });
+  const picked = rows.filter(row => Object.hasOwn(section.stockRows, row.stockName)).map(toRecord);
+  const pickedRejected = rejected
+    .filter(item => Object.hasOwn(section.stockRows, item.values.stockName))
+    .map(item => ({ ...item, values: toRecord(item.values) }));
+
+  const problems = [...errors];
+  if (containerFound && picked.length === 0 && pickedRejected.length === 0) {
+    problems.push(`No ${Object.keys(section.stockRows).join(', ')} rows in the foreign stocks table`);
+  }
+
+  return { containerFound, rows: picked, rejected: pickedRejected, errors: problems };
+}
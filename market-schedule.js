@@ -0,0 +1,137 @@
+import { getZonedDate, zonedTimeToInstant, addDays, getWeekday } from './date-utils.js';
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+// When each market on the lotto432k "หวยหุ้นต่างประเทศ" table announces.
+// Windows are wall-clock times in the market's own timezone, starting at the
+// session close the result is derived from. Holidays are local YYYY-MM-DD dates.
+export const MARKET_SCHEDULES = {
+  'หุ้นนิเคอิเช้า': { timezone: 'Asia/Tokyo', window: ['11:30', '12:10'], tradingDays: WEEKDAYS },
+  'หุ้นนิเคอิบ่าย': { timezone: 'Asia/Tokyo', window: ['15:25', '16:10'], tradingDays: WEEKDAYS },
+  'จีนเช้า': { timezone: 'Asia/Shanghai', window: ['11:30', '12:10'], tradingDays: WEEKDAYS },
+  'จีนบ่าย': { timezone: 'Asia/Shanghai', window: ['15:00', '15:40'], tradingDays: WEEKDAYS },
+  'ฮั่งเส็งเช้า': { timezone: 'Asia/Hong_Kong', window: ['12:00', '12:40'], tradingDays: WEEKDAYS },
+  'ฮั่งเส็งบ่าย': { timezone: 'Asia/Hong_Kong', window: ['16:00', '16:45'], tradingDays: WEEKDAYS },
+  'ไต้หวัน': { timezone: 'Asia/Taipei', window: ['13:30', '14:10'], tradingDays: WEEKDAYS },
+  'หุ้นเกาหลี': { timezone: 'Asia/Seoul', window: ['15:30', '16:10'], tradingDays: WEEKDAYS },
+  'สิงคโปร์': { timezone: 'Asia/Singapore', window: ['17:00', '17:45'], tradingDays: WEEKDAYS },
+  'อินเดีย': { timezone: 'Asia/Kolkata', window: ['15:30', '16:15'], tradingDays: WEEKDAYS },
+  'อียิปต์': { timezone: 'Africa/Cairo', window: ['14:30', '15:15'], tradingDays: [0, 1, 2, 3, 4] },
+  'รัสเซีย': { timezone: 'Europe/Moscow', window: ['18:50', '19:35'], tradingDays: WEEKDAYS },
+  'อังกฤษ': { timezone: 'Europe/London', window: ['16:30', '17:15'], tradingDays: WEEKDAYS },
+  'เยอรมัน': { timezone: 'Europe/Berlin', window: ['17:30', '18:15'], tradingDays: WEEKDAYS },
+  'ดาวน์โจน': { timezone: 'America/New_York', window: ['16:00', '16:45'], tradingDays: WEEKDAYS },
+  'ฮานอยพิเศษ': { timezone: 'Asia/Ho_Chi_Minh', window: ['17:15', '17:50'], tradingDays: EVERY_DAY },
+  'ฮานอย': { timezone: 'Asia/Ho_Chi_Minh', window: ['18:15', '18:50'], tradingDays: EVERY_DAY },
+  'ฮานอย VIP': { timezone: 'Asia/Ho_Chi_Minh', window: ['19:15', '19:50'], tradingDays: EVERY_DAY },
+  'มาเลย์': { timezone: 'Asia/Kuala_Lumpur', window: ['19:00', '19:45'], tradingDays: [0, 3, 6] },
+  'ลาว': { timezone: 'Asia/Vientiane', window: ['20:20', '21:00'], tradingDays: EVERY_DAY }
+};
+
+// Per-market announcement windows with trading-day and holiday calendars
+class MarketSchedule {
+  // overrides: { [stockName]: Partial<schedule> } merged over the defaults
+  constructor(overrides = {}) {
+    this.markets = {};
+
+    for (const name of new Set([...Object.keys(MARKET_SCHEDULES), ...Object.keys(overrides)])) {
+      this.markets[name] = { holidays: [], ...MARKET_SCHEDULES[name], ...overrides[name] };
+    }
+  }
+
+  // Get the schedule of a market, or null when it is not scheduled
+  getMarket(stockName) {
+    return this.markets[stockName] || null;
+  }
+
+  // Check whether a market trades on a local YYYY-MM-DD date
+  isTradingDay(stockName, localDate) {
+    const market = this.getMarket(stockName);
+    if (!market) return false;
+
+    return market.tradingDays.includes(getWeekday(localDate)) && !market.holidays.includes(localDate);
+  }
+
+  // Get the trading date a result seen at an instant belongs to: the market's
+  // local calendar date (a Dow Jones result seen at 03:30 in Bangkok belongs
+  // to the previous New York day)
+  getTradingDate(stockName, instant = new Date()) {
+    const market = this.getMarket(stockName);
+    return getZonedDate(instant, market ? market.timezone : undefined);
+  }
+
+  // List a market's announcement windows that overlap [from, from + days)
+  getWindows(stockName, from = new Date(), days = 8) {
+    const market = this.getMarket(stockName);
+    if (!market) return [];
+
+    const today = getZonedDate(from, market.timezone);
+    const windows = [];
+
+    for (let offset = -1; offset <= days; offset++) {
+      const window = this.getWindow(stockName, addDays(today, offset));
+
+      if (window && window.end >= from) {
+        windows.push(window);
+      }
+    }
+
+    return windows;
+  }
+
+  // Get a market's announcement window on one local trading date, or null
+  // when the market does not trade that day
+  getWindow(stockName, tradingDate) {
+    const market = this.getMarket(stockName);
+    if (!market || !this.isTradingDay(stockName, tradingDate)) return null;
+
+    return {
+      stockName,
+      tradingDate,
+      start: zonedTimeToInstant(tradingDate, market.window[0], market.timezone),
+      end: zonedTimeToInstant(tradingDate, market.window[1], market.timezone)
+    };
+  }
+
+  // Work out when to poll next given the current rows.
+  // Inside a window whose result has not landed yet, or up to `grace` ms past
+  // its end (results are sometimes late): poll every activeInterval.
+  // Otherwise: sleep until the next window opens, capped at maxIdleInterval.
+  getNextPoll(currentData, { now = new Date(), activeInterval, minIdleInterval, maxIdleInterval, grace = 0 }) {
+    const rows = new Map(currentData.map(item => [item.stockName, item]));
+    const waiting = [];
+    let nextStart = null;
+
+    for (const stockName of Object.keys(this.markets)) {
+      for (const window of this.getWindows(stockName, new Date(now.getTime() - grace))) {
+        const row = rows.get(stockName);
+        const landed = row && row.state !== 'pending' && row.tradingDate === window.tradingDate;
+        if (landed) continue;
+
+        if (window.start <= now && now.getTime() <= window.end.getTime() + grace) {
+          waiting.push(stockName);
+        } else if (window.start > now && (!nextStart || window.start < nextStart.start)) {
+          nextStart = window;
+        }
+      }
+    }
+
+    if (waiting.length > 0) {
+      return { delay: activeInterval, reason: `waiting for ${waiting.join(', ')}`, activeMarkets: waiting };
+    }
+
+    if (!nextStart) {
+      return { delay: maxIdleInterval, reason: 'no upcoming announcement windows', activeMarkets: [] };
+    }
+
+    const untilWindow = nextStart.start.getTime() - now.getTime();
+    return {
+      delay: Math.min(Math.max(untilWindow, minIdleInterval), maxIdleInterval),
+      reason: `next window ${nextStart.stockName} at ${nextStart.start.toISOString()}`,
+      activeMarkets: []
+    };
+  }
+}
+
+export default MarketSchedule;
@@ -0,0 +1,208 @@
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Escape a label value for the Prometheus text format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Render a label set as {a="1",b="2"}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Format a sample value; Prometheus spells infinities +Inf/-Inf
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// A metric family: one series per distinct label set
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Get the series of a label set, creating it on first use
+  getSeries(labels = {}, create) {
+    const key = this.labelNames.map(label => labels[label] ?? '').join('\u0000');
+    if (!this.series.has(key)) {
+      const picked = Object.fromEntries(this.labelNames.map(label => [label, labels[label] ?? '']));
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+// Monotonically increasing count
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+// Value that goes up and down; `collect` may refresh it right before a scrape
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    this.collect?.(this);
+    return super.render();
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+// Distribution of observed values in cumulative buckets
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+// Scrape health metrics of both managers, rendered in the Prometheus text format
+class Metrics {
+  constructor() {
+    this.metrics = [];
+    this.lastSuccess = new Map();
+    this.lastChange = new Map();
+
+    this.cycles = this.register(new Counter('lotto_cycles_total', 'Scraping cycles run, by outcome', ['manager', 'outcome']));
+    this.cycleDuration = this.register(new Histogram('lotto_cycle_duration_seconds', 'Duration of scraping cycles', ['manager']));
+    this.retries = this.register(new Counter('lotto_retries_total', 'Extraction attempts retried after a failure', ['manager']));
+    this.failures = this.register(new Counter('lotto_failures_total', 'Failed extraction attempts, by error class', ['manager', 'error_class']));
+    this.recordsExtracted = this.register(new Gauge('lotto_records_extracted', 'Records extracted by the last successful cycle', ['manager']));
+    this.recordsExtractedTotal = this.register(new Counter('lotto_records_extracted_total', 'Records extracted by all cycles', ['manager']));
+    this.rowsRejected = this.register(new Counter('lotto_rows_rejected_total', 'Scraped rows rejected by extraction schema validation', ['manager']));
+    this.discrepancies = this.register(new Counter('lotto_source_discrepancies_total', 'Draws on which the result sources disagree', ['manager']));
+    this.register(new Gauge('lotto_seconds_since_last_success', 'Seconds since the last successful cycle', ['manager'],
+      gauge => this.collectAge(gauge, this.lastSuccess)));
+    this.register(new Gauge('lotto_seconds_since_last_change', 'Seconds since the last cycle that changed the data', ['manager'],
+      gauge => this.collectAge(gauge, this.lastChange)));
+    this.announcementLatency = this.register(new Gauge('lotto_stock_announcement_latency_seconds',
+      'Delay between a market\'s announcement window opening and its result being seen, for the latest trading date', ['market']));
+    this.browserLaunch = this.register(new Histogram('lotto_browser_launch_seconds', 'Time taken to launch Chromium', [],
+      [0.25, 0.5, 1, 2, 5, 10, 30]));
+    this.browserTeardown = this.register(new Histogram('lotto_browser_teardown_seconds', 'Time taken to close Chromium', [],
+      [0.05, 0.1, 0.25, 0.5, 1, 2, 5]));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // Refresh an "age" gauge from the recorded timestamps
+  collectAge(gauge, timestamps) {
+    for (const [manager, time] of timestamps) {
+      gauge.set({ manager }, (Date.now() - time) / 1000);
+    }
+  }
+
+  // Record the outcome of a scraping cycle
+  recordCycle(manager, { success, durationMs, recordCount, changed }) {
+    this.cycles.inc({ manager, outcome: success ? 'success' : 'failure' });
+    this.cycleDuration.observe({ manager }, durationMs / 1000);
+
+    if (success) {
+      this.lastSuccess.set(manager, Date.now());
+      this.recordsExtracted.set({ manager }, recordCount);
+      this.recordsExtractedTotal.inc({ manager }, recordCount);
+    }
+    if (changed) {
+      this.lastChange.set(manager, Date.now());
+    }
+  }
+
+  // Record a failed extraction attempt and whether it will be retried
+  recordAttemptFailure(manager, error, willRetry) {
+    this.failures.inc({ manager, error_class: error?.name || 'Error' });
+    if (willRetry) {
+      this.retries.inc({ manager });
+    }
+  }
+
+  recordRejectedRows(manager, count) {
+    this.rowsRejected.inc({ manager }, count);
+  }
+
+  recordDiscrepancy(manager) {
+    this.discrepancies.inc({ manager });
+  }
+
+  recordAnnouncementLatency(market, latencyMs) {
+    this.announcementLatency.set({ market }, latencyMs / 1000);
+  }
+
+  recordBrowserLaunch(durationMs) {
+    this.browserLaunch.observe({}, durationMs / 1000);
+  }
+
+  recordBrowserTeardown(durationMs) {
+    this.browserTeardown.observe({}, durationMs / 1000);
+  }
+
+  // Render every metric in the Prometheus text exposition format
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+// Create and export instance
+const metrics = new Metrics();
+
+export default metrics;
+export { Counter, Gauge, Histogram };
@@ -0,0 +1,102 @@
+import { getBangkokDate, dateToLottoId, addDays } from './date-utils.js';
+import DrawCalendar from './draw-calendar.js';
+
+const drawCalendar = new DrawCalendar();
+
+// Wrap the old bare-array format in the { data } envelope
+function toEnvelope(document) {
+  return Array.isArray(document) ? { data: document } : document;
+}
+
+// Shared first migration step of every kind
+const envelopeMigration = { version: 1, description: 'wrap bare array in envelope', up: toEnvelope };
+
+// Check whether a stock row carries a real result rather than a placeholder
+function isAnnounced(row) {
+  return /^\d+$/.test(row.threeDigits) && /^\d+$/.test(row.twoDigits);
+}
+
+// Migrations per document kind, in version order. A document without a
+// schemaVersion is version 0; each step upgrades it to `version`.
+const MIGRATIONS = {
+  stock: [
+    envelopeMigration,
+    {
+      version: 2,
+      description: 'add trading date and result state to rows',
+      up: document => ({
+        ...document,
+        data: document.data.map(row => ({
+          ...row,
+          tradingDate: row.tradingDate || getBangkokDate(new Date(row.lastUpdated)),
+          state: row.state || (isAnnounced(row) ? 'announced' : 'pending')
+        }))
+      })
+    }
+  ],
+  lottery: [
+    envelopeMigration,
+    {
+      version: 2,
+      description: 'replace scrape timestamps with the draw date and ID',
+      up: document => ({
+        ...document,
+        data: document.data.map(record => {
+          if (/^\d{4}-\d{2}-\d{2}$/.test(record.date)) return record;
+
+          // Old records were keyed by the time they were fetched; the draw is
+          // the last one on or before that day
+          const fetchedOn = getBangkokDate(new Date(record.date));
+          const drawDate = drawCalendar.getDrawDates(addDays(fetchedOn, -31), fetchedOn).pop() || fetchedOn;
+          return { ...record, date: drawDate, drawId: record.drawId || dateToLottoId(drawDate) };
+        })
+      })
+    }
+  ],
+  history: [
+    envelopeMigration
+  ],
+  section: [
+    envelopeMigration
+  ],
+  outbox: [
+    envelopeMigration
+  ],
+  'backfill-state': [
+    {
+      version: 1,
+      description: 'move missing draw IDs into envelope',
+      up: document => (Array.isArray(document.missing) ? { data: document.missing } : toEnvelope(document))
+    }
+  ]
+};
+
+// Get the current schema version of a document kind
+export function getSchemaVersion(kind) {
+  const migrations = MIGRATIONS[kind] || [];
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 1;
+}
+
+// Upgrade a parsed document to the current schema version of its kind
+export function migrate(kind, document) {
+  const fromVersion = document?.schemaVersion || 0;
+  const toVersion = getSchemaVersion(kind);
+
+  if (fromVersion > toVersion) {
+    const error = new Error(`${kind} document has schema version ${fromVersion}, newer than supported version ${toVersion}`);
+    error.code = 'ESCHEMA';
+    throw error;
+  }
+
+  let migrated = document;
+  for (const migration of MIGRATIONS[kind] || [envelopeMigration]) {
+    if (migration.version <= fromVersion) continue;
+    migrated = { ...migration.up(migrated), schemaVersion: migration.version };
+  }
+
+  if (!Array.isArray(migrated?.data)) {
+    throw new Error(`${kind} document has no data array`);
+  }
+
+  return { document: migrated, fromVersion, toVersion };
+}
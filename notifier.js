@@ -0,0 +1,378 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { buildChangeEvents } from './change-events.js';
+import { readJsonDocument, writeJsonDocument } from './json-store.js';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const CONFIG = {
+  targetsFile: path.join(__dirname, 'notification_targets.json'),
+  outboxFile: path.join(__dirname, 'notification_outbox.json'),
+  logFile: path.join(__dirname, 'notifier.log'),
+  lineEndpoint: 'https://api.line.me/v2/bot/message/push',
+  requestTimeout: 10000,
+  maxAttempts: 8,
+  retryBaseDelay: 5000, // Doubled after every failed attempt
+  retryMaxDelay: 30 * 60 * 1000,
+};
+
+// Message used when a target has no template of its own
+const DEFAULT_TEMPLATES = {
+  stock: '📈 {{market}} ({{date}}): {{record.threeDigits}}/{{record.twoDigits}} [{{state}}]',
+  lottery: '🎰 Thai lottery {{date}}\n{{prizes}}',
+  watchdog: '🩺 {{subject}} {{type}}: {{reason}}',
+  verification: '⚠️ Thai lottery {{date}} sources {{type}}: {{reason}}',
+  section: '🎲 {{name}} ({{date}}): {{result}} [{{state}}]' // Any other lotto432k section
+};
+
+// Settings each target type needs besides its type
+const REQUIRED_FIELDS = {
+  webhook: ['url'],
+  discord: ['url'],
+  line: ['token', 'to']
+};
+
+// Options: `config` overrides CONFIG entries, `fetch` replaces the global
+// fetch() for delivery (tests point it at a local server)
+class Notifier {
+  constructor({ config = {}, fetch: httpClient = (...args) => fetch(...args) } = {}) {
+    this.config = { ...CONFIG, ...config };
+    this.fetch = httpClient;
+    this.targets = [];
+    this.outbox = [];
+    this.flushTimer = null;
+    this.isFlushing = false;
+    this.isRunning = false;
+    this.logger = logger.child({ source: 'notifier' }, { file: this.config.logFile });
+  }
+
+  // Load targets from the targets file, unless they were configured in code
+  async loadTargets() {
+    if (this.targets.length > 0) return;
+
+    try {
+      const content = await fs.readFile(this.config.targetsFile, 'utf-8');
+      this.configure(JSON.parse(content));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.logger.info('No notification targets file found, notifications disabled');
+      } else {
+        this.logger.error('Error loading notification targets', { error: err });
+      }
+    }
+  }
+
+  // Read the targets file again. The new targets replace the current ones
+  // only once the whole file has been read and checked; a file that has been
+  // removed disables notifications.
+  async reloadTargets() {
+    try {
+      const content = await fs.readFile(this.config.targetsFile, 'utf-8');
+      this.configure(JSON.parse(content));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.logger.info('Notification targets file removed, notifications disabled');
+        this.targets = [];
+      } else {
+        this.logger.error('Error reloading notification targets, keeping the current ones', { error: err });
+      }
+    }
+  }
+
+  // Set the delivery targets:
+  // [{ name?, type: 'webhook'|'discord'|'line', url?, secret?, token?, to?, filter?, template? }]
+  // webhook and discord targets need a url, line targets a token and a `to`.
+  // Outbox entries refer to their target by name, so a target without one
+  // is named after its type and destination rather than its position.
+  configure(targets) {
+    const configured = targets.map((target, index) => {
+      if (!REQUIRED_FIELDS[target.type]) {
+        throw new Error(`Notification target ${index} has unknown type "${target.type}"`);
+      }
+      for (const field of REQUIRED_FIELDS[target.type]) {
+        if (typeof target[field] !== 'string' || target[field] === '') {
+          throw new Error(`Notification target ${index} (${target.type}) needs a ${field}`);
+        }
+      }
+      if (target.name !== undefined && (typeof target.name !== 'string' || target.name === '')) {
+        throw new Error(`Notification target ${index} has an invalid name`);
+      }
+
+      const destination = target.type === 'line' ? target.to : target.url;
+      const name = target.name || `${target.type}-${crypto.createHash('sha256').update(destination).digest('hex').slice(0, 8)}`;
+      return { ...target, name };
+    });
+
+    const names = configured.map(target => target.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Notification target name "${duplicate}" is used more than once; give each target its own name`);
+    }
+
+    this.targets = configured;
+    this.logger.info('Configured notification targets', { targets: this.targets.length });
+  }
+
+  // Load undelivered notifications left over from a previous run
+  async loadOutbox() {
+    try {
+      const { document } = await readJsonDocument(this.config.outboxFile, { kind: 'outbox' });
+      this.outbox = document.data;
+      if (this.outbox.length > 0) {
+        this.logger.info('Loaded pending notifications from outbox', { pending: this.outbox.length });
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error('Error loading outbox', { error: err });
+      }
+      this.outbox = [];
+    }
+  }
+
+  // Persist the outbox so a restart doesn't lose pending notifications
+  async saveOutbox() {
+    try {
+      await writeJsonDocument(this.config.outboxFile, this.outbox, { kind: 'outbox', backups: 0 });
+    } catch (err) {
+      this.logger.error('Error saving outbox', { error: err });
+    }
+  }
+
+  // Subscribe to a manager's change and discrepancy events, or to the
+  // watchdog's health events
+  attach(emitter) {
+    emitter.on('changes', ({ source, changes }) => {
+      this.publish(source, changes).catch(err => this.logger.error('Error publishing notifications', { error: err }));
+    });
+    for (const name of ['health', 'discrepancy']) {
+      emitter.on(name, events => {
+        this.notify(events).catch(err => this.logger.error('Error publishing notifications', { error: err }));
+      });
+    }
+  }
+
+  // Queue notifications for the changes computed by a manager's processNewData()
+  async publish(source, changes) {
+    return this.notify(buildChangeEvents(source, changes));
+  }
+
+  // Queue events for every target whose filter accepts them
+  async notify(events) {
+    let queued = 0;
+
+    for (const event of events) {
+      for (const target of this.targets) {
+        if (!this.matchesFilter(target, event)) continue;
+
+        this.outbox.push({
+          id: crypto.randomUUID(),
+          target: target.name,
+          event,
+          attempts: 0,
+          nextAttemptAt: new Date().toISOString(),
+          lastError: null
+        });
+        queued++;
+      }
+    }
+
+    if (queued > 0) {
+      this.logger.info('Queued notifications', { queued });
+      await this.saveOutbox();
+      this.scheduleFlush(0);
+    }
+
+    return queued;
+  }
+
+  // Check an event against a target's filter:
+  // { sources, types, markets, states, tiers } - every given list must match.
+  // `markets` holds stock names or section markets and their names; it does
+  // not apply to the lottery or to events about no particular market.
+  matchesFilter(target, event) {
+    const filter = target.filter || {};
+    const hasMarket = event.source !== 'lottery' && event.market;
+
+    if (filter.sources && !filter.sources.includes(event.source)) return false;
+    if (filter.types && !filter.types.includes(event.type)) return false;
+    if (filter.markets && hasMarket && !filter.markets.includes(event.market) && !filter.markets.includes(event.name)) return false;
+    if (filter.states && event.state && !filter.states.includes(event.state)) return false;
+    if (filter.tiers && event.source === 'lottery' && !(event.tiers || []).some(tier => filter.tiers.includes(tier))) return false;
+
+    return true;
+  }
+
+  // Render the message text of an event for a target
+  renderMessage(target, event) {
+    const template = typeof target.template === 'string'
+      ? target.template
+      : target.template?.[event.source] || DEFAULT_TEMPLATES[event.source]
+        || (event.name ? DEFAULT_TEMPLATES.section : '{{source}} {{type}}: {{market}} {{date}}');
+
+    // Lottery tiers, restricted to the ones the target asked for
+    const tiers = (event.record?.tiers || [])
+      .filter(tier => !target.filter?.tiers || target.filter.tiers.includes(tier.id));
+    const values = {
+      ...event,
+      prizes: tiers.map(tier => `${tier.name || tier.id}: ${tier.numbers.join(', ')}`).join('\n'),
+      // Digits of a section row, e.g. "4821/821/21"
+      result: Object.entries(event.record || {})
+        .filter(([key, value]) => /digits/i.test(key) && typeof value === 'string')
+        .map(([, value]) => value)
+        .join('/')
+    };
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const value = key.split('.').reduce((object, part) => object?.[part], values);
+      return value == null ? '' : String(value);
+    });
+  }
+
+  // Build the HTTP request for a target
+  buildRequest(target, event) {
+    const text = this.renderMessage(target, event);
+
+    if (target.type === 'discord') {
+      return {
+        url: target.url,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: text })
+      };
+    }
+
+    if (target.type === 'line') {
+      return {
+        url: target.url || this.config.lineEndpoint,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${target.token}`
+        },
+        body: JSON.stringify({ to: target.to, messages: [{ type: 'text', text }] })
+      };
+    }
+
+    // Generic webhook: the signature is an HMAC-SHA256 of "<timestamp>.<body>"
+    const body = JSON.stringify({ ...event, text });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'Content-Type': 'application/json', 'X-Timestamp': timestamp };
+
+    if (target.secret) {
+      const signature = crypto.createHmac('sha256', target.secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-Signature'] = `sha256=${signature}`;
+    }
+
+    return { url: target.url, headers, body };
+  }
+
+  // Deliver one outbox entry
+  async deliver(entry) {
+    const target = this.targets.find(item => item.name === entry.target);
+    if (!target) {
+      throw new Error(`Target "${entry.target}" is no longer configured`);
+    }
+
+    const request = this.buildRequest(target, entry.event);
+    const response = await this.fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: request.body,
+      signal: AbortSignal.timeout(this.config.requestTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  // Deliver every due outbox entry, rescheduling failures with backoff
+  async flush() {
+    if (this.isFlushing) return;
+    this.isFlushing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.outbox.filter(entry => new Date(entry.nextAttemptAt).getTime() <= now);
+
+      for (const entry of due) {
+        try {
+          await this.deliver(entry);
+          this.outbox = this.outbox.filter(item => item.id !== entry.id);
+          this.logger.info('Delivered notification', { target: entry.target, eventSource: entry.event.source, type: entry.event.type, attempt: entry.attempts + 1 });
+        } catch (err) {
+          entry.attempts++;
+          entry.lastError = err.message;
+
+          if (entry.attempts >= this.config.maxAttempts) {
+            this.outbox = this.outbox.filter(item => item.id !== entry.id);
+            this.logger.error('Dropped notification', { target: entry.target, attempt: entry.attempts, error: err });
+          } else {
+            const delay = Math.min(this.config.retryBaseDelay * 2 ** (entry.attempts - 1), this.config.retryMaxDelay);
+            entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            this.logger.warn('Notification delivery failed, will retry', { target: entry.target, attempt: entry.attempts, maxAttempts: this.config.maxAttempts, retryInMs: delay, error: err });
+          }
+        }
+      }
+
+      if (due.length > 0) {
+        await this.saveOutbox();
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    this.scheduleFlush();
+  }
+
+  // Schedule the next flush, by default when the earliest retry is due
+  scheduleFlush(delay) {
+    if (!this.isRunning) return;
+
+    if (delay === undefined) {
+      if (this.outbox.length === 0) return;
+      const nextAttempt = Math.min(...this.outbox.map(entry => new Date(entry.nextAttemptAt).getTime()));
+      delay = Math.max(nextAttempt - Date.now(), 0);
+    }
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch(err => this.logger.error('Error flushing notifications', { error: err }));
+    }, delay);
+  }
+
+  // Load targets and outbox and start delivering
+  async start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    await this.loadTargets();
+    await this.loadOutbox();
+    this.scheduleFlush();
+  }
+
+  // Stop delivering; pending notifications stay in the outbox
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      targets: this.targets.map(target => target.name),
+      pending: this.outbox.length
+    };
+  }
+}
+
+// Create and export instance
+const notifier = new Notifier();
+
+export default notifier;
+export { Notifier };
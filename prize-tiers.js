@@ -0,0 +1,18 @@
+// Tier IDs used by the lottery API, mapped to the summary fields kept in `prizes`
+export const PRIZE_SUMMARY_FIELDS = {
+  prizeFirst: 'firstPrize',
+  runningNumberFrontThree: 'three_front',
+  runningNumberBackThree: 'three_end',
+  runningNumberBackTwo: 'two_end'
+};
+
+// Build the `prizes` summary of the most-checked tiers from the full tier list
+export function summarizePrizes(tiers) {
+  const prizes = {};
+
+  for (const [tierId, field] of Object.entries(PRIZE_SUMMARY_FIELDS)) {
+    prizes[field] = tiers.find(tier => tier.id === tierId)?.numbers || null;
+  }
+
+  return prizes;
+}
@@ -0,0 +1,195 @@
+import { EventEmitter } from 'events';
+
+// Lifecycle of a result row for one date
+const RESULT_STATE = {
+  PENDING: 'pending', // Site still shows the "xxx"/"xx" placeholder
+  ANNOUNCED: 'announced', // First real result seen for the date
+  CORRECTED: 'corrected' // Result changed after it was announced
+};
+
+// What the stock manager and the lotto432k section managers have in common:
+// rows of the same board, each keyed by a market, that go from pending to
+// announced (and maybe corrected) once per date.
+//
+// A subclass sets `source`, `storage`, `history` and `logger`, and describes
+// its rows with `fields`:
+//   key: the field rows are matched by (e.g. "stockName")
+//   date: the field holding the row's result date (e.g. "tradingDate")
+//   results: the digit fields making up a result
+//   compare: other fields whose change counts as an update
+// It also provides stampRow(scraped), which adds the key and date fields to a
+// freshly scraped row, and toHistoryEntry(record).
+class ResultTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.currentData = [];
+  }
+
+  // Load existing data from storage
+  async loadExistingData() {
+    try {
+      const { records, recoveredFrom, migratedFrom } = await this.storage.loadCurrent();
+      this.currentData = records;
+
+      if (recoveredFrom) {
+        this.logger.warn('Data file was unreadable, recovered from backup', { recoveredFrom });
+      }
+      if (migratedFrom !== null && migratedFrom !== undefined) {
+        this.logger.info('Migrated data file', { fromVersion: migratedFrom });
+      }
+      this.logger.info('Loaded existing records', { recordCount: this.currentData.length });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.info('No existing data found, starting fresh');
+        this.currentData = [];
+      } else if (error.code === 'ESCHEMA') {
+        // Never overwrite a file written by a newer version
+        this.logger.error('Error loading existing data', { error });
+        throw error;
+      } else {
+        this.logger.error('Error loading existing data', { error });
+        this.currentData = [];
+      }
+    }
+  }
+
+  // Load history from storage
+  async loadHistory() {
+    try {
+      const { count, recoveredFrom } = await this.history.load();
+      if (recoveredFrom) {
+        this.logger.warn('History file was unreadable, recovered from backup', { recoveredFrom });
+      }
+      this.logger.info('Loaded historical results', { recordCount: count });
+      this.emit('history', { source: this.source, records: this.getHistory(), loaded: true });
+    } catch (error) {
+      this.logger.error('Error loading history', { error });
+      // Never overwrite a file written by a newer version
+      if (error.code === 'ESCHEMA') throw error;
+    }
+  }
+
+  // Record announced results in history
+  async recordHistory(rows) {
+    const records = rows
+      .filter(row => row.state !== RESULT_STATE.PENDING && this.isAnnounced(row))
+      .map(row => this.toHistoryEntry(row));
+
+    if (records.length === 0) return;
+
+    try {
+      const result = await this.history.append(records);
+      this.logger.info('History updated', result);
+      this.emit('history', { source: this.source, records, loaded: false });
+    } catch (error) {
+      this.logger.error('Error saving history', { error });
+    }
+  }
+
+  // Save data to storage
+  async saveData(data) {
+    try {
+      await this.storage.saveCurrent(data);
+      this.logger.info('Saved records', { recordCount: data.length, storage: this.storage.describe() });
+    } catch (error) {
+      this.logger.error('Error saving data', { error });
+    }
+  }
+
+  // Check whether every result field carries digits rather than a placeholder
+  isAnnounced(row) {
+    return this.fields.results.every(field => /^\d+$/.test(row[field] || ''));
+  }
+
+  // Pick the result fields of a row
+  getResult(row) {
+    return Object.fromEntries(this.fields.results.map(field => [field, row[field]]));
+  }
+
+  // Assign a date and lifecycle state to freshly scraped rows.
+  // A placeholder never replaces a result already seen for the same date,
+  // and a result still on the board from an earlier date (before the site
+  // resets) is kept with its original date.
+  resolveLifecycle(oldData, scrapedData) {
+    const { key, date, results } = this.fields;
+    const oldMap = new Map(oldData.map(item => [item[key], item]));
+
+    return scrapedData.map(row => {
+      const scraped = this.stampRow(row);
+      const oldItem = oldMap.get(scraped[key]);
+      const sameDate = oldItem && oldItem[date] === scraped[date];
+      const oldIsAnnounced = oldItem && oldItem.state !== RESULT_STATE.PENDING && this.isAnnounced(oldItem);
+      const sameValues = oldItem && results.every(field => oldItem[field] === scraped[field]);
+
+      if (!this.isAnnounced(scraped)) {
+        // Not out yet: keep what we already have for this date
+        return sameDate ? oldItem : { ...scraped, state: RESULT_STATE.PENDING };
+      }
+
+      if (oldIsAnnounced && sameValues) {
+        // Unchanged, or the previous date's result still displayed
+        return oldItem;
+      }
+
+      if (oldIsAnnounced && sameDate) {
+        return {
+          ...scraped,
+          state: RESULT_STATE.CORRECTED,
+          announcedAt: oldItem.announcedAt || oldItem.lastUpdated,
+          previous: this.getResult(oldItem)
+        };
+      }
+
+      return { ...scraped, state: RESULT_STATE.ANNOUNCED, announcedAt: scraped.lastUpdated };
+    });
+  }
+
+  // Compare two data sets to detect changes
+  detectChanges(oldData, newData) {
+    const { key } = this.fields;
+    const changes = {
+      added: [],
+      updated: [],
+      removed: []
+    };
+
+    const oldMap = new Map(oldData.map(item => [item[key], item]));
+    const newMap = new Map(newData.map(item => [item[key], item]));
+
+    for (const [value, newItem] of newMap) {
+      const oldItem = oldMap.get(value);
+      if (!oldItem) {
+        changes.added.push(newItem);
+      } else if (this.hasDataChanged(oldItem, newItem)) {
+        changes.updated.push({ [key]: value, old: oldItem, new: newItem });
+      }
+    }
+
+    for (const [value, oldItem] of oldMap) {
+      if (!newMap.has(value)) {
+        changes.removed.push(oldItem);
+      }
+    }
+
+    return changes;
+  }
+
+  // Check if a row has changed: its result, date, state or compared fields
+  hasDataChanged(oldItem, newItem) {
+    const { date, results, compare } = this.fields;
+    return [...results, ...compare, date, 'state'].some(field => oldItem[field] !== newItem[field]);
+  }
+
+  // Get current data
+  getCurrentData() {
+    return this.currentData;
+  }
+
+  // Get past results, optionally for one market within an inclusive YYYY-MM-DD range
+  getHistory({ market, from, to } = {}) {
+    return this.history.getHistory({ market, from, to });
+  }
+}
+
+export default ResultTracker;
+export { RESULT_STATE };
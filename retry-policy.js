@@ -0,0 +1,233 @@
+// Retry policy shared by the scrapers: typed errors saying what went wrong,
+// rules for which of them are worth another attempt, exponential backoff with
+// jitter between attempts and a circuit breaker per source that leaves a
+// failing source alone for a while.
+
+// Connection failures of Node's network stack and of fetch() (on its `cause`)
+const NETWORK_CODES = new Set([
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE'
+]);
+
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT']);
+
+// Base class of the scraper errors; `retryable` says whether another
+// attempt may succeed
+export class ScrapeError extends Error {
+  constructor(message, { source = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.source = source;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// The source could not be reached: DNS failure, refused or reset connection
+export class NetworkError extends ScrapeError {}
+
+// The source did not answer, or a page element did not appear, in time
+export class TimeoutError extends ScrapeError {}
+
+// The source answered with an error status. Server errors, rate limiting and
+// request timeouts may pass; other client errors will not.
+export class HttpStatusError extends ScrapeError {
+  constructor(status, url, { retryAfterMs = null, ...options } = {}) {
+    super(`HTTP ${status} from ${url}`, options);
+    this.status = status;
+    this.url = url;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.status >= 500 || this.status === 429 || this.status === 408;
+  }
+}
+
+// The page or response no longer has the expected shape; retrying will not
+// change that, the extraction schema or adapter needs updating
+export class LayoutError extends ScrapeError {
+  get retryable() {
+    return false;
+  }
+}
+
+// The page was read fine but had no results, e.g. a half-rendered table
+export class EmptyResultError extends ScrapeError {}
+
+// The circuit breaker of the source is open, so it was not asked at all
+export class CircuitOpenError extends ScrapeError {
+  constructor(source, retryAt) {
+    super(`${source} circuit is open until ${retryAt}`, { source });
+    this.retryAt = retryAt;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+// Build an HttpStatusError from a fetch() response, honouring Retry-After
+export function httpStatusError(response, url, options = {}) {
+  const retryAfter = Number(response.headers?.get('retry-after'));
+  return new HttpStatusError(response.status, url, {
+    ...options,
+    retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null
+  });
+}
+
+// Turn an error thrown by fetch(), puppeteer or JSON.parse() into one of the
+// typed errors above; anything unrecognised is returned as it is
+export function classifyError(error, { source = null } = {}) {
+  if (error instanceof ScrapeError) return error;
+
+  const code = error?.code || error?.cause?.code;
+  const message = String(error?.message ?? error);
+  const options = { source, cause: error };
+
+  if (error?.name === 'TimeoutError' || TIMEOUT_CODES.has(code) || message.includes('net::ERR_TIMED_OUT')) {
+    return new TimeoutError(message, options);
+  }
+  if (NETWORK_CODES.has(code) || message.includes('net::ERR_') || (error?.name === 'TypeError' && message === 'fetch failed')) {
+    return new NetworkError(message, options);
+  }
+  if (error instanceof SyntaxError) {
+    return new LayoutError(message, options);
+  }
+  return error;
+}
+
+// Unrecognised errors are retried, as every error was before they had types
+export function isRetryable(error) {
+  return error?.retryable ?? true;
+}
+
+// Get the delay before retry number `attempt` (from 1): baseDelay doubled
+// per attempt up to maxDelay, less a random part of up to half of it so
+// clients failing together do not retry together
+export function getBackoffDelay(attempt, { baseDelay, maxDelay = Infinity, random = Math.random }) {
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+  return Math.round(delay / 2 + (random() * delay) / 2);
+}
+
+// Run fn(attempt) until it succeeds, fails with an error that is not worth
+// retrying or has failed maxRetries times, then throw the classified error.
+// onFailure(error, { attempt, willRetry, delay }) sees every failed attempt.
+export async function withRetry(fn, { maxRetries, baseDelay, maxDelay = Infinity, source = null, onFailure = () => {} }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (caught) {
+      const error = classifyError(caught, { source });
+      const willRetry = attempt < maxRetries && isRetryable(error);
+      const delay = willRetry
+        ? Math.min(Math.max(getBackoffDelay(attempt, { baseDelay, maxDelay }), error.retryAfterMs || 0), maxDelay)
+        : 0;
+
+      onFailure(error, { attempt, willRetry, delay });
+      if (!willRetry) throw error;
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed', // Calls go through
+  OPEN: 'open', // Calls fail straight away until the cooldown is over
+  HALF_OPEN: 'half-open' // Cooldown over; the next call decides
+};
+
+// Stops calling a source once failureThreshold calls in a row have failed,
+// for `cooldown` ms. The first call after that is a trial: success closes
+// the circuit, failure opens it for another cooldown.
+// Options: `source` names it in errors and logs, `logger` records state
+// changes, `now` is injectable so tests can move the clock
+export class CircuitBreaker {
+  constructor({ source, failureThreshold = 5, cooldown = 30 * 60 * 1000, logger = null, now = () => Date.now() }) {
+    this.source = source;
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.logger = logger;
+    this.now = now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.lastError = null;
+  }
+
+  // Change the threshold or cooldown; an open circuit keeps its retry time
+  configure({ failureThreshold = this.failureThreshold, cooldown = this.cooldown } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+  }
+
+  // Get the current state
+  getState() {
+    if (this.retryAt === null) return CIRCUIT_STATE.CLOSED;
+    return this.now() < this.retryAt ? CIRCUIT_STATE.OPEN : CIRCUIT_STATE.HALF_OPEN;
+  }
+
+  // Run fn unless the circuit is open, and count its outcome
+  async run(fn) {
+    if (this.getState() === CIRCUIT_STATE.OPEN) {
+      throw new CircuitOpenError(this.source, new Date(this.retryAt).toISOString());
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  // Close the circuit after a successful call
+  recordSuccess() {
+    if (this.retryAt !== null) {
+      this.logger?.info('Circuit closed', { circuit: this.source });
+    }
+    this.failures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+  }
+
+  // Count a failed call; opens the circuit at the threshold or after a failed trial
+  recordFailure(error) {
+    const trial = this.getState() === CIRCUIT_STATE.HALF_OPEN;
+    this.failures++;
+    this.lastError = error?.message || String(error);
+
+    if (trial || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this.retryAt = this.openedAt + this.cooldown;
+      this.logger?.warn('Circuit opened', {
+        circuit: this.source,
+        failures: this.failures,
+        retryAt: new Date(this.retryAt).toISOString(),
+        error
+      });
+    }
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      state: this.getState(),
+      failures: this.failures,
+      openedAt: this.openedAt !== null ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt !== null ? new Date(this.retryAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
@@ -0,0 +1,140 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import HistoryStore from './history-store.js';
+import ResultTracker, { RESULT_STATE } from './result-tracker.js';
+import { createStorage } from './storage.js';
+import logger from './logger.js';
+import metrics from './metrics.js';
+import { getBangkokDate } from './date-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const CONFIG = {
+  dataDir: __dirname, // Holds <section>_data.json and <section>_history.json
+  storage: process.env.STORAGE_BACKEND || 'json', // "json" files or "sqlite" database
+  sqliteFile: path.join(__dirname, 'lotto_results.db'),
+  logFile: path.join(__dirname, 'stock_scraper.log'),
+};
+
+// Results of one lotto432k section (Hanoi, Lao, ...), keyed by the section's
+// key field. It has no scheduler of its own: the stock manager reads every
+// section on the page it already loads and hands the rows over with
+// processExtraction(). Lifecycle, change detection and storage are shared
+// with the stock manager, see result-tracker.js.
+class SectionManager extends ResultTracker {
+  constructor({ id, section, config = {} }) {
+    super();
+    this.id = id;
+    this.source = id;
+    this.section = section;
+    this.fields = { key: 'market', date: 'date', results: section.resultFields, compare: ['name'] };
+    this.config = { ...CONFIG, ...config };
+    this.storage = createStorage({
+      backend: this.config.storage,
+      kind: 'section',
+      section: id,
+      dataFile: path.join(this.config.dataDir, `${id}_data.json`),
+      historyFile: path.join(this.config.dataDir, `${id}_history.json`),
+      sqliteFile: this.config.sqliteFile
+    });
+    this.history = new HistoryStore({ storage: this.storage });
+    this.logger = logger.child({ source: id }, { file: this.config.logFile });
+    this.lastValidation = null;
+  }
+
+  // Key a scraped row by the section's key field and date it by the Bangkok
+  // day it was seen
+  stampRow(scraped) {
+    return { ...scraped, market: scraped[this.section.key], date: getBangkokDate(new Date(scraped.lastUpdated)) };
+  }
+
+  // Build the history entry of an announced row
+  toHistoryEntry(record) {
+    return {
+      date: record.date,
+      market: record.market,
+      name: record.name,
+      ...this.getResult(record),
+      state: record.state
+    };
+  }
+
+  // Take the schema output for this section from a page load. A section
+  // missing from the page is reported and leaves the stored data alone.
+  async processExtraction({ containerFound, rows, rejected, errors }, seenAt = new Date().toISOString()) {
+    this.lastValidation = { checkedAt: seenAt, accepted: rows.length, rejected, errors };
+    metrics.recordRejectedRows(this.id, rejected.length);
+
+    rejected.forEach(item => {
+      this.logger.warn('Row rejected by extraction schema', { row: item.row, values: item.values, reasons: item.reasons });
+    });
+
+    if (!containerFound || errors.length > 0) {
+      this.logger.warn('Section does not match its extraction schema', { errors });
+      return { added: [], updated: [], removed: [] };
+    }
+
+    // A rejected row keeps its current data so it is not reported as removed
+    const kept = rejected
+      .map(item => this.currentData.find(record => record.market === item.values[this.section.key]))
+      .filter(Boolean);
+
+    return this.processNewData([...rows.map(row => ({ ...row, lastUpdated: seenAt })), ...kept]);
+  }
+
+  // Process new data and detect changes
+  async processNewData(scrapedData) {
+    const newData = this.resolveLifecycle(this.currentData, scrapedData);
+    const changes = this.detectChanges(this.currentData, newData);
+
+    changes.added.forEach(record => {
+      this.logger.info('Result added', { market: record.market, date: record.date, state: record.state, ...this.getResult(record) });
+    });
+
+    changes.updated.forEach(change => {
+      this.logger.info('Result updated', {
+        market: change.market,
+        date: change.new.date,
+        state: change.new.state,
+        ...this.getResult(change.new),
+        previous: Object.values(this.getResult(change.old)).join('/')
+      });
+    });
+
+    changes.removed.forEach(record => {
+      this.logger.warn('Result removed', { market: record.market, date: record.date });
+    });
+
+    const totalChanges = changes.added.length + changes.updated.length + changes.removed.length;
+
+    if (totalChanges > 0) {
+      this.currentData = newData;
+      await this.saveData(newData);
+      await this.recordHistory([
+        ...changes.added,
+        ...changes.updated.map(change => change.new)
+      ]);
+      this.logger.info('Data updated', { added: changes.added.length, updated: changes.updated.length, removed: changes.removed.length });
+
+      // Let listeners (notifications, live feeds) react to the changes
+      this.emit('changes', { source: this.id, changes });
+    }
+
+    return changes;
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      title: this.section.title,
+      recordCount: this.currentData.length,
+      validation: this.lastValidation,
+      lastUpdated: this.currentData.length > 0 ? this.currentData[0]?.lastUpdated : null
+    };
+  }
+}
+
+export default SectionManager;
+export { RESULT_STATE };
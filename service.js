@@ -0,0 +1,100 @@
+import stockManager from './stock-scraper.js';
+import lotteryManager from './lotterry-scraper.js';
+import apiServer from './api-server.js';
+import notifier from './notifier.js';
+import liveFeed from './live-feed.js';
+import watchdog from './watchdog.js';
+import exporter from './exporter.js';
+import analytics from './analytics.js';
+import configWatcher, { loadConfig, applyConfig } from './config.js';
+
+// Managers the service runs, by name
+export const MANAGERS = {
+  stock: stockManager,
+  lottery: lotteryManager
+};
+
+// What each config section configures; see CONFIG_SCHEMA in config.js
+export const COMPONENTS = {
+  ...MANAGERS,
+  export: exporter,
+  analytics,
+  watchdog,
+  api: apiServer,
+  notifier: {
+    configure: ({ targets }) => targets && notifier.configure(targets),
+    reload: ({ targets }) => (targets ? notifier.configure(targets) : notifier.reloadTargets())
+  }
+};
+
+// Load the configuration (see loadConfig() for the options) and apply it;
+// resolves to what startService() needs to hot-reload it
+export async function configureService(options = {}) {
+  const loaded = await loadConfig(options);
+  applyConfig(loaded.config, COMPONENTS);
+  return { ...loaded, options };
+}
+
+// Load a manager's stored data and history, and those of its sections,
+// without scraping
+export async function loadStoredData(name) {
+  const manager = MANAGERS[name];
+  await manager.loadExistingData();
+  await manager.loadHistory();
+
+  for (const section of manager.sections?.values() || []) {
+    await section.loadExistingData();
+    await section.loadHistory();
+  }
+}
+
+// Feed every manager's and section's history into the number statistics
+export function attachAnalytics() {
+  for (const manager of Object.values(MANAGERS)) {
+    analytics.attach(manager);
+    for (const section of manager.sections?.values() || []) {
+      analytics.attach(section);
+    }
+  }
+}
+
+// Wire the managers to notifications, the live feed and the watchdog, start
+// the API server and run the schedulers. `only` names the single manager to
+// schedule; the other one's stored data is still loaded for the API.
+// `config` is the result of configureService(), whose files are watched.
+export async function startService({ only = null, config = null } = {}) {
+  if (only && !MANAGERS[only]) {
+    throw new Error(`Unknown manager "${only}" (expected one of ${Object.keys(MANAGERS).join(', ')})`);
+  }
+
+  const names = only ? [only] : Object.keys(MANAGERS);
+
+  await notifier.start();
+  for (const name of names) {
+    notifier.attach(MANAGERS[name]);
+    liveFeed.attach(MANAGERS[name]);
+    watchdog.attach(name, MANAGERS[name]);
+  }
+  if (names.includes('stock')) {
+    for (const section of stockManager.sections.values()) {
+      notifier.attach(section);
+      liveFeed.attach(section);
+    }
+  }
+  notifier.attach(watchdog);
+  attachAnalytics();
+  watchdog.start();
+  exporter.start();
+
+  await apiServer.start();
+
+  for (const name of Object.keys(MANAGERS)) {
+    if (!names.includes(name)) await loadStoredData(name);
+  }
+
+  if (config) {
+    configWatcher.watch(config, config.options, COMPONENTS);
+  }
+
+  await Promise.all(names.map(name => MANAGERS[name].start()));
+}
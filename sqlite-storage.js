@@ -0,0 +1,412 @@
+import { summarizePrizes } from './prize-tiers.js';
+
+// Tables of the stock board: one row per market, one per market and trading
+// date, and the markets shown on the board right now
+const STOCK_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS markets (
+    name TEXT PRIMARY KEY,
+    country_code TEXT
+  );
+  CREATE TABLE IF NOT EXISTS daily_results (
+    market TEXT NOT NULL REFERENCES markets(name),
+    trading_date TEXT NOT NULL,
+    three_digits TEXT,
+    two_digits TEXT,
+    state TEXT NOT NULL,
+    last_updated TEXT,
+    announced_at TEXT,
+    previous_three_digits TEXT,
+    previous_two_digits TEXT,
+    recorded_at TEXT,
+    in_history INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (market, trading_date)
+  );
+  CREATE INDEX IF NOT EXISTS idx_daily_results_date ON daily_results (trading_date);
+  CREATE INDEX IF NOT EXISTS idx_daily_results_market_date ON daily_results (market, trading_date);
+  CREATE TABLE IF NOT EXISTS current_results (
+    market TEXT PRIMARY KEY REFERENCES markets(name),
+    trading_date TEXT NOT NULL,
+    position INTEGER NOT NULL
+  );
+`;
+
+// Tables of the government lottery: draws, their prize tiers and each number
+const LOTTERY_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS draws (
+    draw_date TEXT PRIMARY KEY,
+    draw_id TEXT,
+    last_updated TEXT,
+    recorded_at TEXT,
+    in_history INTEGER NOT NULL DEFAULT 0,
+    is_current INTEGER NOT NULL DEFAULT 0,
+    source TEXT,
+    verification TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_draws_draw_id ON draws (draw_id);
+  CREATE TABLE IF NOT EXISTS prize_tiers (
+    draw_date TEXT NOT NULL REFERENCES draws(draw_date) ON DELETE CASCADE,
+    tier_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    name TEXT,
+    reward INTEGER,
+    amount INTEGER,
+    PRIMARY KEY (draw_date, tier_id)
+  );
+  CREATE TABLE IF NOT EXISTS prize_numbers (
+    draw_date TEXT NOT NULL,
+    tier_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    number TEXT NOT NULL,
+    PRIMARY KEY (draw_date, tier_id, position),
+    FOREIGN KEY (draw_date, tier_id) REFERENCES prize_tiers(draw_date, tier_id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_prize_numbers_number ON prize_numbers (number);
+`;
+
+// Tables of the other lotto432k sections. Record shapes differ per section,
+// so each record is kept as JSON next to the columns it is looked up by.
+const SECTION_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS section_results (
+    section TEXT NOT NULL,
+    market TEXT NOT NULL,
+    result_date TEXT NOT NULL,
+    state TEXT NOT NULL,
+    data TEXT NOT NULL,
+    recorded_at TEXT,
+    PRIMARY KEY (section, market, result_date)
+  );
+  CREATE INDEX IF NOT EXISTS idx_section_results_date ON section_results (section, result_date);
+  CREATE TABLE IF NOT EXISTS section_current (
+    section TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (section, position)
+  );
+`;
+
+const SCHEMAS = { stock: STOCK_SCHEMA, lottery: LOTTERY_SCHEMA, section: SECTION_SCHEMA };
+
+// Columns added after a table was first created, by kind: [table, column, type]
+const ADDED_COLUMNS = {
+  lottery: [
+    ['draws', 'source', 'TEXT'],
+    ['draws', 'verification', 'TEXT']
+  ]
+};
+
+// Embedded SQLite backend; implements the storage interface described in storage.js.
+// Both managers can share one database file.
+class SqliteStorage {
+  constructor({ kind, section = null, file }) {
+    if (!SCHEMAS[kind]) {
+      throw new Error(`SQLite storage does not support "${kind}" data`);
+    }
+
+    this.kind = kind;
+    this.section = section;
+    this.file = file;
+    this.db = null;
+  }
+
+  // Open the database and create the tables on first use
+  async open() {
+    if (this.db) return this.db;
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (err) {
+      throw new Error(`SQLite storage needs the "better-sqlite3" package (${err.message})`);
+    }
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMAS[this.kind]);
+    this.addMissingColumns(this.db);
+    return this.db;
+  }
+
+  // Bring tables created by an older version up to date
+  addMissingColumns(db) {
+    for (const [table, column, type] of ADDED_COLUMNS[this.kind] || []) {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+      if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+
+  async loadCurrent() {
+    const db = await this.open();
+    const records = {
+      stock: () => this.loadCurrentStocks(db),
+      lottery: () => this.loadDraws(db, 'is_current = 1'),
+      section: () => this.loadCurrentSection(db)
+    }[this.kind]();
+
+    if (records.length === 0) {
+      const error = new Error(`No ${this.section || this.kind} data stored in ${this.file}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return { records, recoveredFrom: null, migratedFrom: null };
+  }
+
+  async saveCurrent(records) {
+    const db = await this.open();
+
+    if (this.kind === 'stock') {
+      db.transaction(() => {
+        db.prepare('DELETE FROM current_results').run();
+        records.forEach((record, position) => {
+          this.upsertStockResult(db, {
+            market: record.stockName,
+            countryCode: record.countryCode,
+            date: record.tradingDate,
+            ...record
+          }, false);
+          db.prepare('INSERT INTO current_results (market, trading_date, position) VALUES (?, ?, ?)')
+            .run(record.stockName, record.tradingDate, position);
+        });
+      })();
+    } else if (this.kind === 'section') {
+      db.transaction(() => {
+        db.prepare('DELETE FROM section_current WHERE section = ?').run(this.section);
+        const insert = db.prepare('INSERT INTO section_current (section, position, data) VALUES (?, ?, ?)');
+        records.forEach((record, position) => insert.run(this.section, position, JSON.stringify(record)));
+      })();
+    } else {
+      db.transaction(() => {
+        db.prepare('UPDATE draws SET is_current = 0').run();
+        records.forEach(record => this.upsertDraw(db, record, { isCurrent: true }));
+      })();
+    }
+  }
+
+  async loadHistory() {
+    const db = await this.open();
+    const records = {
+      stock: () => this.loadStockHistory(db),
+      lottery: () => this.loadDraws(db, 'in_history = 1'),
+      section: () => this.loadSectionHistory(db)
+    }[this.kind]();
+    return { records, recoveredFrom: null };
+  }
+
+  // Only the changed records are written; rows are upserted by key
+  async saveHistory(changedRecords) {
+    const db = await this.open();
+
+    db.transaction(() => {
+      changedRecords.forEach(record => {
+        if (this.kind === 'stock') {
+          this.upsertStockResult(db, record, true);
+        } else if (this.kind === 'section') {
+          this.upsertSectionResult(db, record);
+        } else {
+          this.upsertDraw(db, record, { inHistory: true });
+        }
+      });
+    })();
+  }
+
+  describe() {
+    return this.file;
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  // Insert or update one market result. A placeholder never replaces a
+  // result that is already part of history.
+  upsertStockResult(db, record, inHistory) {
+    db.prepare(`
+      INSERT INTO markets (name, country_code) VALUES (?, ?)
+      ON CONFLICT (name) DO UPDATE SET country_code = COALESCE(excluded.country_code, markets.country_code)
+    `).run(record.market, record.countryCode || null);
+
+    db.prepare(`
+      INSERT INTO daily_results (
+        market, trading_date, three_digits, two_digits, state, last_updated, announced_at,
+        previous_three_digits, previous_two_digits, recorded_at, in_history
+      ) VALUES (
+        @market, @date, @threeDigits, @twoDigits, @state, @lastUpdated, @announcedAt,
+        @previousThree, @previousTwo, @recordedAt, @inHistory
+      )
+      ON CONFLICT (market, trading_date) DO UPDATE SET
+        three_digits = excluded.three_digits,
+        two_digits = excluded.two_digits,
+        state = excluded.state,
+        last_updated = COALESCE(excluded.last_updated, daily_results.last_updated),
+        announced_at = COALESCE(excluded.announced_at, daily_results.announced_at),
+        previous_three_digits = COALESCE(excluded.previous_three_digits, daily_results.previous_three_digits),
+        previous_two_digits = COALESCE(excluded.previous_two_digits, daily_results.previous_two_digits),
+        recorded_at = COALESCE(excluded.recorded_at, daily_results.recorded_at),
+        in_history = MAX(daily_results.in_history, excluded.in_history)
+      WHERE excluded.state != 'pending' OR daily_results.in_history = 0
+    `).run({
+      market: record.market,
+      date: record.date,
+      threeDigits: record.threeDigits,
+      twoDigits: record.twoDigits,
+      state: record.state || 'announced',
+      lastUpdated: record.lastUpdated || null,
+      announcedAt: record.announcedAt || null,
+      previousThree: record.previous?.threeDigits || null,
+      previousTwo: record.previous?.twoDigits || null,
+      recordedAt: record.recordedAt || null,
+      inHistory: inHistory ? 1 : 0
+    });
+  }
+
+  loadCurrentStocks(db) {
+    return db.prepare(`
+      SELECT d.*, m.country_code
+      FROM current_results c
+      JOIN daily_results d ON d.market = c.market AND d.trading_date = c.trading_date
+      JOIN markets m ON m.name = c.market
+      ORDER BY c.position
+    `).all().map(row => {
+      const record = {
+        countryCode: row.country_code || '',
+        stockName: row.market,
+        threeDigits: row.three_digits,
+        twoDigits: row.two_digits,
+        lastUpdated: row.last_updated,
+        tradingDate: row.trading_date,
+        state: row.state
+      };
+
+      if (row.announced_at) record.announcedAt = row.announced_at;
+      if (row.previous_three_digits) {
+        record.previous = { threeDigits: row.previous_three_digits, twoDigits: row.previous_two_digits };
+      }
+
+      return record;
+    });
+  }
+
+  loadStockHistory(db) {
+    return db.prepare(`
+      SELECT d.*, m.country_code
+      FROM daily_results d
+      JOIN markets m ON m.name = d.market
+      WHERE d.in_history = 1
+      ORDER BY d.trading_date, d.market
+    `).all().map(row => ({
+      date: row.trading_date,
+      market: row.market,
+      countryCode: row.country_code || '',
+      threeDigits: row.three_digits,
+      twoDigits: row.two_digits,
+      state: row.state,
+      recordedAt: row.recorded_at
+    }));
+  }
+
+  // Insert or update one section result in history
+  upsertSectionResult(db, record) {
+    db.prepare(`
+      INSERT INTO section_results (section, market, result_date, state, data, recorded_at)
+      VALUES (@section, @market, @date, @state, @data, @recordedAt)
+      ON CONFLICT (section, market, result_date) DO UPDATE SET
+        state = excluded.state,
+        data = excluded.data,
+        recorded_at = COALESCE(excluded.recorded_at, section_results.recorded_at)
+    `).run({
+      section: this.section,
+      market: record.market,
+      date: record.date,
+      state: record.state || 'announced',
+      data: JSON.stringify(record),
+      recordedAt: record.recordedAt || null
+    });
+  }
+
+  loadCurrentSection(db) {
+    return db.prepare('SELECT data FROM section_current WHERE section = ? ORDER BY position')
+      .all(this.section)
+      .map(row => JSON.parse(row.data));
+  }
+
+  loadSectionHistory(db) {
+    return db.prepare('SELECT data FROM section_results WHERE section = ? ORDER BY result_date, market')
+      .all(this.section)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Insert or update one draw with its tiers and numbers
+  upsertDraw(db, record, { isCurrent = false, inHistory = false }) {
+    db.prepare(`
+      INSERT INTO draws (draw_date, draw_id, last_updated, recorded_at, in_history, is_current, source, verification)
+      VALUES (@date, @drawId, @lastUpdated, @recordedAt, @inHistory, @isCurrent, @source, @verification)
+      ON CONFLICT (draw_date) DO UPDATE SET
+        draw_id = COALESCE(excluded.draw_id, draws.draw_id),
+        last_updated = COALESCE(excluded.last_updated, draws.last_updated),
+        recorded_at = COALESCE(excluded.recorded_at, draws.recorded_at),
+        in_history = MAX(draws.in_history, excluded.in_history),
+        is_current = MAX(draws.is_current, excluded.is_current),
+        source = COALESCE(excluded.source, draws.source),
+        verification = COALESCE(excluded.verification, draws.verification)
+    `).run({
+      date: record.date,
+      drawId: record.drawId || null,
+      lastUpdated: record.lastUpdated || null,
+      recordedAt: record.recordedAt || null,
+      inHistory: inHistory ? 1 : 0,
+      isCurrent: isCurrent ? 1 : 0,
+      source: record.source || null,
+      verification: record.verification ? JSON.stringify(record.verification) : null
+    });
+
+    db.prepare('DELETE FROM prize_tiers WHERE draw_date = ?').run(record.date);
+
+    const insertTier = db.prepare(`
+      INSERT INTO prize_tiers (draw_date, tier_id, position, name, reward, amount)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertNumber = db.prepare(`
+      INSERT INTO prize_numbers (draw_date, tier_id, position, number) VALUES (?, ?, ?, ?)
+    `);
+
+    (record.tiers || []).forEach((tier, position) => {
+      insertTier.run(record.date, tier.id, position, tier.name, tier.reward, tier.amount);
+      tier.numbers.forEach((number, index) => insertNumber.run(record.date, tier.id, index, number));
+    });
+  }
+
+  loadDraws(db, condition) {
+    const draws = db.prepare(`SELECT * FROM draws WHERE ${condition} ORDER BY draw_date`).all();
+    const tiersByDraw = db.prepare('SELECT * FROM prize_tiers WHERE draw_date = ? ORDER BY position');
+    const numbersByTier = db.prepare('SELECT number FROM prize_numbers WHERE draw_date = ? AND tier_id = ? ORDER BY position');
+
+    return draws.map(draw => {
+      const tiers = tiersByDraw.all(draw.draw_date).map(tier => ({
+        id: tier.tier_id,
+        name: tier.name,
+        reward: tier.reward,
+        amount: tier.amount,
+        numbers: numbersByTier.all(draw.draw_date, tier.tier_id).map(row => row.number)
+      }));
+
+      const record = {
+        date: draw.draw_date,
+        drawId: draw.draw_id,
+        prizes: summarizePrizes(tiers),
+        tiers,
+        lastUpdated: draw.last_updated
+      };
+
+      if (draw.source) record.source = draw.source;
+      if (draw.verification) record.verification = JSON.parse(draw.verification);
+      if (draw.recorded_at) record.recordedAt = draw.recorded_at;
+      return record;
+    });
+  }
+}
+
+export default SqliteStorage;
@@ -1,7 +1,18 @@
-import puppeteer from 'puppeteer';
-import { promises as fs  } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import HistoryStore from './history-store.js';
+import ResultTracker, { RESULT_STATE } from './result-tracker.js';
+import { createStorage } from './storage.js';
+import logger from './logger.js';
+import metrics from './metrics.js';
+import browserPool from './browser-pool.js';
+import MarketSchedule from './market-schedule.js';
+import { STOCK_TABLE_SCHEMA, validateSchema, extractWithSchema } from './extraction-schema.js';
+import { SECTIONS, pickStockRows } from './lotto432k-sections.js';
+import SectionManager from './section-manager.js';
+import { getBangkokDate } from './date-utils.js';
+import { withRetry, CircuitBreaker, CIRCUIT_STATE, LayoutError, EmptyResultError } from './retry-policy.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -11,299 +22,392 @@ const __dirname = path.dirname(__filename);
 const CONFIG = {
   minInterval: 10 * 60 * 1000,
   maxInterval: 15 * 60 * 1000,
+  siteUrl: 'https://www.lotto432k.com/',
   dataFile: path.join(__dirname, 'stock_data.json'),
+  historyFile: path.join(__dirname, 'stock_history.json'),
+  storage: process.env.STORAGE_BACKEND || 'json', // "json" files or "sqlite" database
+  sqliteFile: path.join(__dirname, 'lotto_results.db'),
   logFile: path.join(__dirname, 'stock_scraper.log'),
   maxRetries: 3,
-  retryDelay: 5000,
+  retryDelay: 5000, // Before the first retry, doubled for each one after it
+  maxRetryDelay: 60 * 1000,
+  circuitFailureThreshold: 5, // Failed extractions in a row before the site is left alone
+  circuitCooldown: 30 * 60 * 1000, // How long it is left alone
+  useMarketSchedule: true, // Poll around each market's announcement window
+  activeInterval: 45 * 1000, // Poll rate while a window is waiting for its result
+  windowGrace: 30 * 60 * 1000, // Keep polling this long past a window whose result is still pending
+  minIdleInterval: 30 * 1000,
+  maxIdleInterval: 60 * 60 * 1000, // Safety re-check while sleeping between windows
+  scheduleOverrides: {}, // { [stockName]: { window, tradingDays, holidays, timezone } }
+  extractionSchema: STOCK_TABLE_SCHEMA, // How rows are read off the page, see extraction-schema.js
+  sections: Object.keys(SECTIONS), // Other results read off the same page, see lotto432k-sections.js
+  sectionDataDir: __dirname,
+  markets: [], // Stock names or country codes to track; empty tracks every market
 };
 
-
-
-class StockDataManager {
-  constructor() {
-    this.currentData = [];
+// Options: `config` overrides CONFIG entries, `browser` is the page pool
+// (anything with withPage(fn)); both are injectable so tests can run offline.
+// Lifecycle, change detection and storage are shared with the section
+// managers, see result-tracker.js.
+class StockDataManager extends ResultTracker {
+  constructor({ config = {}, browser = browserPool } = {}) {
+    super();
+    this.source = 'stock';
+    this.fields = { key: 'stockName', date: 'tradingDate', results: ['threeDigits', 'twoDigits'], compare: ['countryCode'] };
+    this.config = { ...CONFIG };
+    this.browser = browser;
     this.isRunning = false;
+    this.isCycleRunning = false;
     this.timeoutId = null;
+    this.nextRun = null;
+    this.cycleStartedAt = null;
+    this.lastCycle = null;
+    this.lastValidation = null;
+    this.sectionResults = null;
+    this.configure(config);
   }
 
-  // Load existing data from file
-  async loadExistingData() {
-    try {
-      const data = await fs.readFile(CONFIG.dataFile, 'utf-8');
-      const parsedData = JSON.parse(data);
-      this.currentData = parsedData.data || parsedData; // Handle both old and new format
-      this.log(`📂 Loaded ${this.currentData.length} existing records`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.log('📂 No existing data file found, starting fresh');
-        this.currentData = [];
-      } else {
-        this.log(`❌ Error loading existing data: ${error.message}`);
-        this.currentData = [];
-      }
-    }
-  }
-
-  // Save data to file
-  async saveData(data) {
-    try {
-      const dataToSave = {
-        lastUpdated: new Date().toISOString(),
-        recordCount: data.length,
-        data: data
-      };
-      
-      await fs.writeFile(CONFIG.dataFile, JSON.stringify(dataToSave, null, 2));
-      this.log(`💾 Saved ${data.length} records to ${CONFIG.dataFile}`);
-    } catch (error) {
-      this.log(`❌ Error saving data: ${error.message}`);
+  // Override config entries and rebuild everything derived from them
+  // (storage, schedule, logger, circuit breaker, sections). Only allowed
+  // while stopped.
+  configure(config = {}) {
+    if (this.isRunning) {
+      throw new Error('Cannot reconfigure the stock manager while it is running');
     }
-  }
-
-  // Compare two data sets to detect changes
-  detectChanges(oldData, newData) {
-    const changes = {
-      added: [],
-      updated: [],
-      removed: []
-    };
 
-    // Create lookup maps for efficient comparison
-    const oldMap = new Map(oldData.map(item => [item.stockName, item]));
-    const newMap = new Map(newData.map(item => [item.stockName, item]));
-
-    // Find added and updated items
-    for (const [stockName, newItem] of newMap) {
-      const oldItem = oldMap.get(stockName);
-      if (!oldItem) {
-        changes.added.push(newItem);
-      } else if (this.hasDataChanged(oldItem, newItem)) {
-        changes.updated.push({
-          stockName,
-          old: oldItem,
-          new: newItem
-        });
+    const nextConfig = { ...this.config, ...config };
+    validateSchema(nextConfig.extractionSchema);
+    for (const id of nextConfig.sections) {
+      if (!SECTIONS[id]) {
+        throw new Error(`Unknown lotto432k section "${id}" (expected one of ${Object.keys(SECTIONS).join(', ')})`);
       }
+      if (SECTIONS[id].schema) validateSchema(SECTIONS[id].schema);
     }
 
-    // Find removed items
-    for (const [stockName, oldItem] of oldMap) {
-      if (!newMap.has(stockName)) {
-        changes.removed.push(oldItem);
+    this.config = nextConfig;
+    this.storage = createStorage({
+      backend: this.config.storage,
+      kind: 'stock',
+      dataFile: this.config.dataFile,
+      historyFile: this.config.historyFile,
+      sqliteFile: this.config.sqliteFile
+    });
+    this.history = new HistoryStore({ storage: this.storage });
+    this.schedule = new MarketSchedule(this.config.scheduleOverrides);
+    this.logger = logger.child({ source: 'stock' }, { file: this.config.logFile });
+    this.circuit = new CircuitBreaker({
+      source: 'stock',
+      failureThreshold: this.config.circuitFailureThreshold,
+      cooldown: this.config.circuitCooldown,
+      logger: this.logger
+    });
+    this.sections = new Map(this.config.sections.map(id => [id, new SectionManager({
+      id,
+      section: SECTIONS[id],
+      config: {
+        dataDir: this.config.sectionDataDir,
+        storage: this.config.storage,
+        sqliteFile: this.config.sqliteFile,
+        logFile: this.config.logFile
       }
+    })]));
+  }
+
+  // Apply settings that are safe to change while running (intervals, retries,
+  // circuit breaker, schedule overrides, enabled markets) and reschedule the pending run.
+  // An undefined value restores the default.
+  reload(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      this.config[key] = value === undefined ? CONFIG[key] : value;
+    }
+    if ('scheduleOverrides' in settings) {
+      this.schedule = new MarketSchedule(this.config.scheduleOverrides);
     }
+    this.circuit.configure({ failureThreshold: this.config.circuitFailureThreshold, cooldown: this.config.circuitCooldown });
+    this.logger.info('Settings reloaded', { settings: Object.keys(settings) });
 
-    return changes;
+    if (this.timeoutId && !this.isCycleRunning) {
+      clearTimeout(this.timeoutId);
+      this.scheduleNextRun();
+    }
   }
 
-  // Check if data has changed between two items
-  hasDataChanged(oldItem, newItem) {
-    return oldItem.threeDigits !== newItem.threeDigits ||
-           oldItem.twoDigits !== newItem.twoDigits ||
-           oldItem.countryCode !== newItem.countryCode;
+  // Date a scraped row by its market's trading date
+  stampRow(scraped) {
+    return { ...scraped, tradingDate: this.schedule.getTradingDate(scraped.stockName, new Date(scraped.lastUpdated)) };
   }
 
-  // Log messages with timestamp
-  async log(message) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}`;
-    
-    console.log(logMessage);
-    
-    try {
-      await fs.appendFile(CONFIG.logFile, logMessage + '\n');
-    } catch (error) {
-      console.error('Failed to write to log file:', error);
-    }
+  // Build the history entry of an announced market row
+  toHistoryEntry(stock) {
+    return {
+      date: stock.tradingDate || getBangkokDate(new Date(stock.lastUpdated)),
+      market: stock.stockName,
+      countryCode: stock.countryCode,
+      threeDigits: stock.threeDigits,
+      twoDigits: stock.twoDigits,
+      state: stock.state || RESULT_STATE.ANNOUNCED
+    };
   }
 
-  // Extract stock data (your original function with minor modifications)
+  // Extract stock data on a page leased from the shared browser
   async extractStockResults() {
-    const url = 'https://www.lotto432k.com/';
-    let browser;
-
-    try {
-      browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-
-      const page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+    const url = this.config.siteUrl;
+    const schema = this.config.extractionSchema;
 
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-      await page.waitForSelector('div.card', { timeout: 30000 });
+    const result = await this.browser.withPage(async page => {
+      // Static assets are blocked, so the DOM is all we need to wait for
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await page.waitForSelector(schema.container.selector, { timeout: 30000 });
 
-      // Try to wait for table data specifically
+      // Try to wait until the schema finds rows
       try {
-        await page.waitForFunction(() => {
-          const cards = document.querySelectorAll('div.card');
-          for (let card of cards) {
-            const headerText = card.querySelector('.card-header')?.textContent || '';
-            if (headerText.includes('หวยหุ้นต่างประเทศ')) {
-              const tbody = card.querySelector('tbody');
-              const rows = tbody?.querySelectorAll('tr') || [];
-              return rows.length > 0;
-            }
-          }
-          return false;
-        }, { timeout: 15000 });
+        await page.waitForFunction(`(${extractWithSchema})(${JSON.stringify(schema)}).rows.length > 0`, { timeout: 15000 });
       } catch (waitError) {
-        this.log('⚠️ Timeout waiting for table data, proceeding anyway...');
+        this.logger.warn('Timeout waiting for table data, proceeding anyway');
       }
 
       // Extract data using page.evaluate
-      const results = await page.evaluate(() => {
-        const cards = document.querySelectorAll('div.card');
-        let targetCard = null;
-
-        // Find the target card
-        for (let card of cards) {
-          const headerText = card.querySelector('.card-header')?.textContent || '';
-          if (headerText.includes('หวยหุ้นต่างประเทศ')) {
-            targetCard = card;
-            break;
-          }
-        }
-
-        if (!targetCard) return [];
-
-        const table = targetCard.querySelector('table');
-        if (!table) return [];
-
-        const tbody = table.querySelector('tbody');
-        const rows = tbody ? tbody.querySelectorAll('tr') : table.querySelectorAll('tr');
-
-        const results = [];
-
-        rows.forEach((row) => {
-          const cells = row.querySelectorAll('td');
-
-          if (cells.length < 4) return;
-
-          const flagIcon = row.querySelector('.flag-icon');
-          const flagClass = flagIcon ? flagIcon.className : '';
-          const countryCode = flagClass.includes('flag-icon-')
-            ? flagClass.split('flag-icon-')[1].split(' ')[0]
-            : '';
-
-          const stockData = {
-            countryCode,
-            stockName: cells[1].textContent.trim(),
-            threeDigits: cells[2].textContent.trim(),
-            twoDigits: cells[3].textContent.trim(),
-            lastUpdated: new Date().toISOString()
-          };
-
-          if (stockData.stockName && stockData.stockName !== '') {
-            results.push(stockData);
-          }
-        });
-
-        return results;
-      });
+      const stocks = await page.evaluate(extractWithSchema, schema);
+
+      // The other sections are rows of that table or cards of the same page
+      const sections = {};
+      for (const id of this.sections.keys()) {
+        sections[id] = SECTIONS[id].schema
+          ? await page.evaluate(extractWithSchema, SECTIONS[id].schema)
+          : pickStockRows(SECTIONS[id], stocks);
+      }
 
-      await browser.close();
-      return results;
+      return { stocks, sections };
+    });
+
+    const rows = this.checkExtraction(result.stocks);
+    this.sectionResults = result.sections;
+    return rows.filter(row => this.isMarketEnabled(row));
+  }
 
-    } catch (error) {
-      if (browser) {
-        await browser.close();
+  // Hand the sections read on the last page load to their managers
+  async processSections() {
+    const results = this.sectionResults;
+    this.sectionResults = null;
+    if (!results) return;
+
+    for (const [id, result] of Object.entries(results)) {
+      try {
+        await this.sections.get(id).processExtraction(result);
+      } catch (error) {
+        this.logger.error('Error processing section', { section: id, error });
       }
-      throw error;
     }
   }
 
-  // Extract with retry logic
+  // Check a row against config.markets; an empty list enables every market
+  isMarketEnabled(row) {
+    const { markets } = this.config;
+    return markets.length === 0 || markets.includes(row.stockName) || markets.includes(row.countryCode);
+  }
+
+  // Report rows the schema rejected and refuse output from a changed layout
+  // or an empty table. A rejected market keeps its current row so it is not
+  // reported as removed.
+  checkExtraction({ containerFound, rows, rejected, errors }) {
+    const checkedAt = new Date().toISOString();
+    this.lastValidation = { checkedAt, accepted: rows.length, rejected, errors };
+    metrics.recordRejectedRows('stock', rejected.length);
+
+    rejected.forEach(item => {
+      this.logger.warn('Row rejected by extraction schema', { row: item.row, values: item.values, reasons: item.reasons });
+    });
+
+    if (!containerFound || errors.length > 0) {
+      throw new LayoutError(`Page layout does not match the extraction schema: ${errors.join('; ')}`, { source: 'stock' });
+    }
+    if (rows.length === 0 && rejected.length === 0) {
+      throw new EmptyResultError('The results table has no rows', { source: 'stock' });
+    }
+
+    const kept = rejected
+      .map(item => this.getMarket(item.values.stockName))
+      .filter(Boolean);
+
+    return [
+      ...rows.map(row => ({ ...row, lastUpdated: checkedAt })),
+      ...kept
+    ];
+  }
+
+  // Extract behind the site's circuit breaker, retrying the failures worth
+  // retrying with exponential backoff (see retry-policy.js)
   async extractWithRetry() {
-    for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-      try {
-        this.log(`🔄 Extraction attempt ${attempt}/${CONFIG.maxRetries}`);
-        const results = await this.extractStockResults();
-        
-        // Return all results without filtering
-        this.log(`📊 Extracted ${results.length} total results`);
-        return results;
+    const { maxRetries } = this.config;
 
-      } catch (error) {
-        this.log(`❌ Attempt ${attempt} failed: ${error.message}`);
-        
-        if (attempt === CONFIG.maxRetries) {
-          throw error;
-        }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelay));
+    return this.circuit.run(() => withRetry(async attempt => {
+      this.logger.debug('Extraction attempt', { attempt, maxRetries });
+      const startedAt = Date.now();
+      const results = await this.extractStockResults();
+
+      this.logger.info('Extracted results', { attempt, recordCount: results.length, durationMs: Date.now() - startedAt });
+      return results;
+    }, {
+      maxRetries,
+      baseDelay: this.config.retryDelay,
+      maxDelay: this.config.maxRetryDelay,
+      source: 'stock',
+      onFailure: (error, { attempt, willRetry, delay }) => {
+        this.logger.warn('Extraction attempt failed', { attempt, maxRetries, willRetry, delayMs: delay, error });
+        metrics.recordAttemptFailure('stock', error, willRetry);
       }
-    }
+    }));
   }
 
   // Process new data and detect changes
-  async processNewData(newData) {
+  async processNewData(scrapedData) {
+    const newData = this.resolveLifecycle(this.currentData, scrapedData);
     const changes = this.detectChanges(this.currentData, newData);
     
-    if (changes.added.length > 0) {
-      this.log(`🆕 Added ${changes.added.length} new stocks:`);
-      changes.added.forEach(stock => {
-        this.log(`   + ${stock.stockName}: ${stock.threeDigits}/${stock.twoDigits}`);
+    this.recordAnnouncementLatency(changes);
+
+    changes.added.forEach(stock => {
+      this.logger.info('Stock added', {
+        market: stock.stockName,
+        threeDigits: stock.threeDigits,
+        twoDigits: stock.twoDigits,
+        state: stock.state,
+        tradingDate: stock.tradingDate
       });
-    }
-
-    if (changes.updated.length > 0) {
-      this.log(`🔄 Updated ${changes.updated.length} stocks:`);
-      changes.updated.forEach(change => {
-        this.log(`   ~ ${change.stockName}: ${change.old.threeDigits}/${change.old.twoDigits} → ${change.new.threeDigits}/${change.new.twoDigits}`);
+    });
+
+    changes.updated.forEach(change => {
+      this.logger.info('Stock updated', {
+        market: change.stockName,
+        threeDigits: change.new.threeDigits,
+        twoDigits: change.new.twoDigits,
+        previous: `${change.old.threeDigits}/${change.old.twoDigits}`,
+        state: change.new.state,
+        tradingDate: change.new.tradingDate
       });
-    }
+    });
 
-    if (changes.removed.length > 0) {
-      this.log(`❌ Removed ${changes.removed.length} stocks:`);
-      changes.removed.forEach(stock => {
-        this.log(`   - ${stock.stockName}: ${stock.threeDigits}/${stock.twoDigits}`);
-      });
-    }
+    changes.removed.forEach(stock => {
+      this.logger.warn('Stock removed', { market: stock.stockName, threeDigits: stock.threeDigits, twoDigits: stock.twoDigits });
+    });
 
     const totalChanges = changes.added.length + changes.updated.length + changes.removed.length;
     
     if (totalChanges > 0) {
       this.currentData = newData;
       await this.saveData(newData);
-      this.log(`✅ Data updated with ${totalChanges} changes`);
+      await this.recordHistory([
+        ...changes.added,
+        ...changes.updated.map(change => change.new)
+      ]);
+      this.logger.info('Data updated', { added: changes.added.length, updated: changes.updated.length, removed: changes.removed.length });
+
+      // Let listeners (notifications, live feeds) react to the changes
+      this.emit('changes', { source: 'stock', changes });
     } else {
-      this.log('📊 No changes detected, data unchanged');
+      this.logger.info('No changes detected');
     }
 
     return changes;
   }
 
+  // Record how long after its window opened each newly announced result was seen
+  recordAnnouncementLatency(changes) {
+    const announced = [
+      ...changes.added,
+      ...changes.updated.map(change => change.new)
+    ].filter(stock => stock.state === RESULT_STATE.ANNOUNCED && stock.announcedAt === stock.lastUpdated);
+
+    for (const stock of announced) {
+      const window = this.schedule.getWindow(stock.stockName, stock.tradingDate);
+      if (window) {
+        metrics.recordAnnouncementLatency(stock.stockName, Date.parse(stock.announcedAt) - window.start.getTime());
+      }
+    }
+  }
+
   // Get random interval between min and max
   getRandomInterval() {
-    return Math.floor(Math.random() * (CONFIG.maxInterval - CONFIG.minInterval + 1)) + CONFIG.minInterval;
+    return Math.floor(Math.random() * (this.config.maxInterval - this.config.minInterval + 1)) + this.config.minInterval;
+  }
+
+  // Get the delay until the next run: driven by the market schedule, or a
+  // random interval when scheduling is disabled
+  getNextInterval(now = new Date()) {
+    // Nothing to read before the circuit breaker lets calls through again
+    const circuit = this.circuit.getStatus();
+    if (circuit.state === CIRCUIT_STATE.OPEN) {
+      return { delay: Math.max(Date.parse(circuit.retryAt) - now.getTime(), 0), reason: `circuit open until ${circuit.retryAt}`, activeMarkets: [] };
+    }
+
+    if (!this.config.useMarketSchedule) {
+      return { delay: this.getRandomInterval(), reason: 'fixed interval', activeMarkets: [] };
+    }
+
+    return this.schedule.getNextPoll(this.currentData, {
+      now,
+      activeInterval: this.config.activeInterval,
+      minIdleInterval: this.config.minIdleInterval,
+      maxIdleInterval: this.config.maxIdleInterval,
+      grace: this.config.windowGrace
+    });
   }
 
-  // Main scraping cycle
+  // Main scraping cycle, resolves to whether it succeeded
   async runScrapingCycle() {
-    try {
-      this.log('🚀 Starting scraping cycle...');
-      
-      const newData = await this.extractWithRetry();
-      await this.processNewData(newData);
-      
-      this.log('✅ Scraping cycle completed successfully');
-      
-    } catch (error) {
-      this.log(`❌ Scraping cycle failed: ${error.message}`);
+    if (this.isCycleRunning) {
+      this.logger.warn('A cycle is already running, skipping');
+      return false;
     }
+
+    this.isCycleRunning = true;
+    const startedAt = Date.now();
+    this.cycleStartedAt = new Date(startedAt).toISOString();
+
+    // Every entry logged during the cycle carries its cycleId
+    return this.logger.withContext({ cycleId: crypto.randomUUID() }, async () => {
+      try {
+        this.logger.info('Starting scraping cycle');
+
+        const newData = await this.extractWithRetry();
+        const changes = await this.processNewData(newData);
+        await this.processSections();
+        const changed = changes.added.length + changes.updated.length + changes.removed.length > 0;
+
+        const durationMs = Date.now() - startedAt;
+        this.finishCycle({ durationMs, success: true, error: null });
+        metrics.recordCycle('stock', { success: true, durationMs, recordCount: newData.length, changed });
+        this.logger.info('Scraping cycle completed', { durationMs });
+        return true;
+
+      } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        this.finishCycle({ durationMs, success: false, error: error.message });
+        metrics.recordCycle('stock', { success: false, durationMs });
+        this.logger.error('Scraping cycle failed', { durationMs, error });
+        return false;
+      } finally {
+        this.isCycleRunning = false;
+        this.cycleStartedAt = null;
+      }
+    });
+  }
+
+  // Remember how the last cycle went and tell listeners (the watchdog)
+  finishCycle(outcome) {
+    this.lastCycle = { startedAt: this.cycleStartedAt, finishedAt: new Date().toISOString(), ...outcome };
+    this.emit('cycle', { source: 'stock', ...this.lastCycle });
   }
 
   // Schedule next run
   scheduleNextRun() {
     if (!this.isRunning) return;
 
-    const interval = this.getRandomInterval();
+    const { delay: interval, reason, activeMarkets } = this.getNextInterval();
     const nextRun = new Date(Date.now() + interval);
+    this.nextRun = { at: nextRun.toISOString(), reason, activeMarkets };
     
-    this.log(`⏰ Next run scheduled in ${Math.round(interval / 60000)} minutes (at ${nextRun.toLocaleTimeString()})`);
+    this.logger.info('Next run scheduled', { at: this.nextRun.at, delayMs: interval, reason, activeMarkets });
     
     this.timeoutId = setTimeout(async () => {
       if (this.isRunning) {
@@ -316,15 +420,20 @@ class StockDataManager {
   // Start the scheduler
   async start() {
     if (this.isRunning) {
-      this.log('⚠️ Scheduler is already running');
+      this.logger.warn('Scheduler is already running');
       return;
     }
 
     this.isRunning = true;
-    this.log('🌟 Starting stock data scraper scheduler...');
+    this.logger.info('Starting stock data scraper scheduler');
     
     // Load existing data
     await this.loadExistingData();
+    await this.loadHistory();
+    for (const section of this.sections.values()) {
+      await section.loadExistingData();
+      await section.loadHistory();
+    }
     
     // Run initial scraping
     await this.runScrapingCycle();
@@ -332,13 +441,13 @@ class StockDataManager {
     // Schedule next runs
     this.scheduleNextRun();
     
-    this.log('✅ Scheduler started successfully');
+    this.logger.info('Scheduler started');
   }
 
   // Stop the scheduler
   stop() {
     if (!this.isRunning) {
-      this.log('⚠️ Scheduler is not running');
+      this.logger.warn('Scheduler is not running');
       return;
     }
 
@@ -349,21 +458,40 @@ class StockDataManager {
       this.timeoutId = null;
     }
     
-    this.log('🛑 Scheduler stopped');
+    this.logger.info('Scheduler stopped');
   }
 
   // Get current status
   getStatus() {
+    const states = Object.fromEntries(Object.values(RESULT_STATE).map(state => [state, 0]));
+    this.currentData.forEach(item => {
+      states[item.state] = (states[item.state] || 0) + 1;
+    });
+
     return {
       isRunning: this.isRunning,
+      isCycleRunning: this.isCycleRunning,
+      cycleStartedAt: this.cycleStartedAt,
+      lastCycle: this.lastCycle,
       recordCount: this.currentData.length,
+      states,
+      validation: this.lastValidation,
+      circuit: this.circuit.getStatus(),
+      sections: Object.fromEntries([...this.sections].map(([id, section]) => [id, section.getStatus()])),
+      nextRun: this.nextRun,
       lastUpdated: this.currentData.length > 0 ? this.currentData[0]?.lastUpdated : null
     };
   }
 
-  // Get current data
-  getCurrentData() {
-    return this.currentData;
+  // Get one market's current row, or null when the site has no such market.
+  // A row with state "pending" means the result is not out yet.
+  getMarket(stockName) {
+    return this.currentData.find(item => item.stockName === stockName) || null;
+  }
+
+  // Get the manager of another lotto432k section, or null when it is not read
+  getSection(id) {
+    return this.sections.get(id) || null;
   }
 }
 
@@ -372,13 +500,13 @@ const stockManager = new StockDataManager();
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+  stockManager.logger.info('Received SIGINT, shutting down');
   stockManager.stop();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
+  stockManager.logger.info('Received SIGTERM, shutting down');
   stockManager.stop();
   process.exit(0);
 });
@@ -386,4 +514,5 @@ process.on('SIGTERM', () => {
 
 
 // Export the instance as default
-export default stockManager;
\ No newline at end of file
+export default stockManager;
+export { StockDataManager, RESULT_STATE, CONFIG as STOCK_DEFAULTS };
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { readJsonDocument, writeJsonDocument } from './json-store.js';
+import SqliteStorage from './sqlite-storage.js';
+
+// Storage backends persist a manager's current snapshot and its history.
+// Every backend implements:
+//   loadCurrent()  -> { records, recoveredFrom, migratedFrom }
+//   saveCurrent(records)
+//   loadHistory()  -> { records, recoveredFrom }
+//   saveHistory(changedRecords, allRecords)
+//   describe()     -> where the data lives, for log messages
+//   close()
+// loadCurrent() throws an error with code ENOENT when there is nothing stored yet.
+
+// One JSON document for the snapshot and one for the history (the original format)
+export class JsonFileStorage {
+  constructor({ kind, dataFile, historyFile }) {
+    this.kind = kind;
+    this.dataFile = dataFile;
+    this.historyFile = historyFile;
+  }
+
+  async loadCurrent() {
+    const { document, recoveredFrom, migratedFrom } = await readJsonDocument(this.dataFile, { kind: this.kind });
+    return { records: document.data, recoveredFrom, migratedFrom };
+  }
+
+  async saveCurrent(records) {
+    await writeJsonDocument(this.dataFile, records, { kind: this.kind });
+  }
+
+  async loadHistory() {
+    try {
+      const { document, recoveredFrom } = await readJsonDocument(this.historyFile, { kind: 'history' });
+      return { records: document.data, recoveredFrom };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return { records: [], recoveredFrom: null };
+    }
+  }
+
+  // JSON documents are rewritten whole
+  async saveHistory(changedRecords, allRecords) {
+    await writeJsonDocument(this.historyFile, allRecords, { kind: 'history' });
+  }
+
+  describe() {
+    return this.dataFile;
+  }
+
+  async close() {}
+}
+
+// Create the storage backend of a manager: "json" (default) or "sqlite".
+// Kind "section" also takes the section ID, e.g. "hanoi".
+export function createStorage({ backend = 'json', kind, section, dataFile, historyFile, sqliteFile }) {
+  if (backend === 'json') {
+    return new JsonFileStorage({ kind, dataFile, historyFile });
+  }
+
+  if (backend === 'sqlite') {
+    return new SqliteStorage({ kind, section, file: sqliteFile });
+  }
+
+  throw new Error(`Unknown storage backend "${backend}" (expected "json" or "sqlite")`);
+}
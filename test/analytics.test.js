@@ -0,0 +1,130 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempConfig } from './helpers.js';
+import { Analytics, extractNumbers } from '../analytics.js';
+import { LotteryManager } from '../lotterry-scraper.js';
+import { summarizePrizes } from '../prize-tiers.js';
+
+// A stock history record of หุ้นเกาหลี
+const korea = (date, threeDigits, twoDigits) => ({ date, market: 'หุ้นเกาหลี', countryCode: 'kr', threeDigits, twoDigits, state: 'announced' });
+
+// A lottery draw with its most-checked tiers
+function draw(date, { first = '605634', front = ['358', '279'], back = ['092', '611'], two = '94' } = {}) {
+  const tiers = [
+    { id: 'prizeFirst', name: 'รางวัลที่ 1', reward: 6000000, amount: 1, numbers: [first] },
+    { id: 'runningNumberFrontThree', name: 'เลขหน้า 3 ตัว', reward: 4000, amount: 2, numbers: front },
+    { id: 'runningNumberBackThree', name: 'เลขท้าย 3 ตัว', reward: 4000, amount: 2, numbers: back },
+    { id: 'runningNumberBackTwo', name: 'เลขท้าย 2 ตัว', reward: 2000, amount: 1, numbers: [two] }
+  ];
+  return { date, drawId: null, tiers, prizes: summarizePrizes(tiers), lastUpdated: `${date}T09:00:00.000Z` };
+}
+
+describe('extractNumbers', () => {
+  it('reads stock, lottery and section results and drops placeholders', () => {
+    assert.deepEqual(extractNumbers('stock', korea('2025-10-20', '123', '45')), { twoDigits: ['45'], threeDigits: ['123'] });
+    assert.deepEqual(extractNumbers('stock', korea('2025-10-20', 'xxx', 'xx')), { twoDigits: [], threeDigits: [] });
+    assert.deepEqual(extractNumbers('lottery', draw('2025-10-16')), { twoDigits: ['94'], threeDigits: ['358', '279', '092', '611'] });
+    assert.deepEqual(
+      extractNumbers('hanoi', { date: '2025-10-20', market: 'normal', threeDigits: '821', twoDigits: '37' }),
+      { twoDigits: ['37'], threeDigits: ['821'] }
+    );
+  });
+});
+
+describe('Analytics reports', () => {
+  let analytics;
+
+  beforeEach(() => {
+    analytics = new Analytics({ config: { window: 3, topCount: 2 } });
+    analytics.ingest({
+      source: 'stock',
+      loaded: true,
+      records: [
+        korea('2025-10-17', '123', '45'),
+        korea('2025-10-20', '517', '45'),
+        korea('2025-10-21', '456', '07'),
+        korea('2025-10-22', '450', '12'),
+        { date: '2025-10-22', market: 'หุ้นนิเคอิเช้า', countryCode: 'jp', threeDigits: '999', twoDigits: '99' }
+      ]
+    });
+  });
+
+  it('lists one series per market', () => {
+    assert.deepEqual(analytics.getSeries().map(({ series, draws, lastDate }) => [series, draws, lastDate]), [
+      ['หุ้นเกาหลี', 4, '2025-10-22'],
+      ['หุ้นนิเคอิเช้า', 1, '2025-10-22']
+    ]);
+    assert.equal(analytics.getReport('ไต้หวัน'), null);
+  });
+
+  it('counts digits, positions, numbers and days since they last appeared', () => {
+    const report = analytics.getReport('หุ้นเกาหลี', { asOf: '2025-10-25' });
+    const { digits, positions, numbers } = report.threeDigits;
+
+    assert.deepEqual(digits, [1, 2, 1, 1, 2, 3, 1, 1, 0, 0]);
+    assert.deepEqual(positions[0], [0, 1, 0, 0, 2, 1, 0, 0, 0, 0]);
+    assert.deepEqual(report.twoDigits.numbers[45], { number: '45', count: 2, lastSeen: '2025-10-20', daysSince: 5 });
+    assert.deepEqual(report.twoDigits.numbers[99], { number: '99', count: 0, lastSeen: null, daysSince: null });
+    assert.equal(numbers.length, 1000);
+    assert.equal(numbers[450].daysSince, 3);
+  });
+
+  it('ranks hot and cold numbers over the latest draws of the window', () => {
+    const { hot, cold } = analytics.getReport('หุ้นเกาหลี').twoDigits;
+
+    // 45 of 2025-10-17 falls outside the three-draw window
+    assert.deepEqual(hot, [
+      { number: '12', count: 1, lastSeen: '2025-10-22' },
+      { number: '07', count: 1, lastSeen: '2025-10-21' }
+    ]);
+    assert.deepEqual(cold.map(entry => entry.number), ['00', '01']);
+    assert.equal(analytics.getReport('หุ้นเกาหลี', { window: 4 }).twoDigits.hot[0].number, '45');
+  });
+
+  it('tracks how many draws in a row each digit appeared', () => {
+    const { streaks } = analytics.getReport('หุ้นเกาหลี').threeDigits;
+
+    assert.deepEqual(streaks[5], { current: 3, longest: 3 });
+    assert.deepEqual(streaks[1], { current: 0, longest: 2 });
+    assert.deepEqual(streaks[4], { current: 2, longest: 2 });
+  });
+
+  it('replaces a corrected result instead of counting it twice', () => {
+    analytics.ingest({ source: 'stock', records: [korea('2025-10-20', '517', '46')] });
+
+    const { numbers } = analytics.getReport('หุ้นเกาหลี', { asOf: '2025-10-25' }).twoDigits;
+    assert.deepEqual(numbers[45], { number: '45', count: 1, lastSeen: '2025-10-17', daysSince: 8 });
+    assert.equal(numbers[46].count, 1);
+    assert.equal(analytics.getReport('หุ้นเกาหลี').draws, 4);
+  });
+});
+
+describe('Analytics fed by a manager', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('follows the results processNewData() records and reloaded history', async () => {
+    const manager = new LotteryManager({ config: { ...temp.config, providers: ['rayriffy'] } });
+    const analytics = new Analytics();
+    analytics.attach(manager);
+
+    await manager.processNewData([draw('2025-10-01', { two: '94' })]);
+    await manager.processNewData([draw('2025-10-16', { two: '94', front: ['940', '123'] })]);
+
+    let report = analytics.getReport('lottery', { asOf: '2025-10-16' });
+    assert.equal(report.draws, 2);
+    assert.deepEqual(report.twoDigits.numbers[94], { number: '94', count: 2, lastSeen: '2025-10-16', daysSince: 0 });
+    assert.equal(report.threeDigits.numbers[940].count, 1);
+
+    // A fresh load replaces the counts rather than adding to them
+    await manager.loadHistory();
+    report = analytics.getReport('lottery', { asOf: '2025-10-16' });
+    assert.equal(report.draws, 2);
+    assert.equal(report.twoDigits.numbers[94].count, 2);
+  });
+});
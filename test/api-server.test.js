@@ -0,0 +1,42 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import apiServer from '../api-server.js';
+
+describe('ApiServer request handling', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    server = http.createServer((req, res) => apiServer.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('answers 400 to a malformed path escape and keeps serving', async () => {
+    const malformed = await fetch(`${url}/api/stocks/%E0%A4%A`);
+    assert.equal(malformed.status, 400);
+    assert.match((await malformed.json()).error, /Malformed path segment/);
+
+    const next = await fetch(`${url}/api/stocks`);
+    assert.equal(next.status, 200);
+  });
+
+  it('answers 404 and 405 for unknown paths and methods', async () => {
+    assert.equal((await fetch(`${url}/api/weather`)).status, 404);
+    assert.equal((await fetch(`${url}/api/stocks`, { method: 'DELETE' })).status, 405);
+  });
+
+  it('picks up a reloaded token for manual runs', async () => {
+    const run = () => fetch(`${url}/api/run/weather`, { method: 'POST', headers: { Authorization: 'Bearer s3cret' } });
+    assert.equal((await run()).status, 403);
+
+    apiServer.reload({ token: 's3cret' });
+    assert.equal((await run()).status, 404);
+
+    apiServer.reload({ token: undefined });
+    assert.equal((await run()).status, 403);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import './helpers.js'; // Turns console logging off
+import { BrowserPool } from '../browser-pool.js';
+
+// A page that records whether it was closed
+function createFakePage() {
+  const page = new EventEmitter();
+  page.closed = false;
+  page.setUserAgent = async () => {};
+  page.setRequestInterception = async () => {};
+  page.isClosed = () => page.closed;
+  page.close = async () => {
+    page.closed = true;
+  };
+  return page;
+}
+
+// A browser whose pages and lifecycle the test can inspect
+function createFakeBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.pages = [];
+  browser.process = () => null;
+  browser.newPage = async () => {
+    const page = createFakePage();
+    browser.pages.push(page);
+    return page;
+  };
+  browser.close = async () => {
+    browser.connected = false;
+  };
+  // Chromium going away without being asked to
+  browser.crash = () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+// A pool launching fake browsers, listed in `browsers`
+function createPool(config = {}) {
+  const browsers = [];
+  const pool = new BrowserPool({
+    config,
+    launch: async () => {
+      const browser = createFakeBrowser();
+      browsers.push(browser);
+      return browser;
+    }
+  });
+  return { pool, browsers };
+}
+
+describe('BrowserPool', () => {
+  it('reuses an idle page for the next lease', async () => {
+    const { pool, browsers } = createPool();
+
+    const first = await pool.withPage(async page => page);
+    const second = await pool.withPage(async page => page);
+
+    assert.equal(second, first);
+    assert.equal(browsers.length, 1);
+    assert.equal(browsers[0].pages.length, 1);
+    assert.deepEqual([pool.getStatus().idlePages, pool.getStatus().leasedPages], [1, 0]);
+  });
+
+  it('closes a page whose lease failed instead of reusing it', async () => {
+    const { pool, browsers } = createPool();
+
+    let failedPage;
+    await assert.rejects(pool.withPage(async page => {
+      failedPage = page;
+      throw new Error('Navigation timeout');
+    }), /Navigation timeout/);
+    const next = await pool.withPage(async page => page);
+
+    assert.equal(failedPage.closed, true);
+    assert.notEqual(next, failedPage);
+    assert.equal(browsers[0].pages.length, 2);
+  });
+
+  it('recycles the browser after maxPagesPerBrowser leases', async () => {
+    const { pool, browsers } = createPool({ maxPagesPerBrowser: 2 });
+
+    for (let lease = 0; lease < 3; lease++) {
+      await pool.withPage(async () => {});
+    }
+
+    assert.equal(browsers.length, 2);
+    assert.equal(browsers[0].connected, false);
+    assert.equal(browsers[0].pages[0].closed, true);
+    assert.equal(browsers[1].connected, true);
+    assert.deepEqual([pool.getStatus().launches, pool.getStatus().uses], [2, 1]);
+  });
+
+  it('lets a retiring browser finish its leases before closing it', async () => {
+    const { pool, browsers } = createPool({ maxPagesPerBrowser: 1 });
+
+    const lease = await pool.acquire();
+    assert.equal(lease.instance.retiring, true);
+    assert.equal(browsers[0].connected, true);
+
+    await pool.release(lease);
+    assert.equal(browsers[0].connected, false);
+  });
+
+  it('relaunches the browser after a crash', async () => {
+    const { pool, browsers } = createPool();
+
+    const crashed = await pool.withPage(async page => page);
+    browsers[0].crash();
+    assert.equal(pool.getStatus().connected, false);
+
+    const page = await pool.withPage(async current => current);
+    assert.equal(browsers.length, 2);
+    assert.notEqual(page, crashed);
+    assert.equal(browsers[1].pages[0], page);
+    assert.deepEqual([pool.getStatus().connected, pool.getStatus().launches], [true, 2]);
+  });
+
+  it('launches one browser for leases requested at the same time', async () => {
+    const { pool, browsers } = createPool();
+
+    const pages = await Promise.all([
+      pool.withPage(async page => page),
+      pool.withPage(async page => page)
+    ]);
+
+    assert.equal(browsers.length, 1);
+    assert.notEqual(pages[0], pages[1]);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { createTempConfig, startFixtureServer } from './helpers.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+// Run the CLI in a child process and collect its exit code and output
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env: { ...process.env, LOG_CONSOLE: 'off' }, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('cli.js', () => {
+  let server;
+  let temp;
+  let configFile;
+
+  before(async () => {
+    server = await startFixtureServer({ '/latest': 'rayriffy/latest.json' });
+  });
+
+  after(() => server.close());
+
+  // Keep both managers' files in the scratch directory and the lottery on the fixture server
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    const { dataFile, historyFile, backfillStateFile, logFile, sectionDataDir, storage, retryDelay } = temp.config;
+    configFile = path.join(temp.dir, 'config.json');
+    await fs.writeFile(configFile, JSON.stringify({
+      stock: {
+        dataFile: path.join(temp.dir, 'stock.json'),
+        historyFile: path.join(temp.dir, 'stock_history.json'),
+        logFile,
+        sectionDataDir,
+        storage
+      },
+      lottery: { dataFile, historyFile, backfillStateFile, logFile, storage, retryDelay, providers: ['rayriffy'], apiBaseUrl: server.url }
+    }));
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('runs one lottery cycle, then shows and checks the stored draw', async () => {
+    const run = await runCli(['run-once', 'lottery', '--json', '--config', configFile]);
+    assert.equal(run.code, 0, run.stderr);
+    assert.deepEqual(JSON.parse(run.stdout).changes, { lottery: { added: 1, updated: 0, removed: 0 } });
+
+    const show = await runCli(['show', 'lottery', '--json', '--config', configFile]);
+    assert.equal(show.code, 0, show.stderr);
+    assert.equal(JSON.parse(show.stdout).drawId, '16102568');
+
+    const check = await runCli(['check-ticket', '605634', '--config', configFile]);
+    assert.equal(check.code, 0, check.stderr);
+    assert.match(check.stdout, /605634: 🏆/);
+
+    const exported = await runCli(['export', 'lottery', '--format', 'ndjson', '--tier', 'prizeFirst', '--config', configFile]);
+    assert.equal(exported.code, 0, exported.stderr);
+    assert.deepEqual(exported.stdout.trimEnd().split('\n').map(line => JSON.parse(line).numbers), [['605634']]);
+  });
+
+  it('exits with 1 when the cycle fails', async () => {
+    // Nothing listens on port 1, so every attempt fails to connect
+    const run = await runCli([
+      'run-once', 'lottery', '--config', configFile,
+      '--config', 'lottery.apiBaseUrl=http://127.0.0.1:1', '--config', 'lottery.maxRetries=1'
+    ]);
+
+    assert.equal(run.code, 1);
+    assert.match(run.stdout, /❌ lottery cycle failed/);
+  });
+
+  it('exits with 2 on usage and config errors', async () => {
+    assert.equal((await runCli(['run-once'])).code, 2);
+    assert.equal((await runCli(['show', 'weather'])).code, 2);
+
+    for (const options of [['--last', 'ten'], ['--last', '0'], ['--from', '2025-10-01', '--delay=-5'], ['--last', '3', '--delay', '1.5']]) {
+      const badNumber = await runCli(['backfill', ...options, '--config', configFile]);
+      assert.equal(badNumber.code, 2);
+      assert.match(badNumber.stderr, /--(last|delay) must be an integer >= [01], got /);
+    }
+
+    for (const args of [['backfill', '--from', '2025-10'], ['backfill', '--from', '2025-02-30'], ['export', 'lottery', '--to', '16/10/2025']]) {
+      const badDate = await runCli([...args, '--config', configFile]);
+      assert.equal(badDate.code, 2);
+      assert.match(badDate.stderr, /--(from|to) must be a date in YYYY-MM-DD format, got /);
+    }
+
+    const reversed = await runCli(['export', 'lottery', '--from', '2025-10-16', '--to', '2025-10-01', '--config', configFile]);
+    assert.equal(reversed.code, 2);
+    assert.match(reversed.stderr, /--from 2025-10-16 is after --to 2025-10-01/);
+
+    const unknownKey = await runCli(['status', '--config', 'lottery.maxRetry=5']);
+    assert.equal(unknownKey.code, 2);
+    assert.match(unknownKey.stderr, /lottery\.maxRetry is not a known setting/);
+  });
+
+  it('falls back to the stored data when no service answers', async () => {
+    const status = await runCli(['status', '--json', '--url', `${server.url}/nothing`, '--config', configFile]);
+
+    assert.equal(status.code, 0, status.stderr);
+    const result = JSON.parse(status.stdout);
+    assert.equal(result.source, 'local');
+    assert.equal(result.lottery.recordCount, 0);
+    assert.equal(result.stock.isRunning, false);
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createTempConfig } from './helpers.js';
+import { ConfigWatcher, ConfigError, loadConfig, applyConfig, diffConfig, readEnvConfig, envName } from '../config.js';
+import { LotteryManager } from '../lotterry-scraper.js';
+import { StockDataManager } from '../stock-scraper.js';
+
+describe('loadConfig', () => {
+  let temp;
+  let file;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    file = path.join(temp.dir, 'config.json');
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('layers the file, the environment and overrides', async () => {
+    await fs.writeFile(file, JSON.stringify({
+      stock: { minInterval: 60000, maxInterval: 120000 },
+      lottery: { apiBaseUrl: 'https://staging.example/lotto', maxRetries: 2 }
+    }));
+
+    const { files, config } = await loadConfig({
+      files: [file],
+      env: { LOTTO_LOTTERY_MAX_RETRIES: '5', LOTTO_LOTTERY_PROVIDERS: 'rayriffy' },
+      overrides: { lottery: { retryDelay: 0 } }
+    });
+
+    assert.deepEqual(files, [file]);
+    assert.deepEqual(config, {
+      stock: { minInterval: 60000, maxInterval: 120000 },
+      lottery: { apiBaseUrl: 'https://staging.example/lotto', maxRetries: 5, providers: ['rayriffy'], retryDelay: 0 }
+    });
+  });
+
+  it('reads the file named by LOTTO_CONFIG', async () => {
+    await fs.writeFile(file, JSON.stringify({ export: { dailyAt: '23:55' } }));
+
+    const { config } = await loadConfig({ env: { LOTTO_CONFIG: file } });
+
+    assert.deepEqual(config, { export: { dailyAt: '23:55' } });
+  });
+
+  it('lists every invalid setting with where it came from', async () => {
+    await fs.writeFile(file, JSON.stringify({
+      stock: { minInterval: 'fast', sections: ['hanoi', 'macau'], siteUrl: 'lotto432k.com' },
+      lottery: { maxRetry: 3 },
+      weather: {}
+    }));
+
+    const error = await loadConfig({ files: [file], env: { LOTTO_EXPORT_DAILY_AT: '25:00' } }).catch(err => err);
+
+    assert.ok(error instanceof ConfigError);
+    assert.deepEqual(error.problems, [
+      `${file}: stock.minInterval must be an integer >= 1000, got "fast"`,
+      `${file}: stock.sections must be a list of hanoi, lao, malaysia, thaiStock, got ["hanoi","macau"]`,
+      `${file}: stock.siteUrl must be an http(s) URL, got "lotto432k.com"`,
+      `${file}: lottery.maxRetry is not a known setting`,
+      `${file}: unknown section "weather" (expected one of stock, lottery, export, notifier, analytics, watchdog, api)`,
+      'LOTTO_EXPORT_DAILY_AT: export.dailyAt must be HH:MM or an empty string, got "25:00"'
+    ]);
+    assert.match(error.message, /^Invalid configuration:\n {2}- /);
+  });
+
+  it('rejects missing files, broken JSON and crossed intervals', async () => {
+    await fs.writeFile(file, '{ "stock": ');
+    await assert.rejects(loadConfig({ files: [file] }), /Unexpected end of JSON input|JSON/);
+    await assert.rejects(loadConfig({ files: [path.join(temp.dir, 'missing.json')] }), /missing\.json: file not found/);
+    await assert.rejects(
+      loadConfig({ overrides: { lottery: { minInterval: 60000, maxInterval: 30000 } } }),
+      /lottery: minInterval must not exceed maxInterval/
+    );
+
+    // An interval set on its own is checked against the other's default (15 minutes)
+    await assert.rejects(loadConfig({ overrides: { stock: { minInterval: 20 * 60 * 1000 } } }), /stock: minInterval must not exceed maxInterval/);
+    await assert.rejects(loadConfig({ overrides: { lottery: { maxInterval: 5 * 60 * 1000 } } }), /lottery: minInterval must not exceed maxInterval/);
+  });
+});
+
+describe('readEnvConfig', () => {
+  it('maps LOTTO_<SECTION>_<SETTING> variables to typed settings', () => {
+    assert.equal(envName('stock', 'maxIdleInterval'), 'LOTTO_STOCK_MAX_IDLE_INTERVAL');
+    assert.deepEqual(readEnvConfig({
+      LOTTO_STOCK_USE_MARKET_SCHEDULE: 'false',
+      LOTTO_STOCK_MARKETS: 'kr, jp',
+      LOTTO_LOTTERY_CALENDAR_OVERRIDES: '{"cancelled":["2025-12-30"]}',
+      LOTTO_EXPORT_FORMATS: '["csv","ndjson"]',
+      PATH: '/usr/bin'
+    }), {
+      stock: { useMarketSchedule: false, markets: ['kr', 'jp'] },
+      lottery: { calendarOverrides: { cancelled: ['2025-12-30'] } },
+      export: { formats: ['csv', 'ndjson'] }
+    });
+  });
+
+  it('still reads the API_* variables, after their LOTTO_API_* names', async () => {
+    assert.deepEqual(readEnvConfig({ API_PORT: '8080', API_TOKEN: 'old', LOTTO_API_TOKEN: 's3cret', API_CORS_ORIGIN: 'https://example.test' }), {
+      api: { port: 8080, token: 's3cret', corsOrigin: 'https://example.test' }
+    });
+
+    const error = await loadConfig({ env: { API_PORT: '70000' } }).catch(err => err);
+    assert.deepEqual(error.problems, ['API_PORT: api.port must be an integer from 0 to 65535, got 70000']);
+  });
+});
+
+describe('applyConfig and reloads', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('configures each component and reports settings it rejects', () => {
+    const lottery = new LotteryManager({ config: temp.config });
+    applyConfig({ lottery: { providers: ['rayriffy'], maxRetries: 7 } }, { lottery });
+
+    assert.equal(lottery.config.maxRetries, 7);
+    assert.deepEqual(lottery.providers.map(provider => provider.name), ['rayriffy']);
+
+    const notifier = { configure: () => { throw new Error('Notification target 0 (webhook) needs a url'); } };
+    assert.throws(() => applyConfig({ notifier: { targets: [{ type: 'webhook' }] } }, { notifier }),
+      /notifier: Notification target 0 \(webhook\) needs a url/);
+  });
+
+  it('splits changes into reloadable settings and ones needing a restart', () => {
+    const { reloadable, restartNeeded } = diffConfig(
+      { stock: { minInterval: 60000, dataFile: '/a.json' }, lottery: { maxRetries: 2 } },
+      { stock: { minInterval: 90000, dataFile: '/b.json', markets: ['kr'] }, lottery: {} }
+    );
+
+    assert.deepEqual(reloadable, { stock: { minInterval: 90000, markets: ['kr'] }, lottery: { maxRetries: undefined } });
+    assert.deepEqual(restartNeeded, ['stock.dataFile']);
+  });
+
+  it('reloads safe settings from an edited file and keeps them on invalid edits', async () => {
+    const file = path.join(temp.dir, 'config.json');
+    await fs.writeFile(file, JSON.stringify({ stock: { markets: ['kr'], maxRetries: 2 } }));
+
+    const stock = new StockDataManager({ config: temp.config });
+    const options = { files: [file], env: {} };
+    const loaded = await loadConfig(options);
+    applyConfig(loaded.config, { stock });
+
+    const watcher = new ConfigWatcher();
+    watcher.watch(loaded, options, { stock });
+    try {
+      await fs.writeFile(file, JSON.stringify({ stock: { markets: ['kr', 'jp'], dataFile: path.join(temp.dir, 'other.json') } }));
+      const result = await watcher.reload();
+
+      assert.deepEqual(result.applied, ['stock.maxRetries', 'stock.markets']);
+      assert.deepEqual(result.restartNeeded, ['stock.dataFile']);
+      assert.deepEqual(stock.config.markets, ['kr', 'jp']);
+      assert.equal(stock.config.maxRetries, 3); // Back to the default
+      assert.equal(stock.config.dataFile, temp.config.dataFile);
+      assert.equal(stock.isMarketEnabled({ stockName: 'หุ้นนิเคอิเช้า', countryCode: 'jp' }), true);
+      assert.equal(stock.isMarketEnabled({ stockName: 'จีนเช้า', countryCode: 'cn' }), false);
+
+      await fs.writeFile(file, JSON.stringify({ stock: { markets: 'jp' } }));
+      const rejected = await watcher.reload();
+
+      assert.equal(rejected.ok, false);
+      assert.deepEqual(stock.config.markets, ['kr', 'jp']);
+    } finally {
+      watcher.stop();
+    }
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createTempConfig } from './helpers.js';
+import { Exporter, exportRecords, flattenRecords } from '../exporter.js';
+
+const stocks = [
+  { date: '2025-10-20', market: 'หุ้นเกาหลี', countryCode: 'kr', threeDigits: '123', twoDigits: '45', state: 'announced', recordedAt: '2025-10-20T06:00:00.000Z' },
+  { date: '2025-10-20', market: 'หุ้นนิเคอิ, เช้า', countryCode: 'jp', threeDigits: '017', twoDigits: '05', state: 'corrected', recordedAt: '2025-10-20T03:00:00.000Z' },
+  { date: '2025-10-21', market: 'หุ้นเกาหลี', countryCode: 'kr', threeDigits: '999', twoDigits: '00', state: 'announced', recordedAt: '2025-10-21T06:00:00.000Z' }
+];
+
+const draw = {
+  date: '2025-10-16',
+  drawId: '16102568',
+  tiers: [
+    { id: 'prizeFirst', name: 'รางวัลที่ 1', reward: 6000000, amount: 1, numbers: ['605634'] },
+    { id: 'runningNumberFrontThree', name: 'เลขหน้า 3 ตัว', reward: 4000, amount: 2, numbers: ['358', '279'] }
+  ],
+  verification: { status: 'partial', tiers: { prizeFirst: { status: 'confirmed' }, runningNumberFrontThree: { status: 'unconfirmed' } } },
+  lastUpdated: '2025-10-16T09:00:00.000Z'
+};
+
+describe('exportRecords', () => {
+  it('writes CSV with a UTF-8 BOM, CRLF rows and quoted values', () => {
+    const { content, rowCount } = exportRecords('stocks', stocks, { to: '2025-10-20' });
+
+    assert.equal(rowCount, 2);
+    assert.ok(content.startsWith('\uFEFFdate,market,countryCode,state,threeDigits,twoDigits,lastUpdated\r\n'));
+    assert.equal(content.split('\r\n')[2], '2025-10-20,"หุ้นนิเคอิ, เช้า",jp,corrected,017,05,2025-10-20T03:00:00.000Z');
+    assert.ok(content.endsWith('\r\n'));
+  });
+
+  it('filters by market or country code, date range and state', () => {
+    assert.equal(exportRecords('stocks', stocks, { market: 'หุ้นเกาหลี' }).rowCount, 2);
+    assert.equal(exportRecords('stocks', stocks, { market: 'jp' }).rowCount, 1);
+    assert.equal(exportRecords('stocks', stocks, { from: '2025-10-21' }).rowCount, 1);
+    assert.equal(exportRecords('stocks', stocks, { states: ['corrected'] }).rowCount, 1);
+  });
+
+  it('flattens a lottery draw into one row per prize tier', () => {
+    assert.deepEqual(flattenRecords('lottery', [draw])[1], {
+      date: '2025-10-16',
+      drawId: '16102568',
+      tierId: 'runningNumberFrontThree',
+      tierName: 'เลขหน้า 3 ตัว',
+      reward: 4000,
+      amount: 2,
+      numbers: ['358', '279'],
+      state: 'partial',
+      tierState: 'unconfirmed',
+      lastUpdated: '2025-10-16T09:00:00.000Z'
+    });
+
+    const { content } = exportRecords('lottery', [draw], { tiers: ['runningNumberFrontThree'] });
+    assert.equal(content.split('\r\n')[1], '2025-10-16,16102568,runningNumberFrontThree,เลขหน้า 3 ตัว,4000,2,358 279,partial,unconfirmed,2025-10-16T09:00:00.000Z');
+  });
+
+  it('writes NDJSON, one row per line', () => {
+    const { content } = exportRecords('lottery', [draw], { format: 'ndjson' });
+    const lines = content.trimEnd().split('\n').map(line => JSON.parse(line));
+
+    assert.deepEqual(lines.map(line => line.tierId), ['prizeFirst', 'runningNumberFrontThree']);
+    assert.deepEqual(lines[1].numbers, ['358', '279']);
+  });
+
+  it('rejects unknown datasets and formats', () => {
+    assert.throws(() => exportRecords('weather', []), /Unknown export dataset "weather"/);
+    assert.throws(() => exportRecords('stocks', [], { format: 'xlsx' }), /Unknown export format "xlsx"/);
+  });
+});
+
+describe('Exporter daily files', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('writes one file per dataset with results that day', async () => {
+    const managers = {
+      stock: { getHistory: () => stocks },
+      lottery: { getHistory: () => [draw] }
+    };
+    const exporter = new Exporter({ config: { dir: path.join(temp.dir, 'exports'), formats: ['csv', 'ndjson'] }, managers });
+
+    const files = await exporter.writeDailyFiles('2025-10-20');
+
+    assert.deepEqual(files.map(({ file, rowCount }) => [path.basename(file), rowCount]), [
+      ['stocks_2025-10-20.csv', 2],
+      ['stocks_2025-10-20.ndjson', 2]
+    ]);
+    const csv = await fs.readFile(files[0].file, 'utf-8');
+    assert.equal(csv.split('\r\n').length, 4);
+    assert.deepEqual(exporter.getStatus().lastRun.files, files);
+  });
+
+  it('skips a section the stock config does not enable and writes the rest', async () => {
+    const managers = {
+      stock: { getHistory: () => stocks, getSection: () => null },
+      lottery: { getHistory: () => [draw] }
+    };
+    const config = { dir: path.join(temp.dir, 'exports'), datasets: ['hanoi', 'stocks'], formats: ['csv'] };
+    const exporter = new Exporter({ config, managers });
+
+    const files = await exporter.writeDailyFiles('2025-10-20');
+
+    assert.deepEqual(files.map(({ file }) => path.basename(file)), ['stocks_2025-10-20.csv']);
+    assert.deepEqual(exporter.getStatus().lastRun.skipped, ['hanoi']);
+  });
+
+  it('schedules the next run at the configured Bangkok time', () => {
+    const exporter = new Exporter({ config: { dailyAt: '23:55' }, managers: {} });
+
+    exporter.start();
+    try {
+      const nextRun = new Date(exporter.getStatus().nextRun);
+      assert.ok(nextRun > new Date());
+      assert.equal(nextRun.toISOString().slice(11, 16), '16:55');
+    } finally {
+      exporter.stop();
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { readFixture } from './helpers.js';
+import { STOCK_TABLE_SCHEMA, extractWithSchema, validateSchema } from '../extraction-schema.js';
+
+// Apply a schema to a recorded page or an HTML snippet
+function extract(html, schema = STOCK_TABLE_SCHEMA) {
+  return extractWithSchema(schema, new JSDOM(html).window.document);
+}
+
+describe('extractWithSchema', () => {
+  it('reads columns by header, so reordered columns stay correct', () => {
+    const result = extract(readFixture('lotto432k/stocks-reordered.html'));
+
+    assert.equal(result.containerFound, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.rows, [
+      { countryCode: 'kr', stockName: 'หุ้นเกาหลี', threeDigits: '582', twoDigits: '47' },
+      { countryCode: 'cn', stockName: 'จีนเช้า', threeDigits: 'xxx', twoDigits: 'xx' }
+    ]);
+  });
+
+  it('rejects rows that fail validation and says why', () => {
+    const { rejected } = extract(readFixture('lotto432k/stocks-reordered.html'));
+
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].values.stockName, 'หุ้นนิเคอิเช้า');
+    assert.deepEqual(rejected[0].reasons, ['threeDigits "5913" is not exactly 3 digits or "xxx"']);
+  });
+
+  it('reports a missing container', () => {
+    const result = extract(readFixture('lotto432k/stocks-renamed-card.html'));
+
+    assert.equal(result.containerFound, false);
+    assert.deepEqual(result.rows, []);
+    assert.match(result.errors[0], /หวยหุ้นต่างประเทศ/);
+  });
+
+  it('reports a renamed column instead of reading the wrong cell', () => {
+    const result = extract(`
+      <div class="card"><div class="card-header">หวยหุ้นต่างประเทศ</div>
+        <table>
+          <tr><th></th><th>หุ้น</th><th>บน</th><th>2 ตัวล่าง</th></tr>
+          <tr><td></td><td>หุ้นเกาหลี</td><td>582</td><td>47</td></tr>
+        </table>
+      </div>`);
+
+    assert.deepEqual(result.errors, ['Column "3 ตัวบน" for threeDigits not found in header']);
+    assert.deepEqual(result.rows, []);
+    assert.deepEqual(result.rejected[0].reasons, ['threeDigits is missing']);
+  });
+
+  it('falls back to column positions when the table has no header', () => {
+    const result = extract(`
+      <div class="card"><div class="card-header">หวยหุ้นต่างประเทศ</div>
+        <table><tr><td><span class="flag-icon flag-icon-tw"></span></td><td> ไต้หวัน </td><td>168</td><td>91</td></tr></table>
+      </div>`);
+
+    assert.deepEqual(result.rows, [{ countryCode: 'tw', stockName: 'ไต้หวัน', threeDigits: '168', twoDigits: '91' }]);
+  });
+
+  it('applies transforms in order', () => {
+    const schema = {
+      container: { selector: 'section' },
+      rows: { selector: 'li' },
+      fields: {
+        code: {
+          selector: 'a',
+          attribute: 'href',
+          transforms: [{ name: 'match', pattern: 'id=([\\w-]+)' }, 'uppercase', { name: 'replace', pattern: '-', with: '' }]
+        },
+        label: { selector: 'a', transforms: ['collapseWhitespace', 'lowercase'] },
+        note: { selector: 'em', transforms: [{ name: 'default', value: 'none' }] }
+      }
+    };
+
+    const result = extract('<section><ul><li><a href="/x?id=ab-c">  Hello\n  World </a></li></ul></section>', schema);
+
+    assert.deepEqual(result.rows, [{ code: 'ABC', label: 'hello world', note: 'none' }]);
+  });
+});
+
+describe('validateSchema', () => {
+  it('accepts the built-in stock schema', () => {
+    assert.equal(validateSchema(STOCK_TABLE_SCHEMA), STOCK_TABLE_SCHEMA);
+  });
+
+  it('lists every problem of a broken schema', () => {
+    const schema = {
+      container: {},
+      rows: { selector: 'tr' },
+      fields: {
+        a: { transforms: ['strip'] },
+        b: { validate: { pattern: '(' } }
+      }
+    };
+
+    assert.throws(() => validateSchema(schema), error => {
+      assert.match(error.message, /container\.selector is required/);
+      assert.match(error.message, /fields\.a: unknown transform "strip"/);
+      assert.match(error.message, /fields\.b: invalid pattern \(/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// Keep test output readable; the managers still write their log files
+process.env.LOG_CONSOLE ??= 'off';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Read a recorded fixture, e.g. "rayriffy/latest.json"
+export function readFixture(name) {
+  return readFileSync(path.join(FIXTURES_DIR, name), 'utf-8');
+}
+
+// Create a scratch directory and the file overrides a manager needs to
+// keep its data, history and logs inside it
+export async function createTempConfig() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lotto-test-'));
+
+  return {
+    dir,
+    config: {
+      dataFile: path.join(dir, 'data.json'),
+      historyFile: path.join(dir, 'history.json'),
+      backfillStateFile: path.join(dir, 'backfill_state.json'),
+      logFile: path.join(dir, 'test.log'),
+      sectionDataDir: dir,
+      storage: 'json',
+      retryDelay: 0
+    },
+    cleanup: async () => {
+      // Let queued log writes land before the directory goes; logger.js is
+      // imported lazily so LOG_CONSOLE above applies to it
+      const { default: logger } = await import('../logger.js');
+      await logger.flush();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Serve fixtures over HTTP. `routes` maps a request path to a fixture name,
+// or to { status, fixture } for other status codes; anything else is a 404.
+// Every requested path is recorded in `requests`.
+export async function startFixtureServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push(pathname);
+
+    const route = typeof routes[pathname] === 'string' ? { status: 200, fixture: routes[pathname] } : routes[pathname];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ status: 'error', response: null }));
+    }
+
+    const type = route.fixture?.endsWith('.html') ? 'text/html; charset=utf-8' : 'application/json; charset=utf-8';
+    res.writeHead(route.status, { 'Content-Type': type });
+    res.end(route.fixture ? readFixture(route.fixture) : '');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
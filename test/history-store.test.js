@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import HistoryStore from '../history-store.js';
+
+// In-memory storage whose next loadHistory() can be made to fail
+function createStorage(records = []) {
+  const storage = { records, saves: 0, loadError: null };
+  storage.loadHistory = async () => {
+    if (storage.loadError) throw storage.loadError;
+    return { records: storage.records, recoveredFrom: null };
+  };
+  storage.saveHistory = async (changed, all) => {
+    storage.saves++;
+    storage.records = all;
+  };
+  return storage;
+}
+
+describe('HistoryStore', () => {
+  it('appends new market/dates and replaces existing ones', async () => {
+    const storage = createStorage([{ market: 'kr', date: '2025-10-20', twoDigits: '47' }]);
+    const history = new HistoryStore({ storage });
+    await history.load();
+
+    const result = await history.append([
+      { market: 'kr', date: '2025-10-20', twoDigits: '48' },
+      { market: 'kr', date: '2025-10-21', twoDigits: '12' }
+    ]);
+
+    assert.deepEqual(result, { added: 1, updated: 1 });
+    assert.deepEqual(storage.records.map(record => record.twoDigits), ['48', '12']);
+  });
+
+  it('refuses to overwrite a history it could not load', async () => {
+    const storage = createStorage([{ market: 'kr', date: '2025-10-20', twoDigits: '47' }]);
+    storage.loadError = Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+    const history = new HistoryStore({ storage });
+
+    await assert.rejects(history.load(), { code: 'EACCES' });
+    await assert.rejects(history.append([{ market: 'kr', date: '2025-10-21', twoDigits: '12' }]), { code: 'ENOTLOADED' });
+    assert.equal(storage.saves, 0);
+    assert.equal(storage.records.length, 1);
+
+    // Writes resume once a load succeeds
+    storage.loadError = null;
+    await history.load();
+    await history.append([{ market: 'kr', date: '2025-10-21', twoDigits: '12' }]);
+    assert.equal(storage.records.length, 2);
+  });
+});
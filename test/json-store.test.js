@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createTempConfig } from './helpers.js';
+import { readJsonDocument, writeJsonDocument } from '../json-store.js';
+
+describe('JSON document store', () => {
+  let temp;
+  let file;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    file = path.join(temp.dir, 'history.json');
+  });
+
+  afterEach(() => temp.cleanup());
+
+  // Save one version of the document per record list, oldest first
+  async function saveVersions(...versions) {
+    for (const data of versions) {
+      await writeJsonDocument(file, data, { kind: 'history' });
+    }
+  }
+
+  it('keeps the previous copies as rotating backups', async () => {
+    await saveVersions([1], [2], [3], [4], [5]);
+
+    const read = async name => JSON.parse(await fs.readFile(path.join(temp.dir, name), 'utf-8')).data;
+    assert.deepEqual(await read('history.json'), [5]);
+    assert.deepEqual(await Promise.all(['history.json.bak.1', 'history.json.bak.2', 'history.json.bak.3'].map(read)), [[4], [3], [2]]);
+    await assert.rejects(fs.access(`${file}.bak.4`), { code: 'ENOENT' });
+  });
+
+  it('recovers from the newest readable backup', async () => {
+    await saveVersions([1], [2], [3]);
+    await fs.writeFile(file, '{"schemaVersion":1,"data":[');
+    await fs.writeFile(`${file}.bak.1`, 'not json');
+
+    const { document, recoveredFrom } = await readJsonDocument(file, { kind: 'history' });
+
+    assert.deepEqual(document.data, [1]);
+    assert.equal(recoveredFrom, `${file}.bak.2`);
+  });
+
+  it('migrates a recovered backup written by an older version', async () => {
+    await fs.writeFile(file, '');
+    await fs.writeFile(`${file}.bak.1`, JSON.stringify([{ id: 1 }]));
+
+    const { document, recoveredFrom, migratedFrom } = await readJsonDocument(file, { kind: 'history' });
+
+    assert.deepEqual(document, { data: [{ id: 1 }], schemaVersion: 1 });
+    assert.equal(recoveredFrom, `${file}.bak.1`);
+    assert.equal(migratedFrom, 0);
+  });
+
+  it('quarantines the file and fails with ECORRUPT when no copy is readable', async () => {
+    await saveVersions([1], [2]);
+    await fs.writeFile(file, 'garbage');
+    await fs.writeFile(`${file}.bak.1`, 'garbage');
+
+    await assert.rejects(readJsonDocument(file, { kind: 'history' }), error => {
+      assert.equal(error.code, 'ECORRUPT');
+      assert.match(error.message, /history\.json is unreadable .* moved to history\.json\.corrupt-/);
+      return true;
+    });
+
+    const names = await fs.readdir(temp.dir);
+    assert.equal(names.includes('history.json'), false);
+    const quarantined = names.filter(name => name.startsWith('history.json.corrupt-'));
+    assert.equal(quarantined.length, 1);
+    assert.equal(await fs.readFile(path.join(temp.dir, quarantined[0]), 'utf-8'), 'garbage');
+  });
+
+  it('leaves a missing file and one from a newer version to the caller', async () => {
+    await assert.rejects(readJsonDocument(file, { kind: 'history' }), { code: 'ENOENT' });
+
+    await fs.writeFile(file, JSON.stringify({ schemaVersion: 9, data: [] }));
+    await assert.rejects(readJsonDocument(file, { kind: 'history' }), { code: 'ESCHEMA' });
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf-8')).schemaVersion, 9);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import WebSocket from 'ws';
+import stockManager from '../stock-scraper.js';
+import { LiveFeed } from '../live-feed.js';
+
+const korea = { stockName: 'หุ้นเกาหลี', tradingDate: '2025-10-20', threeDigits: '517', twoDigits: '45', state: 'announced' };
+const hanoi = { date: '2025-10-20', market: 'normal', name: 'ฮานอย', countryCode: 'vn', threeDigits: '821', twoDigits: '37', state: 'announced' };
+
+// Read `count` events off an SSE stream, then hang up
+function readSse(url, headers, count) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get(url, { headers }, res => {
+      let pending = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => {
+        pending += chunk;
+        const blocks = pending.split('\n\n');
+        pending = blocks.pop();
+
+        for (const block of blocks) {
+          const fields = Object.fromEntries(block.split('\n').filter(line => /^\w+: /.test(line)).map(line => line.split(/: (.*)/s).slice(0, 2)));
+          if (!fields.event) continue;
+          events.push({ type: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+        }
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events.slice(0, count));
+        }
+      });
+    });
+    req.on('error', error => {
+      if (events.length < count) reject(error);
+    });
+  });
+}
+
+// Read `count` messages off a WebSocket, sending `messages` once it opens
+function readWs(url, count, messages = []) {
+  return new Promise((resolve, reject) => {
+    const received = [];
+    const ws = new WebSocket(url);
+    ws.on('open', () => messages.forEach(message => ws.send(JSON.stringify(message))));
+    ws.on('message', raw => {
+      received.push(JSON.parse(raw));
+      if (received.length >= count) {
+        ws.close();
+        resolve(received.slice(0, count));
+      }
+    });
+    ws.on('error', reject);
+  });
+}
+
+describe('LiveFeed', () => {
+  let feed;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => feed.handleSse(req, res, new URL(req.url, 'http://localhost')));
+    server.on('upgrade', (req, socket, head) => {
+      if (!feed.handleUpgrade(req, socket, head)) socket.destroy();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `127.0.0.1:${server.address().port}`;
+
+    stockManager.currentData = [korea];
+    stockManager.getSection('hanoi').currentData = [hanoi];
+  });
+
+  after(async () => {
+    feed.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    feed?.stop();
+    feed = new LiveFeed();
+    feed.nextId = 5000;
+  });
+
+  // Publish one change per source and return their event IDs
+  const publishChanges = () => {
+    feed.publish('stock', { added: [], updated: [{ old: korea, new: { ...korea, twoDigits: '46' } }], removed: [] });
+    feed.publish('hanoi', { added: [{ ...hanoi, date: '2025-10-21' }], updated: [], removed: [] });
+    feed.publish('stock', { added: [{ ...korea, stockName: 'ไต้หวัน' }], updated: [], removed: [] });
+    return feed.buffer.map(message => message.id);
+  };
+
+  it('sends new SSE clients a snapshot of every source, sections included', async () => {
+    const [snapshot] = await readSse(`http://${baseUrl}/api/stream`, {}, 1);
+
+    assert.equal(snapshot.type, 'snapshot');
+    assert.equal(snapshot.id, '4999');
+    assert.deepEqual(snapshot.data.stock, [korea]);
+    assert.deepEqual(snapshot.data.hanoi, [hanoi]);
+    assert.ok('lao' in snapshot.data && 'malaysia' in snapshot.data && 'thaiStock' in snapshot.data);
+  });
+
+  it('resumes an SSE client from Last-Event-ID with only the events it missed', async () => {
+    const ids = publishChanges();
+    const events = await readSse(`http://${baseUrl}/api/stream?topics=stock`, { 'Last-Event-ID': ids[0] }, 1);
+
+    assert.deepEqual(events.map(({ type, id }) => [type, id]), [['change', ids[2]]]);
+    assert.equal(events[0].data.market, 'ไต้หวัน');
+  });
+
+  it('falls back to a snapshot for an event ID it cannot resume from', async () => {
+    const ids = publishChanges();
+
+    // Newer than anything sent
+    const [newer] = await readSse(`http://${baseUrl}/api/stream?topics=hanoi`, { 'Last-Event-ID': String(Number(ids[2]) + 5) }, 1);
+    assert.equal(newer.type, 'snapshot');
+    assert.deepEqual(newer.data, { hanoi: [hanoi] });
+
+    // From before a restart, whose IDs this run never handed out
+    feed = new LiveFeed();
+    feed.nextId = 9000;
+    const [restarted] = await readSse(`http://${baseUrl}/api/stream?topics=hanoi`, { 'Last-Event-ID': ids[1] }, 1);
+    assert.deepEqual([restarted.type, restarted.id], ['snapshot', '8999']);
+  });
+
+  it('resumes a WebSocket client from its lastEventId and filters by section topic', async () => {
+    const ids = publishChanges();
+    const [message] = await readWs(`ws://${baseUrl}/api/ws?topics=hanoi&lastEventId=${String(Number(ids[0]) - 1)}`, 1);
+
+    assert.deepEqual([message.type, message.id], ['change', ids[1]]);
+    assert.equal(message.data.source, 'hanoi');
+    assert.equal(message.data.date, '2025-10-21');
+  });
+
+  it('sends a WebSocket snapshot when a subscribe asks to resume from an unknown event', async () => {
+    publishChanges();
+    const messages = await readWs(`ws://${baseUrl}/api/ws?topics=lottery`, 2, [
+      { type: 'subscribe', topics: ['stock:หุ้นเกาหลี', 'hanoi'], lastEventId: '1234' }
+    ]);
+
+    assert.equal(messages[0].type, 'snapshot');
+    assert.deepEqual(Object.keys(messages[0].data), ['lottery']);
+    assert.equal(messages[1].type, 'snapshot');
+    assert.deepEqual(messages[1].data, { stock: [korea], hanoi: [hanoi] });
+  });
+
+  it('drops a WebSocket client that sends a malformed frame and keeps serving', async () => {
+    const [host, port] = baseUrl.split(':');
+    const socket = net.connect(Number(port), host);
+    socket.write([
+      'GET /api/ws?topics=lottery HTTP/1.1',
+      `Host: ${baseUrl}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+      '', ''
+    ].join('\r\n'));
+
+    // Clients must mask their frames, so an unmasked one is a protocol error
+    socket.once('data', () => socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69])));
+    await new Promise(resolve => socket.on('close', resolve));
+
+    assert.equal(feed.clients.size, 0);
+    const [message] = await readWs(`ws://${baseUrl}/api/ws?topics=lottery`, 1);
+    assert.equal(message.type, 'snapshot');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createTempConfig } from './helpers.js';
+import logger from '../logger.js';
+
+// Let rotated files get distinct millisecond stamps
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// Entries of one NDJSON log file
+async function readEntries(file) {
+  const text = await fs.readFile(file, 'utf-8');
+  return text.trim().split('\n').map(line => JSON.parse(line));
+}
+
+// Rotated copies of a log file, oldest first
+async function listRotated(dir, name) {
+  return (await fs.readdir(dir)).filter(file => file.startsWith(`${name}.`)).sort();
+}
+
+describe('Logger', () => {
+  let temp;
+
+  before(async () => {
+    temp = await createTempConfig();
+  });
+
+  after(async () => {
+    logger.configure({ level: 'info', maxSize: 10 * 1024 * 1024, retention: 7 });
+    await temp.cleanup();
+  });
+
+  it('writes only entries at or above the configured level', async () => {
+    const file = path.join(temp.dir, 'levels.log');
+    const log = logger.child({ source: 'levels' }, { file });
+
+    logger.configure({ level: 'warn' });
+    log.debug('Debug entry');
+    log.info('Info entry');
+    log.warn('Warn entry');
+    log.error('Error entry');
+    logger.configure({ level: 'info' });
+    await logger.flush();
+
+    const entries = await readEntries(file);
+    assert.deepEqual(entries.map(entry => [entry.level, entry.source, entry.msg]), [
+      ['warn', 'levels', 'Warn entry'],
+      ['error', 'levels', 'Error entry']
+    ]);
+  });
+
+  it('keeps the stack of a logged error in the file', async () => {
+    const file = path.join(temp.dir, 'errors.log');
+    const error = Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+
+    logger.child({ source: 'errors' }, { file }).error('Error saving data', { error });
+    await logger.flush();
+
+    const [entry] = await readEntries(file);
+    assert.equal(entry.error.message, 'disk full');
+    assert.equal(entry.error.code, 'ENOSPC');
+    assert.equal(entry.error.stack, error.stack);
+    assert.match(entry.error.stack, /logger\.test\.js/);
+  });
+
+  it('rotates a file that would grow past maxSize and keeps the newest rotated files', async () => {
+    const file = path.join(temp.dir, 'rotating.log');
+    const log = logger.child({ source: 'rotating' }, { file });
+    const padding = 'x'.repeat(100);
+
+    // Every entry is larger than half the limit, so each one after the first rotates
+    logger.configure({ maxSize: 150, retention: 2 });
+    for (let entry = 1; entry <= 5; entry++) {
+      log.info(`Entry ${entry}`, { padding });
+      await logger.flush();
+      await tick();
+    }
+
+    const rotated = await listRotated(temp.dir, 'rotating.log');
+    assert.equal(rotated.length, 2);
+    assert.deepEqual(
+      await Promise.all(rotated.map(async name => (await readEntries(path.join(temp.dir, name))).map(entry => entry.msg))),
+      [['Entry 3'], ['Entry 4']]
+    );
+    assert.deepEqual((await readEntries(file)).map(entry => entry.msg), ['Entry 5']);
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempConfig, readFixture, startFixtureServer } from './helpers.js';
+import { RayriffyProvider, GloProvider, createProvider } from '../lottery-providers.js';
+import { reconcileDraw } from '../lottery-reconciler.js';
+import { LotteryManager } from '../lotterry-scraper.js';
+
+// A fetch stub answering every request with one fixture, recording the requests
+function stubFetch(fixture, requests = []) {
+  return async (url, options = {}) => {
+    requests.push({ url, method: options.method || 'GET', body: options.body ? JSON.parse(options.body) : null });
+    return new Response(readFixture(fixture), { status: 200 });
+  };
+}
+
+// A minimal draw record with the given numbers per tier ID
+function draw(date, tiers) {
+  return { date, tiers: Object.entries(tiers).map(([id, numbers]) => ({ id, numbers })) };
+}
+
+describe('GloProvider', () => {
+  it('reads the latest draw into the same tiers as the rayriffy API', async () => {
+    const glo = await new GloProvider({ fetch: stubFetch('glo/latest.json') }).fetchDraw();
+    const rayriffy = await new RayriffyProvider({ fetch: stubFetch('rayriffy/latest.json') }).fetchDraw();
+
+    assert.equal(glo.date, '2025-10-16');
+    assert.equal(glo.drawId, '16102568');
+    assert.deepEqual(glo.tiers.map(tier => tier.id), rayriffy.tiers.map(tier => tier.id));
+    assert.equal(glo.tiers[0].reward, 6000000);
+    assert.equal(glo.tiers.find(tier => tier.id === 'prizeFifth').amount, 100);
+    assert.deepEqual(glo.prizes.firstPrize, ['605634']);
+  });
+
+  it('looks a past draw up by its Gregorian date', async () => {
+    const requests = [];
+    await new GloProvider({ baseUrl: 'http://glo.test', fetch: stubFetch('glo/latest.json', requests) }).fetchDraw('16102568');
+
+    assert.deepEqual(requests, [{
+      url: 'http://glo.test/api/checking/getLotteryResult',
+      method: 'POST',
+      body: { date: '16', month: '10', year: '2025' }
+    }]);
+  });
+
+  it('returns null when the draw is not found and rejects malformed draw IDs', async () => {
+    const provider = new GloProvider({ fetch: stubFetch('glo/not-found.json') });
+
+    assert.equal(await provider.fetchDraw('01112568'), null);
+    await assert.rejects(provider.fetchDraw('2025-11-01'), /Invalid draw ID/);
+  });
+
+  it('is created by name', () => {
+    assert.equal(createProvider('glo').name, 'glo');
+    assert.throws(() => createProvider('sanook'), /Unknown lottery provider "sanook"/);
+  });
+});
+
+describe('reconcileDraw', () => {
+  it('confirms tiers both sources agree on, whatever their number order', () => {
+    const { record, disputes } = reconcileDraw([
+      { provider: 'rayriffy', record: draw('2025-10-16', { prizeFirst: ['605634'], prizeFirstNear: ['605633', '605635'] }) },
+      { provider: 'glo', record: draw('2025-10-16', { prizeFirst: ['605634'], prizeFirstNear: ['605635', '605633'] }) }
+    ], '2025-10-16T09:00:00.000Z');
+
+    assert.deepEqual(disputes, []);
+    assert.equal(record.source, 'rayriffy');
+    assert.deepEqual(record.verification, {
+      status: 'confirmed',
+      sources: ['rayriffy', 'glo'],
+      tiers: {
+        prizeFirst: { status: 'confirmed', sources: ['rayriffy', 'glo'] },
+        prizeFirstNear: { status: 'confirmed', sources: ['rayriffy', 'glo'] }
+      },
+      checkedAt: '2025-10-16T09:00:00.000Z'
+    });
+  });
+
+  it('keeps tiers only one source has announced unconfirmed', () => {
+    const { record } = reconcileDraw([
+      { provider: 'rayriffy', record: draw('2025-10-16', { prizeFirst: ['605634'], prizeFifth: ['123456'], prizeSecond: ['xxxxxx'] }) },
+      { provider: 'glo', record: draw('2025-10-16', { prizeFirst: ['605634'] }) }
+    ]);
+
+    assert.equal(record.verification.status, 'partial');
+    assert.equal(record.verification.tiers.prizeFifth.status, 'unconfirmed');
+    assert.equal(record.verification.tiers.prizeSecond.status, 'pending');
+  });
+
+  it('reports the tiers the sources disagree on', () => {
+    const { record, disputes } = reconcileDraw([
+      { provider: 'rayriffy', record: draw('2025-10-16', { prizeFirst: ['605634'], runningNumberBackTwo: ['05'] }) },
+      { provider: 'glo', record: draw('2025-10-16', { prizeFirst: ['605634'], runningNumberBackTwo: ['50'] }) }
+    ]);
+
+    assert.equal(record.verification.status, 'disputed');
+    assert.deepEqual(disputes, [{ id: 'runningNumberBackTwo', values: { rayriffy: ['05'], glo: ['50'] } }]);
+  });
+
+  it('ignores sources still reporting another draw', () => {
+    const { record } = reconcileDraw([
+      { provider: 'rayriffy', record: draw('2025-11-01', { prizeFirst: ['111111'] }) },
+      { provider: 'glo', record: draw('2025-10-16', { prizeFirst: ['605634'] }) }
+    ]);
+
+    assert.equal(record.verification.status, 'unconfirmed');
+    assert.deepEqual(record.verification.sources, ['rayriffy']);
+  });
+
+  it('follows the newest draw even when the preferred source is behind', () => {
+    const { record } = reconcileDraw([
+      { provider: 'rayriffy', record: draw('2025-10-16', { prizeFirst: ['605634'] }) },
+      { provider: 'glo', record: draw('2025-11-01', { prizeFirst: ['111111'] }) }
+    ]);
+
+    assert.equal(record.date, '2025-11-01');
+    assert.equal(record.source, 'glo');
+    assert.deepEqual(record.verification.sources, ['glo']);
+  });
+});
+
+describe('LotteryManager with two providers', () => {
+  const routes = {};
+  let server;
+  let temp;
+  let manager;
+
+  before(async () => {
+    server = await startFixtureServer(routes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    Object.assign(routes, {
+      '/latest': 'rayriffy/latest.json',
+      '/api/lottery/getLatestLottery': 'glo/latest.json'
+    });
+    temp = await createTempConfig();
+    manager = new LotteryManager({ config: { ...temp.config, apiBaseUrl: server.url, gloBaseUrl: server.url } });
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('stores the draw as confirmed when both sources agree', async () => {
+    assert.equal(await manager.runScrapingCycle(), true);
+
+    const [record] = manager.getCurrentData();
+    assert.equal(record.source, 'rayriffy');
+    assert.equal(record.verification.status, 'confirmed');
+    assert.deepEqual(manager.getStatus().providers, ['rayriffy', 'glo']);
+    assert.equal(manager.getStatus().verification, 'confirmed');
+  });
+
+  it('raises one discrepancy event per disagreement and a resolved one after', async () => {
+    const events = [];
+    manager.on('discrepancy', batch => events.push(...batch));
+    routes['/api/lottery/getLatestLottery'] = 'glo/latest-disputed.json';
+
+    await manager.runScrapingCycle();
+    await manager.runScrapingCycle();
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'discrepancy');
+    assert.equal(events[0].source, 'verification');
+    assert.deepEqual(events[0].tiers, ['runningNumberBackTwo']);
+    assert.deepEqual(events[0].disputes[0].values, { rayriffy: ['05'], glo: ['50'] });
+    assert.equal(manager.getCurrentData()[0].verification.status, 'disputed');
+    assert.deepEqual(manager.getStatus().disputedDraws, ['2025-10-16']);
+
+    routes['/api/lottery/getLatestLottery'] = 'glo/latest.json';
+    const changes = [];
+    manager.on('changes', event => changes.push(event));
+    await manager.runScrapingCycle();
+
+    assert.equal(events.length, 2);
+    assert.equal(events[1].type, 'resolved');
+    assert.equal(changes.length, 1);
+    assert.equal(manager.getCurrentData()[0].verification.status, 'confirmed');
+  });
+
+  it('keeps going on one source while the other is down', async () => {
+    routes['/api/lottery/getLatestLottery'] = { status: 503, fixture: null };
+
+    const record = await manager.fetchLottoData();
+
+    assert.equal(record.drawId, '16102568');
+    assert.equal(record.verification.status, 'unconfirmed');
+  });
+
+  it('takes injected provider adapters', async () => {
+    const providers = [
+      { name: 'a', fetchDraw: async () => draw('2025-10-16', { prizeFirst: ['605634'] }) },
+      { name: 'b', fetchDraw: async () => { throw new TypeError('fetch failed'); } }
+    ];
+    const injected = new LotteryManager({ config: temp.config, providers });
+
+    const record = await injected.fetchLottoData();
+
+    assert.equal(record.source, 'a');
+    assert.deepEqual(injected.getStatus().providers, ['a', 'b']);
+  });
+});
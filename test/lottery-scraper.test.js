@@ -0,0 +1,340 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { createTempConfig, readFixture, startFixtureServer } from './helpers.js';
+import { LotteryManager } from '../lotterry-scraper.js';
+
+// A minimal normalized tier
+function tier(id, numbers, extra = {}) {
+  return { id, name: id, reward: 1000, amount: numbers.length, numbers, ...extra };
+}
+
+describe('LotteryManager.arePrizesEqual', () => {
+  const manager = new LotteryManager();
+
+  it('treats identical tiers as equal regardless of tier order', () => {
+    const a = [tier('prizeFirst', ['123456']), tier('runningNumberBackTwo', ['56'])];
+    const b = [tier('runningNumberBackTwo', ['56']), tier('prizeFirst', ['123456'])];
+    assert.equal(manager.arePrizesEqual(a, b), true);
+  });
+
+  it('compares the numbers of each tier by value', () => {
+    const a = [tier('runningNumberFrontThree', ['680', '169'])];
+    assert.equal(manager.arePrizesEqual(a, [tier('runningNumberFrontThree', ['680', '169'])]), true);
+    assert.equal(manager.arePrizesEqual(a, [tier('runningNumberFrontThree', ['169', '680'])]), false);
+    assert.equal(manager.arePrizesEqual(a, [tier('runningNumberFrontThree', ['680', '170'])]), false);
+  });
+
+  it('detects added, missing and re-rewarded tiers', () => {
+    const a = [tier('prizeFirst', ['123456'])];
+    assert.equal(manager.arePrizesEqual(a, []), false);
+    assert.equal(manager.arePrizesEqual(a, [tier('prizeSecond', ['123456'])]), false);
+    assert.equal(manager.arePrizesEqual(a, [tier('prizeFirst', ['123456'], { reward: 2000 })]), false);
+  });
+
+  it('sees placeholders being replaced by announced numbers', () => {
+    const pending = [tier('prizeFifth', ['xxxxxx', 'xxxxxx'])];
+    const announced = [tier('prizeFifth', ['012345', 'xxxxxx'])];
+    assert.equal(manager.arePrizesEqual(pending, announced), false);
+  });
+});
+
+describe('LotteryManager.detectChanges', () => {
+  const manager = new LotteryManager();
+  const draw = (date, numbers) => ({ date, tiers: [tier('prizeFirst', numbers)] });
+
+  it('reports added, updated and removed draws keyed by date', () => {
+    const oldData = [draw('2025-10-01', ['111111']), draw('2025-10-16', ['xxxxxx'])];
+    const newData = [draw('2025-10-16', ['222222']), draw('2025-11-01', ['xxxxxx'])];
+
+    const changes = manager.detectChanges(oldData, newData);
+
+    assert.deepEqual(changes.added.map(item => item.date), ['2025-11-01']);
+    assert.deepEqual(changes.updated.map(item => item.date), ['2025-10-16']);
+    assert.deepEqual(changes.updated[0].old.tiers[0].numbers, ['xxxxxx']);
+    assert.deepEqual(changes.updated[0].new.tiers[0].numbers, ['222222']);
+    assert.deepEqual(changes.removed.map(item => item.date), ['2025-10-01']);
+  });
+
+  it('reports nothing when the same draw is scraped again', () => {
+    const changes = manager.detectChanges([draw('2025-10-16', ['222222'])], [draw('2025-10-16', ['222222'])]);
+    assert.deepEqual(changes, { added: [], updated: [], removed: [] });
+  });
+});
+
+describe('LotteryManager against recorded API responses', () => {
+  let server;
+  let temp;
+  let manager;
+
+  before(async () => {
+    server = await startFixtureServer({
+      '/latest': 'rayriffy/latest.json',
+      '/lotto/01102568': 'rayriffy/lotto-01102568.json',
+      '/lotto/01112568': 'rayriffy/latest-incomplete.json',
+      '/lotto/16112568': 'rayriffy/latest-empty.json',
+      '/lotto/17112568': { status: 500, fixture: null }
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    manager = new LotteryManager({ config: { ...temp.config, apiBaseUrl: server.url, providers: ['rayriffy'] } });
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('parses /latest into a draw with every tier', async () => {
+    const record = await manager.fetchLottoData();
+
+    assert.equal(record.date, '2025-10-16');
+    assert.equal(record.drawId, '16102568');
+    assert.deepEqual(record.tiers.map(item => item.id), [
+      'prizeFirst', 'prizeFirstNear', 'prizeSecond', 'prizeThird', 'prizeForth', 'prizeFifth',
+      'runningNumberFrontThree', 'runningNumberBackThree', 'runningNumberBackTwo'
+    ]);
+    assert.equal(record.tiers[0].reward, 6000000);
+    assert.equal(record.tiers.find(item => item.id === 'prizeFifth').numbers.length, 100);
+    assert.deepEqual(record.prizes.firstPrize, record.tiers[0].numbers);
+    assert.equal(record.prizes.two_end.length, 1);
+    assert.equal(manager.isDrawComplete(record), true);
+  });
+
+  it('fetches a specific draw from /lotto/{id}', async () => {
+    const record = await manager.fetchLottoData('01102568');
+
+    assert.equal(record.date, '2025-10-01');
+    assert.equal(record.drawId, '01102568');
+    assert.ok(server.requests.includes('/lotto/01102568'));
+  });
+
+  it('keeps a draw whose lower tiers are still being announced, as incomplete', async () => {
+    const record = await manager.fetchLottoData('01112568');
+
+    assert.equal(record.date, '2025-11-01');
+    assert.deepEqual(record.tiers.find(item => item.id === 'prizeSecond').numbers, Array(5).fill('xxxxxx'));
+    assert.equal(record.prizes.three_front, null);
+    assert.equal(manager.isDrawComplete(record), false);
+  });
+
+  it('returns null when a draw has no prize data yet or does not exist', async () => {
+    assert.equal(await manager.fetchLottoData('16112568'), null);
+    assert.equal(await manager.fetchLottoData('02112568'), null);
+  });
+
+  it('retries a server error and fails with its status', async () => {
+    const sent = server.requests.length;
+
+    await assert.rejects(manager.fetchLottoData('17112568'), { name: 'HttpStatusError', status: 500 });
+    assert.deepEqual(server.requests.slice(sent), Array(3).fill('/lotto/17112568'));
+  });
+
+  it('runs a full cycle that stores the draw and announces the change', async () => {
+    const events = [];
+    manager.on('changes', event => events.push(event));
+
+    assert.equal(await manager.runScrapingCycle(), true);
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].changes.added.map(item => item.drawId), ['16102568']);
+
+    // The same response again is not a change
+    assert.equal(await manager.runScrapingCycle(), true);
+    assert.equal(events.length, 1);
+    assert.equal(manager.getHistory().length, 1);
+  });
+});
+
+describe('LotteryManager retries', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('retries a failing request and succeeds on a later attempt', async () => {
+    const body = JSON.parse(readFixture('rayriffy/latest.json'));
+    let calls = 0;
+    const fetch = async () => {
+      calls++;
+      if (calls < 3) throw new TypeError('fetch failed');
+      return new Response(JSON.stringify(body), { status: 200 });
+    };
+    const manager = new LotteryManager({ config: { ...temp.config, providers: ['rayriffy'] }, fetch });
+
+    const result = await manager.extractWithRetry();
+
+    assert.equal(calls, 3);
+    assert.equal(result[0].drawId, '16102568');
+  });
+
+  it('gives up after maxRetries and reports a failed cycle', async () => {
+    let calls = 0;
+    const fetch = async () => {
+      calls++;
+      throw new TypeError('fetch failed');
+    };
+    const manager = new LotteryManager({ config: { ...temp.config, providers: ['rayriffy'], maxRetries: 2 }, fetch });
+    const cycles = [];
+    manager.on('cycle', cycle => cycles.push(cycle));
+
+    assert.equal(await manager.runScrapingCycle(), false);
+    assert.equal(calls, 2);
+    assert.equal(cycles[0].success, false);
+    assert.equal(cycles[0].error, 'fetch failed');
+  });
+
+  it("opens a provider's circuit breaker after repeated failures", async () => {
+    let calls = 0;
+    const fetch = async () => {
+      calls++;
+      throw new TypeError('fetch failed');
+    };
+    const config = { ...temp.config, providers: ['rayriffy'], maxRetries: 1, circuitFailureThreshold: 2 };
+    const manager = new LotteryManager({ config, fetch });
+
+    for (let cycle = 0; cycle < 3; cycle++) {
+      assert.equal(await manager.runScrapingCycle(), false);
+    }
+
+    assert.equal(calls, 2);
+    assert.match(manager.lastCycle.error, /rayriffy circuit is open until/);
+    assert.equal(manager.getStatus().circuits.rayriffy.state, 'open');
+    assert.match(manager.getNextInterval().reason, /every provider's circuit is open/);
+  });
+});
+
+describe('LotteryManager storage', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('refuses a history file written by a newer version and leaves it untouched', async () => {
+    const content = JSON.stringify({ schemaVersion: 999, records: [] });
+    await fs.writeFile(temp.config.historyFile, content);
+    const manager = new LotteryManager({ config: { ...temp.config, providers: ['rayriffy'] } });
+
+    await assert.rejects(manager.loadHistory(), { code: 'ESCHEMA' });
+    assert.equal(await manager.recordHistory([{ date: '2025-10-16', tiers: [] }]), false);
+    assert.equal(await fs.readFile(temp.config.historyFile, 'utf-8'), content);
+  });
+});
+
+describe('LotteryManager backfill', () => {
+  // Draws of October 2025 fall on the 1st and 16th
+  const routes = {
+    '/lotto/01102568': 'rayriffy/lotto-01102568.json',
+    '/lotto/16102568': 'rayriffy/latest.json'
+  };
+  let server;
+  let temp;
+
+  const createManager = () => new LotteryManager({
+    config: { ...temp.config, apiBaseUrl: server.url, providers: ['rayriffy'], maxRetries: 1 }
+  });
+
+  before(async () => {
+    server = await startFixtureServer(routes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    server.requests.length = 0;
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('fetches every draw of a range and skips them on the next run', async () => {
+    const first = await createManager().backfill({ from: '2025-10-01', to: '2025-10-16', delayMs: 0 });
+    assert.deepEqual(first, { fetched: 2, skipped: 0, missing: 0, failed: 0 });
+
+    server.requests.length = 0;
+    const manager = createManager();
+    const second = await manager.backfill({ from: '2025-10-01', to: '2025-10-16', delayMs: 0 });
+
+    assert.deepEqual(second, { fetched: 0, skipped: 2, missing: 0, failed: 0 });
+    assert.deepEqual(server.requests, []);
+    assert.deepEqual(manager.getHistory().map(record => record.date), ['2025-10-01', '2025-10-16']);
+  });
+
+  it('resumes after a failed draw without fetching the saved ones again', async () => {
+    routes['/lotto/16102568'] = { status: 500, fixture: null };
+    try {
+      const first = await createManager().backfill({ from: '2025-10-01', to: '2025-10-16', delayMs: 0 });
+      assert.deepEqual(first, { fetched: 1, skipped: 0, missing: 0, failed: 1 });
+    } finally {
+      routes['/lotto/16102568'] = 'rayriffy/latest.json';
+    }
+
+    server.requests.length = 0;
+    const second = await createManager().backfill({ from: '2025-10-01', to: '2025-10-16', delayMs: 0 });
+
+    assert.deepEqual(second, { fetched: 1, skipped: 1, missing: 0, failed: 0 });
+    assert.deepEqual(server.requests, ['/lotto/16102568']);
+  });
+
+  it('remembers draws without results in its state file and checks them again once it is gone', async () => {
+    const first = await createManager().backfill({ from: '2025-11-16', to: '2025-12-01', delayMs: 0 });
+    assert.deepEqual(first, { fetched: 0, skipped: 0, missing: 2, failed: 0 });
+
+    server.requests.length = 0;
+    const second = await createManager().backfill({ from: '2025-11-16', to: '2025-12-01', delayMs: 0 });
+    assert.deepEqual(second, { fetched: 0, skipped: 0, missing: 0, failed: 0 });
+    assert.deepEqual(server.requests, []);
+
+    await fs.rm(temp.config.backfillStateFile);
+    const third = await createManager().backfill({ from: '2025-11-16', to: '2025-12-01', delayMs: 0 });
+    assert.deepEqual(third, { fetched: 0, skipped: 0, missing: 2, failed: 0 });
+    assert.deepEqual(server.requests, ['/lotto/16112568', '/lotto/01122568']);
+  });
+
+  it('stops and counts the draw as failed when history cannot be saved', async () => {
+    await fs.writeFile(temp.config.historyFile, 'not json');
+    const manager = createManager();
+
+    const summary = await manager.backfill({ from: '2025-10-01', to: '2025-10-16', delayMs: 0 });
+
+    assert.deepEqual(summary, { fetched: 0, skipped: 0, missing: 0, failed: 1 });
+    assert.deepEqual(server.requests, ['/lotto/01102568']);
+    assert.deepEqual(manager.getHistory(), []);
+  });
+});
+
+describe('LotteryManager scheduling', () => {
+  const manager = new LotteryManager({ config: { announcementStart: '14:30' } });
+
+  it('sleeps until the next draw, capped at maxIdleInterval', () => {
+    // 2025-10-20 is between the 16 October and 1 November draws
+    const next = manager.getNextDraw(new Date('2025-10-20T03:00:00Z'));
+    assert.deepEqual(next, { date: '2025-11-01', drawId: '01112568', announcementStart: '2025-11-01T07:30:00.000Z' });
+
+    const { delay, reason } = manager.getNextInterval(new Date('2025-10-20T03:00:00Z'));
+    assert.equal(delay, manager.config.maxIdleInterval);
+    assert.match(reason, /waiting for draw 01112568/);
+  });
+
+  it('wakes exactly when announcements start on draw day', () => {
+    const { delay } = manager.getNextInterval(new Date('2025-11-01T07:00:00Z'));
+    assert.equal(delay, 30 * 60 * 1000);
+  });
+
+  it('polls at the announcement interval while a draw is incomplete', () => {
+    const { delay, reason } = manager.getNextInterval(new Date('2025-11-01T08:00:00Z'));
+    assert.equal(delay, manager.config.announcementInterval);
+    assert.match(reason, /being announced/);
+  });
+
+  it('follows calendar shifts such as the 16 January draw moving to the 17th', () => {
+    const next = manager.getNextDraw(new Date('2026-01-10T00:00:00Z'));
+    assert.equal(next.date, '2026-01-17');
+  });
+});
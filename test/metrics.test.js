@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTempConfig, readFixture } from './helpers.js';
+import apiServer from '../api-server.js';
+import { LotteryManager } from '../lotterry-scraper.js';
+import { Counter, Histogram } from '../metrics.js';
+
+// Value of one sample line of the exposition text, 0 when the series is absent
+function sampleValue(text, series) {
+  const line = text.split('\n').find(item => item.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+describe('Metric rendering', () => {
+  it('writes HELP and TYPE lines and escapes label values', () => {
+    const counter = new Counter('test_events_total', 'Events seen', ['kind']);
+    counter.inc({ kind: 'say "hi"\\now' });
+    counter.inc({ kind: 'say "hi"\\now' }, 2);
+
+    assert.equal(counter.render(), [
+      '# HELP test_events_total Events seen',
+      '# TYPE test_events_total counter',
+      'test_events_total{kind="say \\"hi\\"\\\\now"} 3'
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const histogram = new Histogram('test_duration_seconds', 'Durations', ['manager'], [1, 5]);
+    histogram.observe({ manager: 'stock' }, 0.5);
+    histogram.observe({ manager: 'stock' }, 3);
+
+    assert.deepEqual(histogram.render().split('\n').slice(2), [
+      'test_duration_seconds_bucket{manager="stock",le="1"} 1',
+      'test_duration_seconds_bucket{manager="stock",le="5"} 2',
+      'test_duration_seconds_bucket{manager="stock",le="+Inf"} 2',
+      'test_duration_seconds_sum{manager="stock"} 3.5',
+      'test_duration_seconds_count{manager="stock"} 2'
+    ]);
+  });
+});
+
+describe('GET /metrics', () => {
+  let server;
+  let url;
+  let temp;
+
+  before(async () => {
+    temp = await createTempConfig();
+    server = http.createServer((req, res) => apiServer.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await temp.cleanup();
+  });
+
+  const scrape = async () => {
+    const response = await fetch(`${url}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    return response.text();
+  };
+
+  it('describes every metric family with HELP and TYPE lines', async () => {
+    const text = await scrape();
+
+    for (const [name, type] of [
+      ['lotto_cycles_total', 'counter'],
+      ['lotto_cycle_duration_seconds', 'histogram'],
+      ['lotto_retries_total', 'counter'],
+      ['lotto_failures_total', 'counter'],
+      ['lotto_records_extracted', 'gauge'],
+      ['lotto_rows_rejected_total', 'counter'],
+      ['lotto_seconds_since_last_success', 'gauge'],
+      ['lotto_browser_launch_seconds', 'histogram']
+    ]) {
+      assert.match(text, new RegExp(`^# HELP ${name} \\S`, 'm'));
+      assert.match(text, new RegExp(`^# TYPE ${name} ${type}$`, 'm'));
+    }
+  });
+
+  it('counts successful cycles and extracted records', async () => {
+    const body = readFixture('rayriffy/latest.json');
+    const fetchLatest = async () => new Response(body, { status: 200 });
+    const manager = new LotteryManager({ config: { ...temp.config, providers: ['rayriffy'] }, fetch: fetchLatest });
+    const before = await scrape();
+
+    assert.equal(await manager.runScrapingCycle(), true);
+
+    const text = await scrape();
+    assert.equal(sampleValue(text, 'lotto_cycles_total{manager="lottery",outcome="success"}'),
+      sampleValue(before, 'lotto_cycles_total{manager="lottery",outcome="success"}') + 1);
+    assert.equal(sampleValue(text, 'lotto_cycle_duration_seconds_count{manager="lottery"}'),
+      sampleValue(before, 'lotto_cycle_duration_seconds_count{manager="lottery"}') + 1);
+    assert.equal(sampleValue(text, 'lotto_records_extracted{manager="lottery"}'), 1);
+    assert.match(text, /^lotto_seconds_since_last_success\{manager="lottery"\} \d/m);
+  });
+
+  it('counts failed cycles, failed attempts by error class and retries', async () => {
+    const failing = async () => {
+      throw new TypeError('fetch failed');
+    };
+    const manager = new LotteryManager({ config: { ...temp.config, providers: ['rayriffy'], maxRetries: 2 }, fetch: failing });
+    const before = await scrape();
+
+    assert.equal(await manager.runScrapingCycle(), false);
+
+    const text = await scrape();
+    const grew = series => sampleValue(text, series) - sampleValue(before, series);
+    assert.equal(grew('lotto_cycles_total{manager="lottery",outcome="failure"}'), 1);
+    assert.equal(grew('lotto_failures_total{manager="lottery",error_class="NetworkError"}'), 2);
+    assert.equal(grew('lotto_retries_total{manager="lottery"}'), 1);
+  });
+});
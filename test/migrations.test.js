@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrate, getSchemaVersion } from '../migrations.js';
+
+describe('migrate', () => {
+  it('wraps a bare array in the envelope of every kind', () => {
+    for (const kind of ['history', 'section', 'outbox']) {
+      assert.deepEqual(migrate(kind, [{ id: 1 }]), {
+        document: { data: [{ id: 1 }], schemaVersion: 1 },
+        fromVersion: 0,
+        toVersion: 1
+      });
+    }
+  });
+
+  it('dates stock rows by their Bangkok day and gives them a result state', () => {
+    const { document, fromVersion } = migrate('stock', [
+      { stockName: 'หุ้นเกาหลี', threeDigits: '582', twoDigits: '47', lastUpdated: '2025-10-20T18:00:00.000Z' },
+      { stockName: 'หุ้นไต้หวัน', threeDigits: 'xxx', twoDigits: 'xx', lastUpdated: '2025-10-20T01:00:00.000Z' }
+    ]);
+
+    assert.equal(fromVersion, 0);
+    assert.equal(document.schemaVersion, 2);
+    assert.deepEqual(document.data.map(row => [row.stockName, row.tradingDate, row.state]), [
+      ['หุ้นเกาหลี', '2025-10-21', 'announced'],
+      ['หุ้นไต้หวัน', '2025-10-20', 'pending']
+    ]);
+  });
+
+  it('keeps the trading date and state a version 1 stock row already has', () => {
+    const row = { stockName: 'หุ้นเกาหลี', threeDigits: '582', twoDigits: '47', lastUpdated: '2025-10-21T01:00:00.000Z', tradingDate: '2025-10-20', state: 'corrected' };
+    const { document } = migrate('stock', { schemaVersion: 1, data: [row] });
+
+    assert.deepEqual(document.data, [row]);
+  });
+
+  it('re-keys lottery records fetched at a timestamp by the draw they belong to', () => {
+    const { document } = migrate('lottery', { schemaVersion: 1, data: [
+      { date: '2025-10-20T03:00:00.000Z', tiers: [] },
+      { date: '2025-11-01', drawId: '01112568', tiers: [] }
+    ] });
+
+    assert.equal(document.schemaVersion, 2);
+    assert.deepEqual(document.data.map(record => [record.date, record.drawId]), [
+      ['2025-10-16', '16102568'],
+      ['2025-11-01', '01112568']
+    ]);
+  });
+
+  it('moves the missing draw IDs of an old backfill state into the envelope', () => {
+    assert.deepEqual(migrate('backfill-state', { missing: ['01102568'] }).document, { data: ['01102568'], schemaVersion: 1 });
+    assert.deepEqual(migrate('backfill-state', ['01102568']).document, { data: ['01102568'], schemaVersion: 1 });
+  });
+
+  it('leaves a current document as it is', () => {
+    const document = { schemaVersion: getSchemaVersion('stock'), data: [] };
+    assert.deepEqual(migrate('stock', document), { document, fromVersion: 2, toVersion: 2 });
+  });
+
+  it('refuses a document from a newer version and one without data', () => {
+    assert.throws(() => migrate('history', { schemaVersion: 9, data: [] }), { code: 'ESCHEMA' });
+    assert.throws(() => migrate('history', { schemaVersion: 1 }), /history document has no data array/);
+  });
+});
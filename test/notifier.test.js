@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createTempConfig, startFixtureServer } from './helpers.js';
+import { Notifier } from '../notifier.js';
+
+// A stock row announced by processNewData()
+const korea = { stockName: 'หุ้นเกาหลี', tradingDate: '2025-10-20', threeDigits: '517', twoDigits: '45', state: 'announced' };
+
+describe('Notifier.configure', () => {
+  let temp;
+  let notifier;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    notifier = new Notifier({ config: { logFile: temp.config.logFile } });
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('rejects targets missing what their type needs', () => {
+    assert.throws(() => notifier.configure([{ type: 'sms', url: 'https://example.test' }]), /unknown type "sms"/);
+    assert.throws(() => notifier.configure([{ type: 'discord' }]), /\(discord\) needs a url/);
+    assert.throws(() => notifier.configure([{ type: 'line', token: 'secret' }]), /\(line\) needs a to/);
+    assert.throws(() => notifier.configure([{ type: 'line', to: 'U123' }]), /\(line\) needs a token/);
+  });
+
+  it('names targets after their destination, not their position', () => {
+    const hook = { type: 'webhook', url: 'https://example.test/hook' };
+    notifier.configure([hook]);
+    const [name] = notifier.getStatus().targets;
+
+    notifier.configure([{ type: 'discord', url: 'https://example.test/discord' }, hook, { name: 'line-ops', type: 'line', token: 't', to: 'U123' }]);
+    assert.equal(notifier.getStatus().targets[1], name);
+    assert.equal(notifier.getStatus().targets[2], 'line-ops');
+
+    assert.throws(() => notifier.configure([hook, { ...hook, filter: { sources: ['lottery'] } }]), /used more than once/);
+  });
+
+  it('keeps the current targets when a reloaded targets file is invalid', async () => {
+    const targetsFile = path.join(temp.dir, 'targets.json');
+    notifier = new Notifier({ config: { logFile: temp.config.logFile, targetsFile } });
+
+    await fs.writeFile(targetsFile, JSON.stringify([{ name: 'ops', type: 'webhook', url: 'https://example.test/ops' }]));
+    await notifier.reloadTargets();
+    assert.deepEqual(notifier.getStatus().targets, ['ops']);
+
+    await fs.writeFile(targetsFile, JSON.stringify([{ name: 'ops', type: 'webhook', url: 'https://example.test/ops' }, { type: 'discord' }]));
+    await notifier.reloadTargets();
+    await fs.writeFile(targetsFile, '[{ "name": "ops",');
+    await notifier.reloadTargets();
+    assert.deepEqual(notifier.getStatus().targets, ['ops']);
+
+    await fs.rm(targetsFile);
+    await notifier.reloadTargets();
+    assert.deepEqual(notifier.getStatus().targets, []);
+  });
+});
+
+describe('Notifier delivery', () => {
+  let server;
+  let temp;
+  let requests;
+  let fetch;
+
+  before(async () => {
+    server = await startFixtureServer({
+      '/hook': { status: 204, fixture: null },
+      '/down': { status: 503, fixture: null }
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    requests = [];
+    fetch = async (url, options) => {
+      requests.push({ url, ...options });
+      return globalThis.fetch(url, options);
+    };
+  });
+
+  afterEach(() => temp.cleanup());
+
+  // A notifier keeping its outbox and log in the temp directory
+  const createNotifier = config => new Notifier({
+    config: { outboxFile: path.join(temp.dir, 'outbox.json'), logFile: temp.config.logFile, ...config },
+    fetch
+  });
+
+  it('signs webhook bodies with an HMAC of the timestamp and body', async () => {
+    const notifier = createNotifier();
+    notifier.configure([{ name: 'hook', type: 'webhook', url: `${server.url}/hook`, secret: 's3cret' }]);
+
+    assert.equal(await notifier.publish('stock', { added: [korea], updated: [], removed: [] }), 1);
+    await notifier.flush();
+
+    assert.equal(requests.length, 1);
+    const { headers, body } = requests[0];
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['X-Timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['X-Signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(body).text, '📈 หุ้นเกาหลี (2025-10-20): 517/45 [announced]');
+    assert.equal(notifier.getStatus().pending, 0);
+  });
+
+  it('only queues events a target filter accepts', async () => {
+    const notifier = createNotifier();
+    notifier.configure([
+      { name: 'korea', type: 'webhook', url: `${server.url}/hook`, filter: { markets: ['หุ้นเกาหลี'], states: ['announced'] } },
+      { name: 'lottery', type: 'webhook', url: `${server.url}/hook`, filter: { sources: ['lottery'] } }
+    ]);
+
+    const queued = await notifier.publish('stock', {
+      added: [korea, { ...korea, stockName: 'หุ้นนิเคอิเช้า' }, { ...korea, state: 'pending' }],
+      updated: [],
+      removed: []
+    });
+
+    assert.equal(queued, 1);
+    assert.deepEqual(notifier.outbox.map(entry => [entry.target, entry.event.market]), [['korea', 'หุ้นเกาหลี']]);
+  });
+
+  it('applies the market filter to sections and market health events, not the lottery', async () => {
+    const notifier = createNotifier();
+    notifier.configure([{ name: 'hanoi', type: 'webhook', url: `${server.url}/hook`, filter: { markets: ['ฮานอย'] } }]);
+    const hanoi = { date: '2025-10-20', market: 'normal', name: 'ฮานอย', threeDigits: '937', twoDigits: '05', state: 'announced' };
+
+    await notifier.publish('hanoi', { added: [hanoi, { ...hanoi, market: 'vip', name: 'ฮานอย VIP' }], updated: [], removed: [] });
+    await notifier.publish('stock', { added: [korea], updated: [], removed: [] });
+    await notifier.publish('lottery', { added: [{ date: '2025-10-16', drawId: '16102568', tiers: [] }], updated: [], removed: [] });
+    await notifier.notify([
+      { type: 'degraded', source: 'watchdog', subject: 'stock', market: 'หุ้นเกาหลี', check: 'pending', reason: 'still pending' },
+      { type: 'degraded', source: 'watchdog', subject: 'stock', market: null, check: 'failures', reason: 'failing' }
+    ]);
+
+    assert.deepEqual(notifier.outbox.map(entry => [entry.event.source, entry.event.market]), [
+      ['hanoi', 'normal'],
+      ['lottery', 'lottery'],
+      ['watchdog', null]
+    ]);
+  });
+
+  it('retries a failed delivery with doubling delays, then drops it', async () => {
+    const notifier = createNotifier({ retryBaseDelay: 60000, maxAttempts: 3 });
+    notifier.configure([{ name: 'down', type: 'webhook', url: `${server.url}/down` }]);
+    await notifier.publish('stock', { added: [korea], updated: [], removed: [] });
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const before = Date.now();
+      await notifier.flush();
+      const [entry] = notifier.outbox;
+      assert.equal(entry.attempts, attempt);
+      assert.equal(entry.lastError, 'HTTP 503');
+      delays.push(Math.round((Date.parse(entry.nextAttemptAt) - before) / 60000));
+
+      // Not due yet, so a flush leaves it alone
+      await notifier.flush();
+      assert.equal(requests.length, attempt);
+      entry.nextAttemptAt = new Date(0).toISOString();
+    }
+    assert.deepEqual(delays, [1, 2]);
+
+    await notifier.flush();
+    assert.equal(requests.length, 3);
+    assert.equal(notifier.getStatus().pending, 0);
+  });
+
+  it('replays the outbox left by a previous run', async () => {
+    const target = { type: 'webhook', url: `${server.url}/hook` };
+    const first = new Notifier({
+      config: { outboxFile: path.join(temp.dir, 'outbox.json'), logFile: temp.config.logFile },
+      fetch: async () => {
+        throw new TypeError('fetch failed');
+      }
+    });
+    first.configure([target]);
+    await first.publish('stock', { added: [korea], updated: [], removed: [] });
+    await first.flush();
+    assert.equal(first.getStatus().pending, 1);
+
+    // The same target gets the same derived name after the restart
+    const second = createNotifier();
+    second.configure([target]);
+    await second.loadOutbox();
+    assert.equal(second.getStatus().pending, 1);
+    second.outbox[0].nextAttemptAt = new Date(0).toISOString();
+
+    await second.flush();
+    assert.equal(requests.length, 1);
+    assert.equal(JSON.parse(requests[0].body).market, 'หุ้นเกาหลี');
+
+    const third = createNotifier();
+    await third.loadOutbox();
+    assert.equal(third.getStatus().pending, 0);
+  });
+});
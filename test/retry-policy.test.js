@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  EmptyResultError,
+  HttpStatusError,
+  LayoutError,
+  NetworkError,
+  TimeoutError,
+  classifyError,
+  getBackoffDelay,
+  isRetryable,
+  withRetry
+} from '../retry-policy.js';
+
+describe('classifyError', () => {
+  it('types fetch, puppeteer and parse failures', () => {
+    const dns = classifyError(new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }) }));
+    assert.ok(dns instanceof NetworkError);
+    assert.equal(dns.message, 'fetch failed');
+
+    assert.ok(classifyError(new Error('net::ERR_CONNECTION_RESET at https://www.lotto432k.com/')) instanceof NetworkError);
+    assert.ok(classifyError(Object.assign(new Error('Waiting for selector `div.card` failed'), { name: 'TimeoutError' })) instanceof TimeoutError);
+    assert.ok(classifyError(new SyntaxError('Unexpected token < in JSON')) instanceof LayoutError);
+
+    const unknown = new RangeError('something else');
+    assert.equal(classifyError(unknown), unknown);
+  });
+
+  it('retries network trouble, timeouts, 5xx and 429 but not layout changes or other 4xx', () => {
+    assert.equal(isRetryable(new NetworkError('reset')), true);
+    assert.equal(isRetryable(new TimeoutError('slow')), true);
+    assert.equal(isRetryable(new EmptyResultError('no rows')), true);
+    assert.equal(isRetryable(new HttpStatusError(503, 'https://example.test')), true);
+    assert.equal(isRetryable(new HttpStatusError(429, 'https://example.test')), true);
+    assert.equal(isRetryable(new HttpStatusError(403, 'https://example.test')), false);
+    assert.equal(isRetryable(new LayoutError('card renamed')), false);
+    assert.equal(isRetryable(new Error('unknown')), true);
+  });
+});
+
+describe('getBackoffDelay', () => {
+  it('doubles per attempt up to maxDelay, less up to half as jitter', () => {
+    assert.equal(getBackoffDelay(1, { baseDelay: 1000, random: () => 1 }), 1000);
+    assert.equal(getBackoffDelay(3, { baseDelay: 1000, random: () => 1 }), 4000);
+    assert.equal(getBackoffDelay(3, { baseDelay: 1000, random: () => 0 }), 2000);
+    assert.equal(getBackoffDelay(10, { baseDelay: 1000, maxDelay: 60000, random: () => 1 }), 60000);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries retryable failures until one attempt succeeds', async () => {
+    const failures = [];
+    const result = await withRetry(async attempt => {
+      if (attempt < 3) throw new TypeError('fetch failed');
+      return attempt;
+    }, { maxRetries: 5, baseDelay: 0, onFailure: (error, details) => failures.push([error.name, details.willRetry]) });
+
+    assert.equal(result, 3);
+    assert.deepEqual(failures, [['NetworkError', true], ['NetworkError', true]]);
+  });
+
+  it('gives up straight away on a failure not worth retrying', async () => {
+    let attempts = 0;
+    const fail = () => {
+      attempts++;
+      throw new HttpStatusError(404, 'https://example.test/draw');
+    };
+
+    await assert.rejects(withRetry(fail, { maxRetries: 5, baseDelay: 0 }), HttpStatusError);
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('opens after repeated failures, fails fast, then lets one trial through', async () => {
+    let now = Date.parse('2025-10-20T00:00:00Z');
+    const circuit = new CircuitBreaker({ source: 'stock', failureThreshold: 2, cooldown: 60000, now: () => now });
+    const failing = async () => {
+      throw new TimeoutError('slow');
+    };
+    let calls = 0;
+    const succeeding = async () => ++calls;
+
+    await assert.rejects(circuit.run(failing), TimeoutError);
+    assert.equal(circuit.getStatus().state, 'closed');
+    await assert.rejects(circuit.run(failing), TimeoutError);
+    assert.deepEqual(circuit.getStatus(), {
+      state: 'open',
+      failures: 2,
+      openedAt: '2025-10-20T00:00:00.000Z',
+      retryAt: '2025-10-20T00:01:00.000Z',
+      lastError: 'slow'
+    });
+
+    await assert.rejects(circuit.run(succeeding), CircuitOpenError);
+    assert.equal(calls, 0);
+
+    // A failed trial opens it again straight away
+    now += 60000;
+    assert.equal(circuit.getState(), 'half-open');
+    await assert.rejects(circuit.run(failing), TimeoutError);
+    assert.equal(circuit.getStatus().retryAt, '2025-10-20T00:02:00.000Z');
+
+    now += 60000;
+    assert.equal(await circuit.run(succeeding), 1);
+    assert.deepEqual(circuit.getStatus(), { state: 'closed', failures: 0, openedAt: null, retryAt: null, lastError: 'slow' });
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { createTempConfig, readFixture } from './helpers.js';
+import { STOCK_TABLE_SCHEMA, extractWithSchema } from '../extraction-schema.js';
+import { SECTIONS, pickStockRows } from '../lotto432k-sections.js';
+import SectionManager, { RESULT_STATE } from '../section-manager.js';
+import { StockDataManager } from '../stock-scraper.js';
+import { buildChangeEvents } from '../change-events.js';
+
+// Read one section off a fixture page, the way the stock manager does
+function extractSection(id, fixture = 'lotto432k/stocks.html') {
+  const document = new JSDOM(readFixture(fixture)).window.document;
+  if (SECTIONS[id].schema) return extractWithSchema(SECTIONS[id].schema, document);
+  return pickStockRows(SECTIONS[id], extractWithSchema(STOCK_TABLE_SCHEMA, document));
+}
+
+// A section manager keeping its files in a scratch directory
+function createSection(id, temp) {
+  return new SectionManager({
+    id,
+    section: SECTIONS[id],
+    config: { dataDir: temp.dir, storage: 'json', logFile: temp.config.logFile }
+  });
+}
+
+describe('lotto432k sections', () => {
+  it('picks the Hanoi normal, special and VIP draws out of the foreign stocks table', () => {
+    const { rows, rejected, errors } = extractSection('hanoi');
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rows, [
+      { variant: 'normal', name: 'ฮานอย', countryCode: 'vn', threeDigits: '937', twoDigits: '05' },
+      { variant: 'special', name: 'ฮานอยพิเศษ', countryCode: 'vn', threeDigits: '821', twoDigits: '63' },
+      { variant: 'vip', name: 'ฮานอย VIP', countryCode: 'vn', threeDigits: 'xxx', twoDigits: 'xx' }
+    ]);
+  });
+
+  it('picks the Lao and Malaysia rows, and reads the Thai stock sessions off their card', () => {
+    assert.deepEqual(extractSection('lao').rows, [
+      { name: 'ลาว', countryCode: 'la', threeDigits: 'xxx', twoDigits: 'xx' }
+    ]);
+    assert.deepEqual(extractSection('malaysia').rows, [
+      { name: 'มาเลย์', countryCode: 'my', threeDigits: '648', twoDigits: '26' }
+    ]);
+    assert.deepEqual(extractSection('thaiStock').rows.map(row => [row.session, row.threeDigits, row.twoDigits]), [
+      ['morning', '392', '18'],
+      ['midday', '504', '77'],
+      ['afternoon', 'xxx', 'xx'],
+      ['evening', 'xxx', 'xx']
+    ]);
+  });
+
+  it('reports a section whose rows are not on the board', () => {
+    const { containerFound, rows, errors } = extractSection('lao', 'lotto432k/stocks-renamed-card.html');
+    assert.equal(containerFound, false);
+    assert.deepEqual(rows, []);
+
+    const missing = extractSection('hanoi', 'lotto432k/stocks-reordered.html');
+    assert.equal(missing.containerFound, true);
+    assert.match(missing.errors[0], /No ฮานอยพิเศษ, ฮานอย, ฮานอย VIP rows/);
+  });
+
+  it('hands a rejected row to its section', () => {
+    const html = readFixture('lotto432k/stocks.html').replace('<td>มาเลย์</td><td>648</td>', '<td>มาเลย์</td><td>6480</td>');
+    const stocks = extractWithSchema(STOCK_TABLE_SCHEMA, new JSDOM(html).window.document);
+    const { rows, rejected } = pickStockRows(SECTIONS.malaysia, stocks);
+
+    assert.deepEqual(rows, []);
+    assert.equal(rejected[0].values.name, 'มาเลย์');
+    assert.match(rejected[0].reasons[0], /threeDigits "6480"/);
+  });
+});
+
+describe('SectionManager', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  // Monday 20 October 2025, evening in Bangkok
+  const row = (variant, threeDigits, lastUpdated) => ({
+    variant,
+    name: variant,
+    threeDigits,
+    twoDigits: threeDigits === 'xxx' ? 'xx' : '63',
+    lastUpdated
+  });
+
+  it('takes a draw from pending to announced to corrected', () => {
+    const hanoi = createSection('hanoi', temp);
+
+    const pending = hanoi.resolveLifecycle([], [row('vip', 'xxx', '2025-10-20T11:00:00.000Z')]);
+    assert.equal(pending[0].state, RESULT_STATE.PENDING);
+    assert.equal(pending[0].market, 'vip');
+    assert.equal(pending[0].date, '2025-10-20');
+
+    const announced = hanoi.resolveLifecycle(pending, [row('vip', '821', '2025-10-20T12:20:00.000Z')]);
+    assert.equal(announced[0].state, RESULT_STATE.ANNOUNCED);
+
+    const corrected = hanoi.resolveLifecycle(announced, [row('vip', '822', '2025-10-20T12:40:00.000Z')]);
+    assert.equal(corrected[0].state, RESULT_STATE.CORRECTED);
+    assert.deepEqual(corrected[0].previous, { threeDigits: '821', twoDigits: '63' });
+
+    const reset = hanoi.resolveLifecycle(corrected, [row('vip', 'xxx', '2025-10-20T13:00:00.000Z')]);
+    assert.equal(reset[0], corrected[0]);
+  });
+
+  it('stores rows, records announced ones in history and emits changes', async () => {
+    const hanoi = createSection('hanoi', temp);
+    const events = [];
+    hanoi.on('changes', event => events.push(event));
+
+    const changes = await hanoi.processExtraction(extractSection('hanoi'), '2025-10-20T12:30:00.000Z');
+
+    assert.equal(changes.added.length, 3);
+    assert.equal(events[0].source, 'hanoi');
+    assert.deepEqual(hanoi.getHistory().map(entry => entry.market), ['normal', 'special']);
+
+    const reloaded = createSection('hanoi', temp);
+    await reloaded.loadExistingData();
+    await reloaded.loadHistory();
+    assert.deepEqual(reloaded.getCurrentData(), hanoi.getCurrentData());
+    assert.equal(reloaded.getHistory({ market: 'special' })[0].threeDigits, '821');
+  });
+
+  it('leaves its data alone when the section is missing from the page', async () => {
+    const lao = createSection('lao', temp);
+    await lao.processExtraction(extractSection('lao'), '2025-10-20T13:30:00.000Z');
+
+    const changes = await lao.processExtraction(extractSection('lao', 'lotto432k/stocks-renamed-card.html'));
+
+    assert.deepEqual(changes, { added: [], updated: [], removed: [] });
+    assert.equal(lao.getCurrentData().length, 1);
+    assert.match(lao.getStatus().validation.errors[0], /หวยหุ้นต่างประเทศ/);
+  });
+
+  it('builds change events carrying the section record', async () => {
+    const malaysia = createSection('malaysia', temp);
+    const changes = await malaysia.processExtraction(extractSection('malaysia'), '2025-10-22T12:00:00.000Z');
+
+    const [event] = buildChangeEvents('malaysia', changes);
+    assert.equal(event.source, 'malaysia');
+    assert.equal(event.market, 'มาเลย์');
+    assert.equal(event.date, '2025-10-22');
+    assert.equal(event.record.threeDigits, '648');
+  });
+});
+
+describe('StockDataManager sections', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('reads every section on the same page load as the stock table', async () => {
+    let leases = 0;
+    let navigations = 0;
+    const browser = {
+      withPage: async fn => {
+        leases++;
+        const document = new JSDOM(readFixture('lotto432k/stocks.html')).window.document;
+        return fn({
+          goto: async () => { navigations++; },
+          waitForSelector: async () => {},
+          waitForFunction: async () => {},
+          evaluate: async (fn, ...args) => fn(...args, document)
+        });
+      }
+    };
+    const manager = new StockDataManager({ config: temp.config, browser });
+    const sources = [];
+    for (const section of manager.sections.values()) {
+      section.on('changes', ({ source }) => sources.push(source));
+    }
+
+    assert.equal(await manager.runScrapingCycle(), true);
+
+    assert.equal(leases, 1);
+    assert.equal(navigations, 1);
+    assert.deepEqual(sources, ['hanoi', 'lao', 'malaysia', 'thaiStock']);
+    assert.equal(manager.getSection('thaiStock').getCurrentData().length, 4);
+    assert.equal(manager.getStatus().sections.hanoi.recordCount, 3);
+    assert.equal(manager.getSection('hanoi').getHistory().length, 2);
+  });
+
+  it('rejects unknown section IDs', () => {
+    assert.throws(() => new StockDataManager({ config: { ...temp.config, sections: ['macau'] } }), /Unknown lotto432k section "macau"/);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createTempConfig } from './helpers.js';
+import SqliteStorage from '../sqlite-storage.js';
+import { summarizePrizes } from '../prize-tiers.js';
+
+// The backend is optional; skip when better-sqlite3 did not install
+const sqliteMissing = await import('better-sqlite3').then(() => false, error => `better-sqlite3 is not available: ${error.message}`);
+
+const korea = {
+  countryCode: 'kr',
+  stockName: 'หุ้นเกาหลี',
+  threeDigits: '583',
+  twoDigits: '47',
+  lastUpdated: '2025-10-20T07:00:00.000Z',
+  tradingDate: '2025-10-20',
+  state: 'corrected',
+  announcedAt: '2025-10-20T06:45:00.000Z',
+  previous: { threeDigits: '582', twoDigits: '47' }
+};
+const nikkei = {
+  countryCode: 'jp',
+  stockName: 'หุ้นนิเคอิบ่าย',
+  threeDigits: 'xxx',
+  twoDigits: 'xx',
+  lastUpdated: '2025-10-20T06:35:00.000Z',
+  tradingDate: '2025-10-20',
+  state: 'pending'
+};
+
+// A history record of หุ้นเกาหลี
+const koreaHistory = (threeDigits, twoDigits, state) => ({
+  date: '2025-10-20', market: 'หุ้นเกาหลี', countryCode: 'kr', threeDigits, twoDigits, state, recordedAt: '2025-10-20T06:45:00.000Z'
+});
+
+const tiers = [
+  { id: 'prizeFirst', name: 'รางวัลที่ 1', reward: 6000000, amount: 1, numbers: ['605634'] },
+  { id: 'runningNumberBackTwo', name: 'เลขท้าย 2 ตัว', reward: 2000, amount: 1, numbers: ['94'] }
+];
+const draw = {
+  date: '2025-10-16',
+  drawId: '16102568',
+  prizes: summarizePrizes(tiers),
+  tiers,
+  lastUpdated: '2025-10-16T09:00:00.000Z',
+  source: 'rayriffy',
+  verification: { status: 'agreed', sources: ['rayriffy', 'glo'] },
+  recordedAt: '2025-10-16T09:05:00.000Z'
+};
+
+const hanoi = { date: '2025-10-20', market: 'normal', name: 'ฮานอย', countryCode: 'vn', threeDigits: '821', twoDigits: '37', state: 'announced' };
+
+describe('SqliteStorage', { skip: sqliteMissing }, () => {
+  let temp;
+  let storages;
+
+  // A storage of the given kind on the test's database file
+  const open = (kind, section = null) => {
+    const storage = new SqliteStorage({ kind, section, file: path.join(temp.dir, 'lotto.db') });
+    storages.push(storage);
+    return storage;
+  };
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+    storages = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(storages.map(storage => storage.close()));
+    await temp.cleanup();
+  });
+
+  it('round-trips the current stock board and market history', async () => {
+    const storage = open('stock');
+    await assert.rejects(storage.loadCurrent(), { code: 'ENOENT' });
+
+    await storage.saveCurrent([korea, nikkei]);
+    await storage.saveHistory([koreaHistory('583', '47', 'corrected')]);
+
+    assert.deepEqual((await storage.loadCurrent()).records, [korea, nikkei]);
+    assert.deepEqual((await storage.loadHistory()).records, [koreaHistory('583', '47', 'corrected')]);
+  });
+
+  it('does not let a placeholder overwrite an announced result of the same trading date', async () => {
+    const storage = open('stock');
+    await storage.saveHistory([koreaHistory('582', '47', 'announced')]);
+
+    await storage.saveHistory([koreaHistory('xxx', 'xx', 'pending')]);
+    await storage.saveCurrent([{ ...nikkei, countryCode: 'kr', stockName: 'หุ้นเกาหลี' }]);
+
+    assert.deepEqual((await storage.loadHistory()).records, [koreaHistory('582', '47', 'announced')]);
+    const [current] = (await storage.loadCurrent()).records;
+    assert.deepEqual([current.threeDigits, current.twoDigits, current.state], ['582', '47', 'announced']);
+  });
+
+  it('round-trips lottery draws with their tiers, source and verification', async () => {
+    const storage = open('lottery');
+    await storage.saveCurrent([draw]);
+    await storage.saveHistory([draw]);
+
+    assert.deepEqual((await storage.loadCurrent()).records, [draw]);
+    assert.deepEqual((await storage.loadHistory()).records, [draw]);
+  });
+
+  it('keeps each section apart in a shared database', async () => {
+    const storage = open('section', 'hanoi');
+    const lao = open('section', 'lao');
+    await storage.saveCurrent([hanoi]);
+    await storage.saveHistory([hanoi, { ...hanoi, date: '2025-10-19', threeDigits: '234' }]);
+
+    assert.deepEqual((await storage.loadCurrent()).records, [hanoi]);
+    assert.deepEqual((await storage.loadHistory()).records.map(record => record.date), ['2025-10-19', '2025-10-20']);
+    await assert.rejects(lao.loadCurrent(), { code: 'ENOENT' });
+    assert.deepEqual((await lao.loadHistory()).records, []);
+  });
+});
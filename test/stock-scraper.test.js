@@ -0,0 +1,302 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import { createTempConfig, readFixture, startFixtureServer } from './helpers.js';
+import { StockDataManager, RESULT_STATE } from '../stock-scraper.js';
+import { STOCK_TABLE_SCHEMA, extractWithSchema } from '../extraction-schema.js';
+import browserPool from '../browser-pool.js';
+import { MARKET_SCHEDULES } from '../market-schedule.js';
+
+// Parse a fixture page the way page.evaluate() would
+function parseFixture(name) {
+  return extractWithSchema(STOCK_TABLE_SCHEMA, new JSDOM(readFixture(name)).window.document).rows;
+}
+
+// Stand-in for the browser pool: every lease gets a page backed by jsdom.
+// `failures` makes the first N navigations throw.
+function createFakeBrowser(fixture, { failures = 0 } = {}) {
+  const browser = { leases: 0 };
+
+  browser.withPage = async fn => {
+    browser.leases++;
+    const document = new JSDOM(readFixture(fixture)).window.document;
+    const page = {
+      goto: async () => {
+        if (browser.leases <= failures) throw new Error('net::ERR_CONNECTION_RESET');
+      },
+      waitForSelector: async () => {},
+      waitForFunction: async () => {},
+      evaluate: async (fn, ...args) => fn(...args, document)
+    };
+    return fn(page);
+  };
+
+  return browser;
+}
+
+// A scraped row as extractStockResults() returns it
+function row(stockName, threeDigits, twoDigits, lastUpdated) {
+  return { countryCode: 'kr', stockName, threeDigits, twoDigits, lastUpdated };
+}
+
+describe('stock table schema', () => {
+  it('reads every market row of the foreign stocks card', () => {
+    const rows = parseFixture('lotto432k/stocks.html');
+
+    assert.equal(rows.length, 20);
+    assert.deepEqual(rows[0], { countryCode: 'kr', stockName: 'หุ้นเกาหลี', threeDigits: '582', twoDigits: '47' });
+  });
+
+  it('uses the market names and rows of a real scrape', () => {
+    // stock_data.json is the output of a live run against lotto432k.com
+    const scraped = JSON.parse(readFileSync(new URL('../stock_data.json', import.meta.url), 'utf-8')).data;
+    const rows = parseFixture('lotto432k/stocks-pending.html');
+
+    assert.deepEqual(rows.map(item => [item.countryCode, item.stockName]), scraped.map(item => [item.countryCode, item.stockName]));
+    assert.ok(rows.every(item => item.stockName in MARKET_SCHEDULES));
+  });
+
+  it('keeps placeholders as they are shown', () => {
+    const rows = parseFixture('lotto432k/stocks-pending.html');
+
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every(item => item.threeDigits === 'xxx' && item.twoDigits === 'xx'));
+  });
+
+  it('copes with a table without tbody, header rows and odd cells', () => {
+    const rows = parseFixture('lotto432k/stocks-no-tbody.html');
+
+    assert.deepEqual(rows.map(item => [item.countryCode, item.stockName, item.threeDigits, item.twoDigits]), [
+      ['kr', 'หุ้นเกาหลี', '582', '47'],
+      ['', 'หุ้นนิเคอิเช้า', '913', '60'],
+      ['cn', 'จีนเช้า', 'xxx', 'xx']
+    ]);
+  });
+
+  it('finds nothing when the card has been renamed', () => {
+    assert.deepEqual(parseFixture('lotto432k/stocks-renamed-card.html'), []);
+  });
+});
+
+describe('StockDataManager lifecycle and change detection', () => {
+  const manager = new StockDataManager({ browser: createFakeBrowser('lotto432k/stocks.html') });
+
+  // Monday 20 October 2025, during and after the Korean session
+  const pendingAt = '2025-10-20T06:35:00.000Z';
+  const announcedAt = '2025-10-20T06:45:00.000Z';
+  const correctedAt = '2025-10-20T07:00:00.000Z';
+
+  it('takes a market from pending to announced to corrected', () => {
+    const pending = manager.resolveLifecycle([], [row('หุ้นเกาหลี', 'xxx', 'xx', pendingAt)]);
+    assert.equal(pending[0].state, RESULT_STATE.PENDING);
+    assert.equal(pending[0].tradingDate, '2025-10-20');
+
+    const announced = manager.resolveLifecycle(pending, [row('หุ้นเกาหลี', '582', '47', announcedAt)]);
+    assert.equal(announced[0].state, RESULT_STATE.ANNOUNCED);
+    assert.equal(announced[0].announcedAt, announcedAt);
+
+    let changes = manager.detectChanges(pending, announced);
+    assert.equal(changes.updated.length, 1);
+    assert.equal(changes.updated[0].old.state, RESULT_STATE.PENDING);
+
+    const corrected = manager.resolveLifecycle(announced, [row('หุ้นเกาหลี', '583', '47', correctedAt)]);
+    assert.equal(corrected[0].state, RESULT_STATE.CORRECTED);
+    assert.equal(corrected[0].announcedAt, announcedAt);
+    assert.deepEqual(corrected[0].previous, { threeDigits: '582', twoDigits: '47' });
+
+    changes = manager.detectChanges(announced, corrected);
+    assert.deepEqual(changes.updated.map(change => change.new.threeDigits), ['583']);
+  });
+
+  it('does not let a placeholder overwrite a result of the same trading date', () => {
+    const announced = manager.resolveLifecycle([], [row('หุ้นเกาหลี', '582', '47', announcedAt)]);
+    const later = manager.resolveLifecycle(announced, [row('หุ้นเกาหลี', 'xxx', 'xx', correctedAt)]);
+
+    assert.equal(later[0], announced[0]);
+    assert.deepEqual(manager.detectChanges(announced, later), { added: [], updated: [], removed: [] });
+  });
+
+  it('starts a new pending row once the board resets on the next trading date', () => {
+    const announced = manager.resolveLifecycle([], [row('หุ้นเกาหลี', '582', '47', announcedAt)]);
+    const nextDay = manager.resolveLifecycle(announced, [row('หุ้นเกาหลี', 'xxx', 'xx', '2025-10-21T01:00:00.000Z')]);
+
+    assert.equal(nextDay[0].state, RESULT_STATE.PENDING);
+    assert.equal(nextDay[0].tradingDate, '2025-10-21');
+  });
+
+  it('reports markets that appear and disappear', () => {
+    const before = [row('หุ้นเกาหลี', '582', '47', announcedAt)];
+    const after = [row('จีนเช้า', '447', '12', announcedAt)];
+    const changes = manager.detectChanges(before, after);
+
+    assert.deepEqual(changes.added.map(item => item.stockName), ['จีนเช้า']);
+    assert.deepEqual(changes.removed.map(item => item.stockName), ['หุ้นเกาหลี']);
+  });
+});
+
+describe('StockDataManager extraction with an injected browser', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempConfig();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  it('retries after a failed navigation', async () => {
+    const browser = createFakeBrowser('lotto432k/stocks.html', { failures: 1 });
+    const manager = new StockDataManager({ config: temp.config, browser });
+
+    const rows = await manager.extractWithRetry();
+
+    assert.equal(browser.leases, 2);
+    assert.equal(rows.length, 20);
+  });
+
+  it('keeps the current row of a market whose new row is rejected', async () => {
+    const manager = new StockDataManager({ config: temp.config, browser: createFakeBrowser('lotto432k/stocks.html') });
+    await manager.runScrapingCycle();
+    const before = manager.getMarket('หุ้นนิเคอิเช้า');
+
+    manager.browser = createFakeBrowser('lotto432k/stocks-reordered.html');
+    const rows = await manager.extractWithRetry();
+
+    assert.equal(rows.find(item => item.stockName === 'หุ้นนิเคอิเช้า'), before);
+    assert.equal(manager.getStatus().validation.accepted, 2);
+    assert.deepEqual(manager.getStatus().validation.rejected.map(item => item.values.stockName), ['หุ้นนิเคอิเช้า']);
+  });
+
+  it('refuses output from a page whose layout no longer matches', async () => {
+    const browser = createFakeBrowser('lotto432k/stocks-renamed-card.html');
+    const manager = new StockDataManager({ config: { ...temp.config, maxRetries: 3 }, browser });
+
+    await assert.rejects(manager.extractWithRetry(), { name: 'LayoutError', message: /does not match the extraction schema/ });
+    assert.match(manager.getStatus().validation.errors[0], /หวยหุ้นต่างประเทศ/);
+
+    // Retrying would not bring the old layout back
+    assert.equal(browser.leases, 1);
+  });
+
+  it('retries a page whose results table is still empty', async () => {
+    const browser = createFakeBrowser('lotto432k/stocks-empty.html');
+    const manager = new StockDataManager({ config: { ...temp.config, maxRetries: 2 }, browser });
+
+    await assert.rejects(manager.extractWithRetry(), { name: 'EmptyResultError' });
+    assert.equal(browser.leases, 2);
+  });
+
+  it('leaves the site alone once its circuit breaker opens', async () => {
+    const browser = createFakeBrowser('lotto432k/stocks.html', { failures: Infinity });
+    const config = { ...temp.config, maxRetries: 1, circuitFailureThreshold: 2, circuitCooldown: 60 * 60 * 1000 };
+    const manager = new StockDataManager({ config, browser });
+
+    assert.equal(await manager.runScrapingCycle(), false);
+    assert.equal(await manager.runScrapingCycle(), false);
+    assert.equal(await manager.runScrapingCycle(), false);
+
+    assert.equal(browser.leases, 2);
+    assert.match(manager.lastCycle.error, /stock circuit is open until/);
+    assert.equal(manager.getStatus().circuit.state, 'open');
+    assert.match(manager.getNextInterval().reason, /^circuit open until/);
+  });
+
+  it('fails the cycle once every attempt has failed', async () => {
+    const browser = createFakeBrowser('lotto432k/stocks.html', { failures: Infinity });
+    const manager = new StockDataManager({ config: { ...temp.config, maxRetries: 2 }, browser });
+    const cycles = [];
+    manager.on('cycle', cycle => cycles.push(cycle));
+
+    assert.equal(await manager.runScrapingCycle(), false);
+    assert.equal(browser.leases, 2);
+    assert.equal(cycles[0].error, 'net::ERR_CONNECTION_RESET');
+  });
+
+  it('stores a cycle and emits the changes once', async () => {
+    const manager = new StockDataManager({ config: temp.config, browser: createFakeBrowser('lotto432k/stocks.html') });
+    const events = [];
+    manager.on('changes', event => events.push(event));
+
+    assert.equal(await manager.runScrapingCycle(), true);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].changes.added.length, 20);
+
+    assert.equal(await manager.runScrapingCycle(), true);
+    assert.equal(events.length, 1);
+
+    // A fresh manager picks the rows up from storage
+    const reloaded = new StockDataManager({ config: temp.config, browser: createFakeBrowser('lotto432k/stocks.html') });
+    await reloaded.loadExistingData();
+    assert.equal(reloaded.getCurrentData().length, 20);
+  });
+});
+
+describe('StockDataManager scheduling', () => {
+  const manager = new StockDataManager({ browser: createFakeBrowser('lotto432k/stocks.html') });
+
+  // Monday 20 October 2025 15:40 in Seoul and Tokyo
+  const now = new Date('2025-10-20T06:40:00.000Z');
+
+  it('polls quickly while a market window is waiting for its result', () => {
+    manager.currentData = [];
+    const { delay, activeMarkets } = manager.getNextInterval(now);
+
+    assert.equal(delay, manager.config.activeInterval);
+    assert.ok(activeMarkets.includes('หุ้นเกาหลี'));
+    assert.ok(activeMarkets.includes('หุ้นนิเคอิบ่าย'));
+  });
+
+  it('keeps polling a late result for windowGrace past its window', () => {
+    // Taipei's window closed at 14:10 local, 06:10Z
+    manager.currentData = ['หุ้นเกาหลี', 'หุ้นนิเคอิบ่าย'].map(stockName => ({
+      stockName, tradingDate: '2025-10-20', state: RESULT_STATE.ANNOUNCED
+    }));
+    assert.deepEqual(manager.getNextInterval(now).activeMarkets, ['ไต้หวัน']);
+
+    const { activeMarkets } = manager.getNextInterval(new Date(now.getTime() + 60 * 1000));
+    assert.ok(!activeMarkets.includes('ไต้หวัน'));
+  });
+
+  it('sleeps until the next window once the open ones have landed', () => {
+    manager.currentData = ['หุ้นเกาหลี', 'หุ้นนิเคอิบ่าย', 'ไต้หวัน'].map(stockName => ({
+      stockName, tradingDate: '2025-10-20', state: RESULT_STATE.ANNOUNCED
+    }));
+    const { delay, reason, activeMarkets } = manager.getNextInterval(now);
+
+    // Shanghai's afternoon window opens at 15:00 local, 07:00Z
+    assert.deepEqual(activeMarkets, []);
+    assert.equal(delay, 20 * 60 * 1000);
+    assert.match(reason, /จีนบ่าย/);
+  });
+});
+
+describe('StockDataManager in Chromium', () => {
+  let server;
+  let temp;
+
+  before(async () => {
+    server = await startFixtureServer({ '/': 'lotto432k/stocks.html' });
+    temp = await createTempConfig();
+  });
+
+  after(async () => {
+    await browserPool.close();
+    await server.close();
+    await temp.cleanup();
+  });
+
+  it('scrapes the recorded page through the shared browser pool', async t => {
+    try {
+      await browserPool.getInstance();
+    } catch (error) {
+      t.skip(`Chromium is not available: ${error.message.split('\n')[0]}`);
+      return;
+    }
+
+    const manager = new StockDataManager({ config: { ...temp.config, siteUrl: `${server.url}/` } });
+    const rows = await manager.extractWithRetry();
+
+    assert.equal(rows.length, 20);
+    assert.deepEqual(rows.find(item => item.stockName === 'หุ้นเกาหลี').threeDigits, '582');
+  });
+});
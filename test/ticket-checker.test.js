@@ -0,0 +1,79 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.js';
+import { RayriffyProvider } from '../lottery-providers.js';
+import { checkTicket, checkTickets } from '../ticket-checker.js';
+
+// Read a recorded rayriffy response into a draw record
+function loadDraw(fixture) {
+  return new RayriffyProvider({ fetch: async () => new Response(readFixture(fixture), { status: 200 }) }).fetchDraw();
+}
+
+// The IDs and total reward of the prizes a ticket wins
+function won(result) {
+  return [result.prizes.map(prize => prize.id), result.totalReward];
+}
+
+describe('checkTicket', () => {
+  // Draw of 16 October 2025: first prize 605634, front three 358/279,
+  // back three 017/446, back two 05
+  let draw;
+
+  before(async () => {
+    draw = await loadDraw('rayriffy/latest.json');
+  });
+
+  it('finds the first prize and its adjacent numbers', () => {
+    const result = checkTicket('605634', draw);
+    assert.deepEqual([result.ticket, result.drawId, result.date, result.isWinner], ['605634', '16102568', '2025-10-16', true]);
+    assert.deepEqual(won(result), [['prizeFirst'], 6000000]);
+    assert.equal(result.prizes[0].name, 'รางวัลที่ 1');
+
+    assert.deepEqual(won(checkTicket('514207', draw)), [['prizeFirstNear'], 100000]);
+  });
+
+  it('matches the front three, back three and back two digits', () => {
+    assert.deepEqual(won(checkTicket('358123', draw)), [['runningNumberFrontThree'], 4000]);
+    assert.deepEqual(won(checkTicket('123017', draw)), [['runningNumberBackThree'], 4000]);
+    assert.deepEqual(won(checkTicket('123405', draw)), [['runningNumberBackTwo'], 2000]);
+  });
+
+  it('lists every prize a ticket wins and adds up the rewards', () => {
+    assert.deepEqual(won(checkTicket('279446', draw)), [['runningNumberFrontThree', 'runningNumberBackThree'], 8000]);
+  });
+
+  it('reports a ticket that wins nothing', () => {
+    assert.deepEqual(checkTicket(' 000000 ', draw), {
+      ticket: '000000', drawId: '16102568', date: '2025-10-16', isWinner: false, totalReward: 0, prizes: []
+    });
+  });
+
+  it('rejects tickets that are not six digits', () => {
+    for (const ticket of ['60563', '6056341', '60563a', '']) {
+      assert.throws(() => checkTicket(ticket, draw), /expected 6 digits/);
+    }
+  });
+
+  it('checks the announced tiers of an incomplete draw and never matches placeholders', async () => {
+    const incomplete = await loadDraw('rayriffy/latest-incomplete.json');
+
+    assert.deepEqual(won(checkTicket('704193', incomplete)), [['prizeFirst'], 6000000]);
+    assert.equal(checkTicket('619744', incomplete).isWinner, false);
+  });
+
+  it('rebuilds the tiers of records saved with only the prize summary', () => {
+    const legacy = { date: draw.date, drawId: draw.drawId, prizes: draw.prizes };
+    assert.deepEqual(won(checkTicket('279446', legacy)), [['runningNumberFrontThree', 'runningNumberBackThree'], 0]);
+  });
+});
+
+describe('checkTickets', () => {
+  it('checks a batch and reports invalid tickets on their own', async () => {
+    const draw = await loadDraw('rayriffy/latest.json');
+    const results = checkTickets(['605634', '12345', 123405], draw);
+
+    assert.equal(results[0].isWinner, true);
+    assert.deepEqual(results[1], { ticket: '12345', error: 'Invalid ticket number "12345": expected 6 digits' });
+    assert.deepEqual(won(results[2]), [['runningNumberBackTwo'], 2000]);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { Watchdog } from '../watchdog.js';
+import MarketSchedule from '../market-schedule.js';
+
+// A running lottery manager whose status the test controls
+function createManager(status) {
+  const manager = new EventEmitter();
+  manager.isRunning = true;
+  manager.getStatus = () => ({ cycleStartedAt: null, validation: null, lastCycle: { success: true }, ...status });
+  manager.getNextDraw = () => null;
+  return manager;
+}
+
+// A running stock manager showing one Korean row
+function createStockManager(row) {
+  const manager = createManager();
+  manager.schedule = new MarketSchedule();
+  manager.getCurrentData = () => [row];
+  return manager;
+}
+
+// Report one finished cycle the way the managers do
+function finishCycle(manager, success) {
+  manager.emit('cycle', { success, finishedAt: new Date().toISOString(), error: success ? null : 'net::ERR_CONNECTION_RESET' });
+}
+
+describe('Watchdog probes', () => {
+  it('keeps liveness up while a source is only stale, which fails readiness', () => {
+    const watchdog = new Watchdog();
+    watchdog.startedAt = '2025-10-20T00:00:00.000Z';
+    watchdog.attach('lottery', createManager());
+
+    watchdog.check(new Date('2025-10-20T08:00:00Z'));
+    assert.deepEqual(watchdog.getReadiness().problems.map(problem => problem.check), ['freshness']);
+    assert.deepEqual(watchdog.getLiveness(), { ok: true, problems: [] });
+  });
+
+  it('fails liveness once a cycle hangs', () => {
+    const watchdog = new Watchdog();
+    watchdog.startedAt = '2025-10-20T00:00:00.000Z';
+    watchdog.attach('lottery', createManager({ cycleStartedAt: '2025-10-20T00:30:00.000Z' }));
+
+    watchdog.check(new Date('2025-10-20T01:00:00Z'));
+    const liveness = watchdog.getLiveness();
+    assert.equal(liveness.ok, false);
+    assert.deepEqual(liveness.problems.map(problem => problem.check), ['hung']);
+  });
+});
+
+describe('Watchdog health events', () => {
+  it('counts failed cycles in a row and recovers on the next success', () => {
+    const watchdog = new Watchdog();
+    watchdog.startedAt = new Date().toISOString();
+    const manager = createManager();
+    watchdog.attach('lottery', manager);
+    const events = [];
+    watchdog.on('health', batch => events.push(...batch));
+
+    for (let cycle = 0; cycle < 4; cycle++) finishCycle(manager, false);
+    assert.equal(watchdog.getStatus().sources.lottery.consecutiveFailures, 4);
+    assert.deepEqual(events, []);
+
+    finishCycle(manager, false);
+    assert.deepEqual(events.map(event => [event.type, event.subject, event.check]), [['degraded', 'lottery', 'failures']]);
+    assert.match(events[0].reason, /failed 5 cycles in a row \(last error: net::ERR_CONNECTION_RESET\)/);
+
+    finishCycle(manager, true);
+    assert.deepEqual(events.map(event => event.type), ['degraded', 'recovered']);
+    assert.equal(watchdog.getStatus().sources.lottery.consecutiveFailures, 0);
+    assert.equal(watchdog.getStatus().status, 'ok');
+  });
+
+  it('applies reloaded thresholds and restores the default for an unset one', () => {
+    const watchdog = new Watchdog();
+    watchdog.startedAt = new Date().toISOString();
+    const manager = createManager();
+    watchdog.attach('lottery', manager);
+
+    watchdog.reload({ maxConsecutiveFailures: 2 });
+    finishCycle(manager, false);
+    finishCycle(manager, false);
+    assert.deepEqual([...watchdog.issues.keys()], ['lottery:failing']);
+
+    watchdog.reload({ maxConsecutiveFailures: undefined });
+    assert.equal(watchdog.config.maxConsecutiveFailures, 5);
+    assert.deepEqual(watchdog.check().map(event => [event.type, event.check]), [['recovered', 'failures']]);
+  });
+
+  it('keeps a market pending past local midnight until its result lands', () => {
+    // Korea's window on Monday 20 October 2025 closes at 16:10 in Seoul, 07:10Z
+    const watchdog = new Watchdog({ config: { stockStaleAfter: 24 * 60 * 60 * 1000 } });
+    watchdog.startedAt = '2025-10-20T06:00:00.000Z';
+    const row = { stockName: 'หุ้นเกาหลี', tradingDate: '2025-10-20', threeDigits: 'xxx', twoDigits: 'xx', state: 'pending' };
+    const manager = createStockManager(row);
+    watchdog.attach('stock', manager);
+
+    assert.deepEqual(watchdog.check(new Date('2025-10-20T07:30:00Z')), []);
+
+    const [degraded] = watchdog.check(new Date('2025-10-20T08:00:00Z'));
+    assert.deepEqual([degraded.type, degraded.check, degraded.market], ['degraded', 'pending', 'หุ้นเกาหลี']);
+
+    // 00:30 on Tuesday in Seoul: still the Monday result that is missing
+    assert.deepEqual(watchdog.check(new Date('2025-10-20T15:30:00Z')), []);
+    assert.match(watchdog.getStatus().issues[0].reason, /2025-10-20 window/);
+
+    Object.assign(row, { threeDigits: '582', twoDigits: '47', state: 'announced' });
+    const [recovered] = watchdog.check(new Date('2025-10-20T15:35:00Z'));
+    assert.deepEqual([recovered.type, recovered.check], ['recovered', 'pending']);
+  });
+});
@@ -0,0 +1,90 @@
+import lotteryManager from './lotterry-scraper.js';
+import { PRIZE_SUMMARY_FIELDS } from './prize-tiers.js';
+
+// How each tier's numbers are matched against a 6-digit ticket
+const TIER_MATCHERS = {
+  runningNumberFrontThree: (ticket, number) => ticket.slice(0, 3) === number,
+  runningNumberBackThree: (ticket, number) => ticket.slice(-3) === number,
+  runningNumberBackTwo: (ticket, number) => ticket.slice(-2) === number
+};
+
+// Match a number of any other tier: whole-ticket tiers need an exact match,
+// shorter numbers are compared against the end of the ticket
+function defaultMatcher(ticket, number) {
+  return number.length === ticket.length ? ticket === number : ticket.endsWith(number);
+}
+
+// Get the prize tiers of a draw, rebuilding them for records saved before
+// every tier was stored
+function getTiers(draw) {
+  if (Array.isArray(draw.tiers)) return draw.tiers;
+
+  return Object.entries(PRIZE_SUMMARY_FIELDS)
+    .filter(([, field]) => Array.isArray(draw.prizes?.[field]))
+    .map(([id, field]) => ({
+      id,
+      name: null,
+      reward: null,
+      amount: draw.prizes[field].length,
+      numbers: draw.prizes[field]
+    }));
+}
+
+// Check one 6-digit ticket against a draw record and list every prize it wins
+export function checkTicket(ticket, draw) {
+  const normalized = String(ticket).trim();
+
+  if (!/^\d{6}$/.test(normalized)) {
+    throw new Error(`Invalid ticket number "${ticket}": expected 6 digits`);
+  }
+
+  const prizes = [];
+
+  for (const tier of getTiers(draw)) {
+    const matches = TIER_MATCHERS[tier.id] || defaultMatcher;
+
+    // Numbers not yet announced ("xxxxxx") never match
+    const won = tier.numbers.some(number => /^\d+$/.test(number) && matches(normalized, number));
+
+    if (won) {
+      prizes.push({ id: tier.id, name: tier.name, reward: tier.reward });
+    }
+  }
+
+  return {
+    ticket: normalized,
+    drawId: draw.drawId || null,
+    date: draw.date,
+    isWinner: prizes.length > 0,
+    totalReward: prizes.reduce((sum, prize) => sum + (prize.reward || 0), 0),
+    prizes
+  };
+}
+
+// Check a batch of tickets against a draw record; invalid tickets are
+// reported individually instead of failing the whole batch
+export function checkTickets(tickets, draw) {
+  return tickets.map(ticket => {
+    try {
+      return checkTicket(ticket, draw);
+    } catch (error) {
+      return { ticket: String(ticket), error: error.message };
+    }
+  });
+}
+
+// Check tickets against a draw persisted by the lottery manager, given as
+// "latest", a DDMMYYYY draw ID or a YYYY-MM-DD date. No network call is made.
+export function checkStoredTickets(tickets, drawRef = 'latest') {
+  const draw = lotteryManager.getDraw(drawRef);
+
+  if (!draw) {
+    throw new Error(`No stored lottery draw found for "${drawRef}"`);
+  }
+
+  return {
+    drawId: draw.drawId || null,
+    date: draw.date,
+    results: checkTickets(tickets, draw)
+  };
+}
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+
+// Configuration
+const CONFIG = {
+  checkInterval: 60 * 1000,
+  maxConsecutiveFailures: 5, // Failed cycles in a row before a source is degraded
+  // A running manager must finish a successful cycle at least this often
+  stockStaleAfter: 2 * 60 * 60 * 1000,
+  lotteryStaleAfter: 7 * 60 * 60 * 1000,
+  maxCycleDuration: 15 * 60 * 1000, // A cycle running longer than this is considered hung
+  stockPendingGrace: 30 * 60 * 1000, // Market result still pending this long after its window closed
+  lotteryPendingGrace: 3 * 60 * 60 * 1000, // Draw still incomplete this long after announcements start
+};
+
+// Watches every manager's cycles and data freshness. Problems are tracked as
+// issues keyed by what they are about; an issue appearing emits a "degraded"
+// health event and its disappearance a "recovered" one.
+// Options: `config` overrides CONFIG entries
+class Watchdog extends EventEmitter {
+  constructor({ config = {} } = {}) {
+    super();
+    this.config = { ...CONFIG, ...config };
+    this.sources = new Map();
+    this.issues = new Map();
+    this.timer = null;
+    this.isRunning = false;
+    this.startedAt = null;
+    this.logger = logger.child({ source: 'watchdog' });
+  }
+
+  // Override config entries
+  configure(config = {}) {
+    this.config = { ...this.config, ...config };
+  }
+
+  // Apply changed thresholds while running and restart the periodic checks
+  // at the new interval; an undefined value restores the default
+  reload(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      this.config[key] = value === undefined ? CONFIG[key] : value;
+    }
+    this.logger.info('Settings reloaded', { settings: Object.keys(settings) });
+
+    if (this.timer && 'checkInterval' in settings) {
+      clearInterval(this.timer);
+      this.timer = setInterval(() => this.check(), this.config.checkInterval);
+      this.timer.unref();
+    }
+  }
+
+  // Watch a manager under a source name ("stock" or "lottery")
+  attach(source, manager) {
+    this.sources.set(source, { manager, consecutiveFailures: 0, lastSuccessAt: null, lastError: null });
+
+    manager.on('cycle', cycle => {
+      const state = this.sources.get(source);
+
+      if (cycle.success) {
+        state.consecutiveFailures = 0;
+        state.lastSuccessAt = cycle.finishedAt;
+        state.lastError = null;
+      } else {
+        state.consecutiveFailures++;
+        state.lastError = cycle.error;
+      }
+
+      this.check();
+    });
+  }
+
+  // List the current problems of one source
+  findIssues(source, { manager, consecutiveFailures, lastSuccessAt, lastError }, now) {
+    const issues = [];
+    if (!manager.isRunning) return issues;
+
+    if (consecutiveFailures >= this.config.maxConsecutiveFailures) {
+      issues.push({
+        key: `${source}:failing`,
+        source,
+        check: 'failures',
+        reason: `${source} has failed ${consecutiveFailures} cycles in a row (last error: ${lastError})`
+      });
+    }
+
+    const staleAfter = this.config[`${source}StaleAfter`];
+    const freshSince = Date.parse(lastSuccessAt || this.startedAt);
+    if (staleAfter && now.getTime() - freshSince > staleAfter) {
+      issues.push({
+        key: `${source}:stale`,
+        source,
+        check: 'freshness',
+        reason: `${source} has had no successful cycle for ${Math.round((now.getTime() - freshSince) / 60000)} minutes`
+      });
+    }
+
+    const { cycleStartedAt } = manager.getStatus();
+    if (cycleStartedAt && now.getTime() - Date.parse(cycleStartedAt) > this.config.maxCycleDuration) {
+      issues.push({
+        key: `${source}:hung`,
+        source,
+        check: 'hung',
+        reason: `${source} cycle has been running since ${cycleStartedAt}`
+      });
+    }
+
+    const { validation } = manager.getStatus();
+    if (validation && (validation.rejected.length > 0 || validation.errors.length > 0)) {
+      const details = [...validation.errors, ...validation.rejected.map(item => item.reasons.join(', '))];
+      issues.push({
+        key: `${source}:validation`,
+        source,
+        check: 'validation',
+        reason: `${source} extraction schema rejected ${validation.rejected.length} rows (${details.slice(0, 3).join('; ')})`
+      });
+    }
+
+    if (source === 'stock') {
+      issues.push(...this.findPendingMarkets(manager, now));
+    } else if (source === 'lottery') {
+      issues.push(...this.findPendingDraw(manager, now));
+    }
+
+    return issues;
+  }
+
+  // Markets whose window closed more than the grace period ago without a result.
+  // A pending row is held to the window of its own trading date, so a result
+  // still pending after local midnight stays overdue instead of looking
+  // recovered. A row still showing an earlier date's result is held to the
+  // current trading date's window.
+  findPendingMarkets(manager, now) {
+    return manager.getCurrentData()
+      .map(row => {
+        const tradingDate = row.state === 'pending'
+          ? row.tradingDate
+          : manager.schedule.getTradingDate(row.stockName, now);
+        const window = manager.schedule.getWindow(row.stockName, tradingDate);
+        if (!window || now.getTime() - window.end.getTime() < this.config.stockPendingGrace) return null;
+
+        const landed = row.state !== 'pending' && row.tradingDate >= window.tradingDate;
+        if (landed) return null;
+
+        return {
+          key: `stock:pending:${row.stockName}`,
+          source: 'stock',
+          market: row.stockName,
+          check: 'pending',
+          reason: `${row.stockName} still pending ${Math.round((now.getTime() - window.end.getTime()) / 60000)} minutes after its ${window.tradingDate} window`
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // The draw being announced, once it is incomplete for longer than the grace period
+  findPendingDraw(manager, now) {
+    const nextDraw = manager.getNextDraw(now);
+    if (!nextDraw) return [];
+
+    const overdue = now.getTime() - Date.parse(nextDraw.announcementStart);
+    if (overdue < this.config.lotteryPendingGrace) return [];
+
+    return [{
+      key: `lottery:pending:${nextDraw.drawId}`,
+      source: 'lottery',
+      market: 'lottery',
+      check: 'pending',
+      reason: `lottery draw ${nextDraw.drawId} still incomplete ${Math.round(overdue / 60000)} minutes after announcements started`
+    }];
+  }
+
+  // Re-evaluate every source and emit events for issues that appeared or cleared
+  check(now = new Date()) {
+    const current = new Map();
+    for (const [source, state] of this.sources) {
+      for (const issue of this.findIssues(source, state, now)) {
+        current.set(issue.key, issue);
+      }
+    }
+
+    const events = [];
+
+    for (const [key, issue] of current) {
+      if (this.issues.has(key)) {
+        // Keep the first-seen time, refresh the description
+        current.set(key, { ...issue, since: this.issues.get(key).since });
+      } else {
+        current.set(key, { ...issue, since: now.toISOString() });
+        events.push(this.buildEvent('degraded', issue, now));
+        this.logger.warn('Degraded', { check: issue.check, key, reason: issue.reason });
+      }
+    }
+
+    for (const [key, issue] of this.issues) {
+      if (!current.has(key)) {
+        events.push(this.buildEvent('recovered', issue, now));
+        this.logger.info('Recovered', { check: issue.check, key });
+      }
+    }
+
+    this.issues = current;
+
+    if (events.length > 0) {
+      this.emit('health', events);
+    }
+
+    return events;
+  }
+
+  // Build a health event shaped like a change event so the notifier can deliver it
+  buildEvent(type, issue, now) {
+    return {
+      id: crypto.randomUUID(),
+      occurredAt: now.toISOString(),
+      type,
+      source: 'watchdog',
+      subject: issue.source,
+      market: issue.market || null,
+      check: issue.check,
+      reason: issue.reason
+    };
+  }
+
+  // Liveness: the process is alive and no scheduler is hung. A failing probe
+  // means a restart should help; stale data usually means the source is down,
+  // which a restart won't fix, so readiness reports that instead.
+  getLiveness() {
+    const problems = [...this.issues.values()].filter(issue => issue.check === 'hung');
+    return { ok: problems.length === 0, problems };
+  }
+
+  // Readiness: every running manager has loaded data and completed a cycle,
+  // and none is failing or stale
+  getReadiness() {
+    const problems = [...this.issues.values()].filter(issue => issue.check !== 'pending' && issue.check !== 'validation');
+
+    for (const [source, { manager }] of this.sources) {
+      if (manager.isRunning && !manager.getStatus().lastCycle) {
+        problems.push({ key: `${source}:starting`, source, check: 'starting', reason: `${source} has not completed its first cycle` });
+      }
+    }
+
+    return { ok: problems.length === 0, problems };
+  }
+
+  // Start the periodic checks
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.startedAt = new Date().toISOString();
+    this.timer = setInterval(() => this.check(), this.config.checkInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Get current status
+  getStatus() {
+    return {
+      status: this.issues.size === 0 ? 'ok' : 'degraded',
+      issues: [...this.issues.values()],
+      sources: Object.fromEntries([...this.sources].map(([source, state]) => [source, {
+        consecutiveFailures: state.consecutiveFailures,
+        lastSuccessAt: state.lastSuccessAt,
+        lastError: state.lastError
+      }]))
+    };
+  }
+}
+
+// Create and export instance
+const watchdog = new Watchdog();
+
+export default watchdog;
+export { Watchdog };